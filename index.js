@@ -1,769 +1,2811 @@
-import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import axios from 'axios';
+import { createAmadeus } from './services/amadeus/index.js';
+import { createRedis } from './services/redis.js';
+import { createSessionMiddleware, createSupabaseForRequest, createSupabaseAdmin } from './services/session.js';
+import { createCache } from './services/cache.js';
+import { createOfferCache } from './services/offer-cache.js';
+import { createReferenceData } from './services/reference-data/index.js';
+import { parseHotelSearch, hotelSearchParams, searchHotelOffersByCity, describeHotelOffer, nightsBetween } from './services/hotel-search.js';
+import { parseHotelBooking, parseGuaranteeCard, buildHotelBookingPayload, CARD_VENDORS } from './services/hotel-booking.js';
+import { createCarProvider } from './services/cars/index.js';
+import { parseCarSearch, carSearchParams, parseCarDriver } from './services/car-search.js';
+import { parseFlightTravelers, buildFlightOrderPayload, loyaltyCarriers, COUNTRIES, TRAVELER_GENDERS, TRAVELER_TYPE_LABELS } from './services/flight-booking.js';
+import { seatMapsForPage, ancillaryOptions, parseFlightExtras, applyFlightExtras, bookedSeats } from './services/flight-extras.js';
+import { createConfirmationStore } from './services/confirmations.js';
+import { recordTrip, listTrips, getTrip, splitTrips, flightTrip, hotelTrip, carTrip, aircraftTrip } from './services/trips.js';
+import { parseAircraftFilters, listAircraft, getAircraft, getAircraftByIds, listCatalog, getCatalogAircraft, parseAircraftForm, saveAircraft, AIRCRAFT_TYPES } from './services/aircraft.js';
+import { getCart, setCartItem, removeCartItem, clearCart, priceCart, refreshCart, MAX_QUANTITY } from './services/cart.js';
+import { placeAircraftOrder, getAircraftOrder, attachOrderPayment, parseReceiptEmail } from './services/aircraft-orders.js';
+import { createPaymentProvider, SANDBOX_CARDS } from './services/payments/index.js';
+import { createCheckout } from './services/payments/checkout.js';
+import { getPayment, setPaymentReference, applyPaymentEvent, findPaymentByReference } from './services/payments/ledger.js';
+import { getFlightTrip, getFlightCancellation, recordFlightCancellation, flightCancellationRow, flightItineraryText } from './services/flight-orders.js';
+import { parsePaymentCard } from './services/payments/card.js';
+import { parseFlightSearch, searchFlightOffers, flightSearchParams, summarizeItinerary, formatDuration, formatMinutes } from './services/flight-search.js';
+import { parsePriceAlert, createPriceAlert, listPriceAlerts, deletePriceAlert, priceAlertUrl } from './services/price-alerts.js';
+import { createPriceAlertWorker } from './services/price-alert-worker.js';
+import { createNotifier } from './services/notifier/index.js';
+import { createMailer } from './services/mailer.js';
+import { parseFareCalendar, createFareCalendar, calendarMonths, FLEX_OPTIONS } from './services/fare-calendar.js';
+import { parseInspirationSearch, inspirationParams, createInspiration, POPULAR_DESTINATIONS, MAX_STAY_NIGHTS } from './services/inspiration.js';
+import { parseFlightResultOptions, applyFlightResultOptions, flightResultParams, describeFare, FLIGHT_SORTS, STOP_OPTIONS, TIME_WINDOWS } from './services/flight-results.js';
+import { sendApiError, describeErrors, locationJson, flightOfferJson, hotelJson, hotelResultJson, checkoutJson, flightBookingJson, hotelBookingJson } from './services/api-v1.js';
+import { openApiDocument } from './services/openapi.js';
+import { logger } from './services/logger.js';
+import { requestTracing } from './services/tracing.js';
+import { createHealthCheck } from './services/health.js';
+import { requireAuth, loadUserRole, safeReturnTo, csrfToken, requireCsrfToken } from './services/auth.js';
+import { parseBookingFilters, parseOrderFilters, filterParams, listBookings, getBooking, listAircraftOrders, cancelAircraftOrder, getAccountEmail, BOOKING_KINDS, BOOKING_STATUSES, ORDER_STATUSES, CANCELLABLE_ORDER_STATUSES } from './services/back-office.js';
+import { recordAuditEvent, listAuditEvents, AUDIT_ACTIONS } from './services/audit-log.js';
+import { createCurrencyConverter } from './services/currency/index.js';
+import { localize, localeLocals, parsePreferences, DEFAULT_LOCALE } from './services/i18n/index.js';
+import { toAppError, fromAuthError, AppError, ValidationError, NotFoundError, NoResultsError, OfferExpiredError, PaymentDeclinedError, RETRYABLE_CODES } from './services/errors.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = 3000;
 
-// Initialize Supabase Client
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+// Initialize Redis (optional; sessions and caches fall back to memory without REDIS_URL)
+const redis = createRedis();
+
+// Flight offers from /flight-offers, reused by details, pricing and booking
+const offerCache = createOfferCache({
+    cache: createCache({ redis, prefix: 'travix:offers:' }),
+    secret: process.env.OFFER_TOKEN_SECRET || process.env.SESSION_SECRET || 'travix-dev-secret',
+    ttlSeconds: Number(process.env.OFFER_CACHE_TTL_SECONDS) || 30 * 60
+});
+
+// Car offers from /car-offers, kept the same way as flight offers
+const carOfferCache = createOfferCache({
+    cache: createCache({ redis, prefix: 'travix:car-offers:' }),
+    secret: process.env.OFFER_TOKEN_SECRET || process.env.SESSION_SECRET || 'travix-dev-secret',
+    ttlSeconds: Number(process.env.OFFER_CACHE_TTL_SECONDS) || 30 * 60
+});
+
+// Flight and hotel confirmations, read back by the booking session or the owning account
+const confirmations = createConfirmationStore({
+    cache: createCache({ redis, prefix: 'travix:confirmations:' }),
+    ttlSeconds: Number(process.env.CONFIRMATION_TTL_SECONDS) || 30 * 24 * 60 * 60
+});
+
+// Recent flight search results, so sorting, filtering and paging reuse one Amadeus
+// response. Kept shorter than the offer cache so every cached token still resolves.
+const flightSearchCache = createCache({ redis, prefix: 'travix:flight-searches:' });
+const FLIGHT_SEARCH_TTL_SECONDS = Math.min(Number(process.env.FLIGHT_SEARCH_CACHE_TTL_SECONDS) || 10 * 60, offerCache.ttlSeconds);
+
+// Service-role Supabase client for server-side writes (aircraft orders)
+const supabaseAdmin = createSupabaseAdmin();
+
+// Payment provider (PAYMENT_PROVIDER=sandbox simulates cards locally) and pay-then-book checkouts
+const payments = createPaymentProvider({ cache: createCache({ redis, prefix: 'travix:sandbox-payments:' }) });
+const checkout = createCheckout({
+    provider: payments,
+    admin: supabaseAdmin,
+    cache: createCache({ redis, prefix: 'travix:checkouts:' })
+});
+
+// Initialize Amadeus Client (AMADEUS_PROVIDER=mock serves local fixtures)
+const amadeus = createAmadeus();
+
+// Car rentals or transfers (CAR_PROVIDER=mock|amadeus)
+const carProvider = createCarProvider({ amadeus });
+
+// Airport, city and airline names by IATA code (REFERENCE_DATA_OFFLINE=true uses the bundled dataset first)
+const referenceData = createReferenceData({
+    amadeus,
+    cache: createCache({ redis, prefix: 'travix:ref:' }),
+    ttlSeconds: Number(process.env.REFERENCE_DATA_TTL_SECONDS) || 24 * 60 * 60,
+    offline: process.env.REFERENCE_DATA_OFFLINE === 'true'
+});
+
+// Currencies travelers can pick, and the rates our own (aircraft) prices are converted with
+const converter = createCurrencyConverter({
+    file: process.env.EXCHANGE_RATES_FILE || undefined,
+    defaultCurrency: process.env.DEFAULT_CURRENCY || 'USD'
+});
+
+// Lowest fare per day for flexible-date searches
+const fareCalendar = createFareCalendar({
+    amadeus,
+    cache: createCache({ redis, prefix: 'travix:fare-calendar:' }),
+    converter,
+    concurrency: Number(process.env.FARE_CALENDAR_CONCURRENCY) || 3,
+    ttlSeconds: Number(process.env.FARE_CALENDAR_TTL_SECONDS) || 60 * 60
+});
 
 // Calculate __dirname manually
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);  // Equivalent to __dirname
 
+// Transactional email from views/emails, delivered through NOTIFIER=smtp|file|log
+const mailer = createMailer({
+    transport: createNotifier(),
+    viewsDir: path.join(__dirname, 'views'),
+    baseUrl: process.env.BASE_URL || 'http://localhost:3000',
+    maxAttempts: Number(process.env.MAIL_MAX_ATTEMPTS) || 5,
+    retryDelayMs: (Number(process.env.MAIL_RETRY_DELAY_SECONDS) || 30) * 1000
+});
+
+// Saved searches re-checked in the background; needs the service-role client to see every alert
+const priceAlertWorker = supabaseAdmin && process.env.PRICE_ALERTS_ENABLED !== 'false'
+    ? createPriceAlertWorker({
+        admin: supabaseAdmin,
+        amadeus,
+        mailer,
+        intervalMs: (Number(process.env.PRICE_ALERT_INTERVAL_MINUTES) || 15) * 60 * 1000,
+        recheckAfterMs: (Number(process.env.PRICE_ALERT_RECHECK_HOURS) || 6) * 60 * 60 * 1000
+    })
+    : null;
+
+// Dependency status for /healthz
+const healthCheck = createHealthCheck({ amadeus, redis });
+
+// Cheapest destinations from an origin, for the homepage's popular destinations
+const inspiration = createInspiration({
+    amadeus,
+    cache: createCache({ redis, prefix: 'travix:inspiration:' }),
+    converter,
+    ttlSeconds: Number(process.env.INSPIRATION_CACHE_TTL_SECONDS) || 6 * 60 * 60
+});
+
 app.set('views', path.join(__dirname, 'views')); // Adjust path as needed
 app.set('view engine', 'ejs');
+
+// Formatting helpers available in every view
+app.locals.summarizeItinerary = summarizeItinerary;
+app.locals.formatDuration = formatDuration;
+app.locals.formatMinutes = formatMinutes;
+app.locals.describeFare = describeFare;
+app.locals.flexOptions = FLEX_OPTIONS;
+app.locals.popularDestinations = POPULAR_DESTINATIONS;
+app.locals.maxStayNights = MAX_STAY_NIGHTS;
+app.locals.sandboxCards = payments.name === 'sandbox' ? SANDBOX_CARDS : null;
+// English and the default currency until localize() knows the traveler's choice
+Object.assign(app.locals, localeLocals({ locale: DEFAULT_LOCALE, currency: converter.defaultCurrency, converter }));
 app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json());
+// Request ids and one log entry per request (see services/tracing.js)
+app.use(requestTracing());
+// Keep the raw body as well, payment webhooks are verified against it
+app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
 app.use(express.urlencoded({ extended: true }));
 
-// Middleware to check user session
+// **Health Check**
+// Registered before sessions so monitors never create one; 503 when a dependency is down
+app.get('/healthz', async (req, res) => {
+    const health = await healthCheck.check();
+    res.status(health.status === 'ok' ? 200 : 503).json(health);
+});
+
+// Per-visitor sessions (Redis-backed when REDIS_URL is set)
+app.set('trust proxy', 1);
+app.use(createSessionMiddleware({ redis }));
+
+// Middleware to attach a session-scoped Supabase client, the signed-in user and their role
 app.use(async (req, res, next) => {
-    const { data: session, error } = await supabase.auth.getSession();
-  
-    if (error) {
-      console.error('Error getting session:', error);
+    req.supabase = createSupabaseForRequest(req);
+    res.locals.user = null;
+    res.locals.userRole = null;
+
+    if (req.session.supabase) {
+        try {
+            const { data, error } = await req.supabase.auth.getSession();
+
+            if (error) {
+                logger.error('Error getting session', { error });
+            }
+
+            res.locals.user = data.session?.user || null; // Store user session for EJS
+        } catch (error) {
+            return next(error);
+        }
     }
-  
-    res.locals.user = session?.user || null; // Store user session for EJS
+
+    if (res.locals.user) {
+        try {
+            res.locals.userRole = await loadUserRole(req, res.locals.user);
+        } catch (error) {
+            // Fall back to the least access rather than locking the traveler out
+            logger.error('Error loading user role', { error });
+            res.locals.userRole = 'traveler';
+        }
+    }
+
     next();
-  });
+});
+
+// Language, currency and formatting helpers for the views (see services/i18n)
+app.use(localize({ converter }));
+
+// Pages and calls that need a signed-in account (see services/auth.js)
+const requireUser = requireAuth();
+
+// Attach a confirmed booking to the signed-in user's trips. Trips prove who owns
+// a booking, so only the server (service role) writes them. The booking already
+// succeeded upstream, so a failure here is logged rather than shown to the user.
+async function saveTrip(req, res, trip) {
+    if (!res.locals.user) {
+        return null;
+    }
+    if (!supabaseAdmin) {
+        logger.warn('Trip not saved: SUPABASE_SERVICE_ROLE_KEY is not set', { kind: trip.kind, reference: trip.reference });
+        return null;
+    }
+
+    try {
+        return await recordTrip(supabaseAdmin, res.locals.user.id, trip);
+    } catch (error) {
+        logger.error('Error saving trip', { error });
+        return null;
+    }
+}
+
+// Store a confirmation for a booking that already exists upstream. A failure must
+// not fail the checkout (that would refund a live booking), so it is logged and
+// the reference is null.
+async function saveConfirmation(req, res, kind, record) {
+    try {
+        return await confirmations.save(req, res, kind, record);
+    } catch (error) {
+        logger.error('Error saving confirmation', { kind, bookingId: record.bookingId, error });
+        return null;
+    }
+}
+
+function linkPayment(intentId, bookingId) {
+    return setPaymentReference(supabaseAdmin, intentId, bookingId).catch(error => {
+        logger.error('Error linking payment to booking', { paymentIntentId: intentId, bookingId, error });
+    });
+}
+
+// What to book once a payment has gone through, by checkout kind. Each returns
+// the reference its confirmation is looked up by (null when it could not be stored).
+// Once the airline or hotel has confirmed, every later step only logs its failure.
+// `live` holds what is never stored with the checkout, i.e. the hotel guarantee card.
+const paidCheckouts = {
+    async flight(req, res, intent, { offerToken, pricing, travelers }) {
+        const cached = await offerCache.load(offerToken, pricing);
+        if (cached.status !== 'ok') {
+            throw new Error('Flight offer expired during payment');
+        }
+
+        const flightOffer = cached.pricedOffer || cached.offer;
+        const bookingData = await amadeus.createFlightOrder(buildFlightOrderPayload(flightOffer, travelers));
+        const seats = bookedSeats(flightOffer);
+        if (!bookingData || !bookingData.data || !bookingData.data.id) {
+            throw new Error('Booking was not successful');
+        }
+
+        const bookingId = bookingData.data.id;
+        await linkPayment(intent.id, bookingId);
+        const trip = flightTrip(bookingData.data, { search: cached.search });
+        await saveTrip(req, res, trip);
+
+        // Traveler details stay on the server; the URL only carries an opaque reference
+        const lead = travelers[0];
+        mailer.send('booking-confirmation', lead.email, {
+            trip,
+            name: lead.firstName,
+            manageUrl: res.locals.user ? `/bookings/flights/${encodeURIComponent(bookingId)}` : null
+        });
+        const reference = await saveConfirmation(req, res, 'flight', {
+            bookingId,
+            paymentIntentId: intent.id,
+            contact: { email: lead.email, phone: `+${lead.countryCallingCode} ${lead.phone}` },
+            travelers: travelers.map(traveler => ({
+                name: [traveler.firstName, traveler.middleName, traveler.lastName].filter(Boolean).join(' '),
+                type: TRAVELER_TYPE_LABELS[traveler.travelerType] || traveler.travelerType,
+                dateOfBirth: traveler.dateOfBirth,
+                gender: TRAVELER_GENDERS[traveler.gender],
+                passport: `${traveler.nationality} passport ending ${traveler.passportNumber.slice(-4)}`,
+                frequentFlyer: traveler.frequentFlyerNumber ? `${traveler.frequentFlyerAirline} ${traveler.frequentFlyerNumber}` : null,
+                seats: seats[traveler.id] || []
+            }))
+        });
+        return reference;
+    },
+
+    async hotel(req, res, intent, { booking, hotel, offer }, { card }) {
+        if (!card) {
+            throw new Error('Hotel booking needs the guarantee card');
+        }
+        const bookingData = await amadeus.createHotelBooking(buildHotelBookingPayload({ ...booking, card }));
+        const confirmation = bookingData && bookingData.data && bookingData.data[0];
+        if (!confirmation || !confirmation.id) {
+            throw new Error('Booking was not successful');
+        }
+
+        await linkPayment(intent.id, confirmation.id);
+        const trip = hotelTrip(confirmation, { hotel, offer, guest: booking });
+        const saved = await saveTrip(req, res, trip);
+        mailer.send('booking-confirmation', booking.email, { trip, name: booking.firstName, manageUrl: saved ? `/trips/${saved.id}` : null });
+
+        const reference = await saveConfirmation(req, res, 'hotel', {
+            bookingId: confirmation.id,
+            paymentIntentId: intent.id,
+            travelerInfo: { name: `${booking.firstName} ${booking.lastName}`, email: booking.email, phone: booking.phone }
+        });
+        return reference;
+    },
+
+    async aircraft(req, res, intent, { orderNumber, receiptEmail }) {
+        const order = await getAircraftOrder(supabaseAdmin, orderNumber);
+        mailer.send('order-receipt', receiptEmail, { order });
+
+        clearCart(req.session);
+        req.session.aircraftOrders = [...(req.session.aircraftOrders || []), orderNumber].slice(-20);
+        await saveTrip(req, res, aircraftTrip(order));
+        return orderNumber;
+    }
+};
+
+// Confirmation page of each checkout kind, by the reference paidCheckouts returned
+const confirmationPages = {
+    flight: reference => `/booked-flight?ref=${encodeURIComponent(reference)}`,
+    hotel: reference => `/booked-hotel?ref=${encodeURIComponent(reference)}`,
+    aircraft: orderNumber => `/order-success?order=${encodeURIComponent(orderNumber)}`
+};
+
+// Book what a succeeded payment was for: { reference, redirect }. The payment is
+// refunded if booking fails. Only the request that claims the checkout books it;
+// concurrent ones wait for its result. Without a stored confirmation the traveler
+// is sent to My Trips, where the booking is listed.
+async function completePaidCheckout(req, res, intent, kind, pending, live = {}) {
+    if (!(await checkout.claim(intent.id))) {
+        return checkout.waitForResult(intent.id);
+    }
+
+    let reference;
+    try {
+        reference = await paidCheckouts[kind](req, res, intent, pending, live);
+    } catch (error) {
+        logger.error('Error completing paid checkout', { kind, paymentIntentId: intent.id, error });
+        try {
+            await payments.refund(intent.id, { reason: 'booking_failed' });
+            error.refunded = true;
+        } catch (refundError) {
+            logger.error('Error refunding payment', { paymentIntentId: intent.id, error: refundError });
+        }
+        await checkout.fail(intent.id, { refunded: Boolean(error.refunded) }).catch(failError => {
+            logger.error('Error recording failed checkout', { paymentIntentId: intent.id, error: failError });
+        });
+        throw error;
+    }
+
+    const redirect = reference ? confirmationPages[kind](reference) : '/trips';
+    await checkout.finish(intent.id, kind, { reference, redirect }).catch(error => {
+        logger.error('Error recording finished checkout', { paymentIntentId: intent.id, error });
+    });
+    return { reference, redirect };
+}
+
+// Answer a checkout form after the card was confirmed: the next page, the card challenge or the decline
+async function respondToPayment(req, res, intent, kind, pending, live) {
+    if (intent.status === 'requires_action') {
+        return res.json({ redirect: intent.nextAction.url });
+    }
+    if (intent.status !== 'succeeded') {
+        return res.status(402).json({ error: intent.failure ? intent.failure.message : 'Your payment could not be completed.', declined: true });
+    }
+
+    try {
+        const { redirect } = await completePaidCheckout(req, res, intent, kind, pending, live);
+        res.json({ redirect });
+    } catch (error) {
+        res.status(500).json({ error: error.refunded ? 'We could not complete your booking. Your payment has been refunded.' : 'Error completing your booking' });
+    }
+}
+
+function paymentFailed(reason, retryUrl) {
+    return new PaymentDeclinedError(reason, { actions: retryUrl ? [{ label: 'Try Again', href: retryUrl }] : [] });
+}
+
+// Issue a fresh session id on sign-in to prevent session fixation, keeping the
+// language and currency the visitor picked
+function regenerateSession(req) {
+    const { preferences } = req.session;
+    return new Promise((resolve, reject) => {
+        req.session.regenerate(error => {
+            if (error) {
+                return reject(error);
+            }
+            if (preferences) {
+                req.session.preferences = preferences;
+            }
+            resolve();
+        });
+    });
+}
+
+// Searches run from the pages are priced in the traveler's currency unless the
+// query string already names one (links from price alerts, shared searches)
+function pageSearchQuery(req, res) {
+    return { currencyCode: res.locals.currency, ...req.query };
+}
+
+// Catalog aircraft priced in the traveler's currency (left as listed when the
+// rate table has no rate for the listing's currency)
+function inCurrency(aircraft, currency) {
+    if (aircraft.currency === currency || !converter.isSupported(aircraft.currency)) {
+        return aircraft;
+    }
+    return { ...aircraft, price: converter.convert(aircraft.price, aircraft.currency, currency), currency };
+}
 
 
 // **Sign Up Page**
 app.get("/register", (req, res) => {
-    res.render("register", { title: "Sign Up - Travix" });
+    res.render("register", { title: res.locals.t('auth.registerTitle'), returnTo: safeReturnTo(req.query.returnTo) });
 });
   
 // **Login Page**
+// `returnTo` is the page a guard sent the visitor here from
 app.get("/login", (req, res) => {
-    res.render("login", { title: "Login - Travix" });
+    res.render("login", { title: res.locals.t('auth.loginTitle'), returnTo: safeReturnTo(req.query.returnTo) });
 });
+
+// Show a sign-in or sign-up form again with what went wrong; other failures go to the error page
+function renderAuthError(res, next, view, error, email, returnTo) {
+  const appError = fromAuthError(error);
+  if (appError.code !== 'invalid_request' && appError.code !== 'rate_limited') {
+    return next(appError);
+  }
+  res.status(appError.status).render(view, {
+    title: res.locals.t(view === 'login' ? 'auth.loginTitle' : 'auth.registerTitle'),
+    error: appError.message,
+    email,
+    returnTo
+  });
+}
   
 // **Sign Up Route**
-app.post("/register", async (req, res) => {
-  const { email, password } = req.body;
-  const { data, error } = await supabase.auth.signUp({ email, password });
+app.post("/register", async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+    await regenerateSession(req);
+    const returnTo = safeReturnTo(req.body.returnTo);
+    const { data, error } = await req.supabase.auth.signUp({ email, password });
 
-  if (error) {
-    return res.send(`Error: ${error.message}`);
-  }
+    if (error) {
+      return renderAuthError(res, next, 'register', error, email, returnTo);
+    }
+
+    mailer.send('welcome', email, { email });
   
-  res.redirect("/"); // Redirect to home page after successful sign-up
+    res.redirect(returnTo || "/"); // Back to the guarded page, or home after sign-up
+  } catch (error) {
+    next(error);
+  }
 });
 
 // **Login Route**
-app.post("/login", async (req, res) => {
-  const { email, password } = req.body;
-  const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+app.post("/login", async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+    await regenerateSession(req);
+    const returnTo = safeReturnTo(req.body.returnTo);
+    const { data, error } = await req.supabase.auth.signInWithPassword({ email, password });
 
-  if (error) {
-    return res.send(`Error: ${error.message}`);
-  }
+    if (error) {
+      return renderAuthError(res, next, 'login', error, email, returnTo);
+    }
   
-  res.redirect("/"); // Redirect to home page after successful login
+    res.redirect(returnTo || "/"); // Back to the guarded page, or home after login
+  } catch (error) {
+    next(error);
+  }
 });
 
 // **Google Authentication**
-app.get("/auth/google", async (req, res) => {
-  const { data, error } = await supabase.auth.signInWithOAuth({
-    provider: 'google',
-    options: { redirectTo: `${process.env.BASE_URL}/auth/callback` },
-  });
+app.get("/auth/google", async (req, res, next) => {
+  try {
+    req.session.returnTo = safeReturnTo(req.query.returnTo);
+    const { data, error } = await req.supabase.auth.signInWithOAuth({
+      provider: 'google',
+      options: { redirectTo: `${process.env.BASE_URL}/auth/callback` },
+    });
 
-  if (error) {
-    return res.send(`Error: ${error.message}`);
-  }
+    if (error) {
+      return next(toAppError(fromAuthError(error), { actions: [{ label: 'Back to Login', href: '/login' }] }));
+    }
 
-  res.redirect(data.url); // Redirect to Google Auth
+    res.redirect(data.url); // Redirect to Google Auth
+  } catch (error) {
+    next(error);
+  }
 });
 
 // **Google Auth Callback**
-app.get("/auth/callback", async (req, res) => {
-  const { user, session, error } = await supabase.auth.getUser(req.query.access_token);
+app.get("/auth/callback", async (req, res, next) => {
+  try {
+    const { code, access_token, refresh_token } = req.query;
+    let error;
+
+    if (code) {
+      // PKCE flow: carry the code verifier stored by /auth/google into the new session
+      const { supabase: pendingAuth, returnTo } = req.session;
+      await regenerateSession(req);
+      req.session.supabase = pendingAuth;
+      req.session.returnTo = returnTo;
+      ({ error } = await req.supabase.auth.exchangeCodeForSession(code));
+    } else if (access_token && refresh_token) {
+      await regenerateSession(req);
+      ({ error } = await req.supabase.auth.setSession({ access_token, refresh_token }));
+    } else {
+      error = new ValidationError('The sign-in link was incomplete. Please sign in again.');
+    }
 
-  if (error) {
-    return res.send(`Error: ${error.message}`);
-  }
+    if (error) {
+      return next(toAppError(fromAuthError(error), { actions: [{ label: 'Back to Login', href: '/login' }] }));
+    }
 
-  res.redirect("/"); // Redirect to home page after successful authentication
+    const returnTo = req.session.returnTo;
+    delete req.session.returnTo;
+    res.redirect(returnTo || "/"); // Back to the guarded page, or home after authentication
+  } catch (error) {
+    next(error);
+  }
 });
 
 // **Logout Route**
-app.get("/logout", async (req, res) => {
-  const { error } = await supabase.auth.signOut();
+app.get("/logout", async (req, res, next) => {
+  try {
+    const { error } = await req.supabase.auth.signOut({ scope: 'local' });
   
-  if (error) {
-    return res.send(`Error: ${error.message}`);
+    if (error) {
+      logger.error('Error signing out', { error });
+    }
+
+    // Drop the stored Supabase tokens along with the session itself
+    req.session.destroy(() => {
+      res.clearCookie('travix.sid');
+      res.redirect("/"); // Redirect to home page after logout
+    });
+  } catch (error) {
+    next(error);
   }
+});
+
+// **Language and Currency**
+// Picked in the header on any page. The traveler goes back to the page they were
+// on, without a currencyCode in its query string so a search reruns in the new currency.
+app.post('/preferences', (req, res) => {
+    req.session.preferences = { ...req.session.preferences, ...parsePreferences(req.body, converter.currencies) };
+
+    const returnTo = new URL(safeReturnTo(req.body.returnTo) || '/', 'http://localhost');
+    returnTo.searchParams.delete('currencyCode');
+    res.redirect(`${returnTo.pathname}${returnTo.search}`);
+});
+
+// **Landing Page**
+app.get("/", (req, res) => {
+  res.render("index", { title: res.locals.t('home.title') });
+});
 
-  res.redirect("/"); // Redirect to home page after logout
+// Explore 
+app.get('/explore', requireUser, async (req, res, next) => {
+    const { filters } = parseAircraftFilters(req.query);
+
+    try {
+        const [aircraft, catalog] = await Promise.all([
+            listAircraft(req.supabase, filters),
+            listAircraft(req.supabase)
+        ]);
+        const priced = catalog.map(item => inCurrency(item, res.locals.currency));
+
+        res.render('explore', {
+            title: res.locals.t('explore.title'),
+            aircraft: aircraft.map(item => inCurrency(item, res.locals.currency)),
+            filters,
+            types: AIRCRAFT_TYPES,
+            manufacturers: [...new Set(catalog.map(item => item.manufacturer))].sort(),
+            cart: priceCart(getCart(req.session), priced),
+            maxQuantity: MAX_QUANTITY,
+            query: req.query
+        });
+    } catch (error) {
+        next(error);
+    }
 });
 
-// Amadeus Authentication
-let accessToken = '';
 
-// Function to authenticate with Amadeus API
-async function authenticateAmadeus() {
-    const authUrl = 'https://test.api.amadeus.com/v1/security/oauth2/token';
+
+// **Flight search page, with the fare calendar for flexible-date searches**
+app.get('/flights', requireUser, async (req, res) => {
+    if (!req.query.flexDays) {
+        const { search } = parseFlightSearch(pageSearchQuery(req, res));
+        return res.render('flights', { title: res.locals.t('flights.searchTitle'), query: req.query, search, calendar: null });
+    }
+
+    const { search, calendar, errors } = parseFareCalendar(pageSearchQuery(req, res));
+    const page = { title: res.locals.t('flights.flexTitle'), query: req.query, search, flexDays: req.query.flexDays, calendar: null };
+    if (errors.length > 0) {
+        return res.status(400).render('flights', { ...page, errors });
+    }
+
     try {
-        const response = await axios.post(authUrl, new URLSearchParams({
-            grant_type: 'client_credentials',
-            client_id: process.env.AMADEUS_CLIENT_ID,
-            client_secret: process.env.AMADEUS_CLIENT_SECRET
-        }).toString(), {
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        const fares = await fareCalendar.lowestFares(search, calendar);
+        const currencies = [...fares.values()].filter(Boolean).map(fare => fare.currency);
+        res.render('flights', {
+            ...page,
+            calendar: {
+                ...calendar,
+                months: calendarMonths(search, calendar, fares, res.locals.localeTag),
+                currency: currencies[0] || '',
+                found: currencies.length
+            }
         });
-        accessToken = response.data.access_token;
     } catch (error) {
-        console.error('Error authenticating with Amadeus:', error.message);
+        logger.error('Error building fare calendar', { error });
+        res.status(502).render('flights', { ...page, errors: ['We could not load fares for these dates. Please try again.'] });
+    }
+});
+
+// **Destination inspiration: the cheapest places to fly to from an origin**
+app.get('/inspiration', requireUser, async (req, res, next) => {
+    const { search, errors } = parseInspirationSearch(pageSearchQuery(req, res));
+    const page = { title: res.locals.t('inspiration.title'), query: req.query, search, destinations: null };
+    // Without an origin there is nothing to look up yet, only the form to show
+    if (!req.query.originCode && !req.query.origin) {
+        return res.render('inspiration', page);
+    }
+    if (errors.length > 0) {
+        return res.status(400).render('inspiration', { ...page, errors });
+    }
+
+    try {
+        const destinations = await inspiration.destinations(search);
+        res.render('inspiration', { ...page, destinations });
+    } catch (error) {
+        next(toAppError(error, { actions: [{ label: 'Modify Search', href: `/inspiration?${inspirationParams(search)}` }] }));
     }
+});
+
+// Price the session cart against the catalog, in the traveler's currency
+async function loadPricedCart(req, res) {
+    const cart = getCart(req.session);
+    const catalog = await getAircraftByIds(req.supabase, cart.items.map(item => item.aircraftId));
+    return priceCart(cart, catalog.map(item => inCurrency(item, res.locals.currency)));
 }
 
-// Middleware to ensure Amadeus is authenticated
-app.use(async (req, res, next) => {
-    if (!accessToken) {
-        await authenticateAmadeus();
+app.get('/place-order', requireUser, async (req, res, next) => {
+    try {
+        const cart = await loadPricedCart(req, res);
+        res.render('place-order', { title: res.locals.t('order.placeTitle'), cart, query: req.query });
+    } catch (error) {
+        next(toAppError(error, { actions: [{ label: 'Back to Explore', href: '/explore' }] }));
     }
-    next();
 });
 
-// **Landing Page**
-app.get("/", (req, res) => {
-  res.render("index", { title: "Travix - Travel Booking" });
+app.get('/order-success', requireUser, async (req, res, next) => {
+    const orderNumber = String(req.query.order || '');
+    // Orders are shown to the session that placed them or the account that owns them
+    const placedHere = (req.session.aircraftOrders || []).includes(orderNumber);
+    const orderNotFound = () => new NotFoundError('We could not find that order.', { actions: [{ label: 'My Trips', href: '/trips' }] });
+
+    if (!supabaseAdmin || !orderNumber) {
+        return next(orderNotFound());
+    }
+
+    try {
+        const order = await getAircraftOrder(supabaseAdmin, orderNumber);
+        const ownedByUser = order && order.user_id && order.user_id === res.locals.user?.id;
+
+        if (!order || !(placedHere || ownedByUser)) {
+            return next(orderNotFound());
+        }
+
+        res.render('order-success', { title: res.locals.t('order.successTitle'), order, query: req.query });
+    } catch (error) {
+        next(error);
+    }
 });
 
-// Explore 
-app.get('/explore', (req, res) => {
-    res.render('explore', { title: 'Search Explore', query: req.query });
+// **Aircraft Catalog API**
+app.get('/api/aircraft', requireUser, async (req, res) => {
+    const { filters, errors } = parseAircraftFilters(req.query);
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join(' '), errors });
+    }
+
+    try {
+        const aircraft = await listAircraft(req.supabase, filters);
+        res.json({ data: aircraft.map(item => inCurrency(item, res.locals.currency)), filters });
+    } catch (error) {
+        logger.error('Error fetching aircraft', { error });
+        res.status(500).json({ error: 'Error fetching aircraft' });
+    }
+});
+
+app.get('/api/aircraft/:id', requireUser, async (req, res) => {
+    try {
+        const aircraft = await getAircraft(req.supabase, req.params.id);
+        if (!aircraft) {
+            return res.status(404).json({ error: 'Aircraft not found' });
+        }
+        res.json({ data: inCurrency(aircraft, res.locals.currency) });
+    } catch (error) {
+        logger.error('Error fetching aircraft', { error });
+        res.status(500).json({ error: 'Error fetching aircraft' });
+    }
+});
+
+// **Cart API** (session cart for the Explore marketplace)
+app.get('/api/cart', requireUser, async (req, res) => {
+    try {
+        res.json({ data: await loadPricedCart(req, res) });
+    } catch (error) {
+        logger.error('Error fetching cart', { error });
+        res.status(500).json({ error: 'Error fetching cart' });
+    }
+});
+
+// Set the quantity of one aircraft; 0 removes it
+app.put('/api/cart/items/:aircraftId', requireUser, async (req, res) => {
+    const quantity = Number(req.body.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_QUANTITY) {
+        return res.status(400).json({ error: `Quantity must be a whole number from 0 to ${MAX_QUANTITY}.` });
+    }
+
+    try {
+        const aircraft = await getAircraft(req.supabase, req.params.aircraftId);
+        if (!aircraft) {
+            return res.status(404).json({ error: 'Aircraft not found' });
+        }
+
+        setCartItem(req.session, inCurrency(aircraft, res.locals.currency), quantity);
+        res.json({ data: await loadPricedCart(req, res) });
+    } catch (error) {
+        logger.error('Error updating cart', { error });
+        res.status(500).json({ error: 'Error updating cart' });
+    }
+});
+
+app.delete('/api/cart/items/:aircraftId', requireUser, async (req, res) => {
+    try {
+        removeCartItem(req.session, Number(req.params.aircraftId));
+        res.json({ data: await loadPricedCart(req, res) });
+    } catch (error) {
+        logger.error('Error updating cart', { error });
+        res.status(500).json({ error: 'Error updating cart' });
+    }
+});
+
+app.delete('/api/cart', requireUser, (req, res) => {
+    clearCart(req.session);
+    res.json({ data: priceCart({ items: [] }, []) });
+});
+
+// **Place Aircraft Order**
+app.post('/api/orders', requireUser, async (req, res) => {
+    if (!supabaseAdmin) {
+        return res.status(503).json({ error: 'Ordering is not available right now.' });
+    }
+
+    try {
+        const cart = await loadPricedCart(req, res);
+
+        if (cart.items.length === 0 && cart.problems.length === 0) {
+            return res.status(400).json({ error: 'Your cart is empty.' });
+        }
+
+        // Prices or availability changed since the buyer saw them: update the cart and ask again
+        if (cart.problems.length > 0) {
+            refreshCart(req.session, cart);
+            return res.status(409).json({
+                error: cart.problems.map(problem => problem.message).join(' '),
+                errors: cart.problems,
+                cart: { ...cart, problems: [] }
+            });
+        }
+
+        const { card, errors: cardErrors } = parsePaymentCard(req.body);
+        const { email: receiptEmail, errors: emailErrors } = parseReceiptEmail(req.body);
+        const errors = { ...emailErrors, ...cardErrors };
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({ error: Object.values(errors).join(' '), errors });
+        }
+
+        // The order waits as pending_payment until the payment webhook marks it paid
+        const order = await placeAircraftOrder(supabaseAdmin, {
+            userId: res.locals.user ? res.locals.user.id : null,
+            pricedCart: cart
+        });
+
+        const pending = { orderNumber: order.order_number, receiptEmail, retryUrl: '/place-order' };
+        const intent = await checkout.pay(req, res, {
+            kind: 'aircraft',
+            amount: order.total,
+            currency: order.currency,
+            reference: order.order_number,
+            description: `Aircraft order ${order.order_number}`,
+            card,
+            pending
+        });
+        await attachOrderPayment(supabaseAdmin, order.order_number, intent.id);
+
+        await respondToPayment(req, res, intent, 'aircraft', pending);
+    } catch (error) {
+        logger.error('Error placing aircraft order', { error });
+        res.status(500).json({ error: 'Error placing order' });
+    }
 });
 
+// **Payments**
+// Where the card challenge sends the buyer back to. Hotels paid this way ask for
+// the guarantee card again (posted back here), as it is not kept during the challenge.
+async function returnFromPayment(req, res, next, intentId, guarantee = null) {
+    const started = await checkout.resume(req, intentId);
+
+    if (!started) {
+        return next(new NotFoundError('We could not find that payment.'));
+    }
+    if (started.redirect) {
+        return res.redirect(started.redirect); // Already booked
+    }
+
+    const { intent, kind, pending } = started;
+    if (intent.status === 'requires_action') {
+        return res.redirect(intent.nextAction.url);
+    }
+    if (intent.status !== 'succeeded') {
+        return next(paymentFailed(intent.failure ? intent.failure.message : 'Your payment could not be completed.', pending.retryUrl));
+    }
+
+    const live = {};
+    if (kind === 'hotel') {
+        const page = { title: res.locals.t('guarantee.title'), intent, pending, errors: [] };
+        if (!guarantee) {
+            return res.render('hotel-guarantee', page);
+        }
+        const { card, errors } = parseGuaranteeCard(guarantee, pending.booking.card.last4);
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).render('hotel-guarantee', { ...page, errors: Object.values(errors) });
+        }
+        live.card = card;
+    }
+
+    try {
+        const { redirect } = await completePaidCheckout(req, res, intent, kind, pending, live);
+        res.redirect(redirect);
+    } catch (error) {
+        next(paymentFailed(error.refunded
+            ? 'We could not complete your booking. Your payment has been refunded.'
+            : 'We could not complete your booking. Please contact our support.', pending.retryUrl));
+    }
+}
 
+app.get('/payments/return', requireUser, async (req, res, next) => {
+    try {
+        await returnFromPayment(req, res, next, String(req.query.intent || ''));
+    } catch (error) {
+        next(error);
+    }
+});
 
-app.get('/flights', (req, res) => {
-    res.render('flights', { title: 'Search Flights', query: req.query });
+app.post('/payments/return', requireUser, async (req, res, next) => {
+    try {
+        await returnFromPayment(req, res, next, String(req.body.intent || ''), req.body);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Provider events; the only way a payment (and an aircraft order) becomes paid
+app.post('/payments/webhook', async (req, res) => {
+    let event;
+    try {
+        event = payments.verifyWebhook(req.rawBody || Buffer.alloc(0), req.headers);
+    } catch (error) {
+        logger.warn('Rejected payment webhook', { error: error.message });
+        return res.status(400).json({ error: 'Invalid webhook' });
+    }
+
+    if (!supabaseAdmin) {
+        return res.status(503).json({ error: 'Payments are not available' });
+    }
+
+    try {
+        await applyPaymentEvent(supabaseAdmin, event);
+        res.json({ received: true });
+    } catch (error) {
+        logger.error('Error applying payment event', { error });
+        res.status(500).json({ error: 'Error applying payment event' });
+    }
+});
+
+// **Sandbox Card Challenge** (stands in for the bank's 3-D Secure page)
+if (payments.name === 'sandbox') {
+    app.get('/payments/sandbox/challenge/:intentId', async (req, res, next) => {
+        if (!(req.session.checkouts || []).includes(req.params.intentId)) {
+            return next(new NotFoundError('We could not find that payment.'));
+        }
+
+        try {
+            const intent = await payments.getIntent(req.params.intentId);
+            res.render('payment-challenge', { title: res.locals.t('challenge.title'), intent });
+        } catch (error) {
+            next(new NotFoundError('We could not find that payment.', { cause: error }));
+        }
+    });
+
+    app.post('/payments/sandbox/challenge/:intentId', async (req, res, next) => {
+        if (!(req.session.checkouts || []).includes(req.params.intentId)) {
+            return next(new NotFoundError('We could not find that payment.'));
+        }
+
+        try {
+            const intent = await payments.completeChallenge(req.params.intentId, req.body.result === 'approve');
+            res.redirect(intent.returnUrl);
+        } catch (error) {
+            next(error);
+        }
+    });
+}
+
+// Airports and cities matching what was typed, for the search forms and the API
+async function suggestLocations(keyword, subType = 'AIRPORT,CITY') {
+    const response = await amadeus.searchLocations({ keyword, subType });
+    return response.data || [];
+}
+
+app.get('/suggestions', requireUser, async (req, res) => {
+    const query = req.query.query;
+
+    try {
+        const locations = await suggestLocations(query);
+
+        // Map response to include both city and airport name
+        const suggestions = locations.map(item => ({
+            city: item.address.cityName,
+            airport: item.name,
+            code: item.iataCode,
+            cityCode: item.address.cityCode || item.iataCode
+        }));
+
+        res.json(suggestions);
+    } catch (error) {
+        const appError = toAppError(error);
+        logger.error('Error fetching suggestions', { error });
+        res.status(appError.status).json({ error: appError.message });
+    }
+});
+
+
+// Airline names for every carrier in the given offers, in one batched lookup
+function getAirlinesFromFlightOffers(flights) {
+    return referenceData.getAirlines(flights.flatMap(flight =>
+        flight.itineraries.flatMap(itinerary => itinerary.segments.map(segment => segment.carrierCode))
+    ));
+}
+
+// Offers for a search that start and end where each leg was searched, with
+// offer tokens and the response dictionaries. Served from flightSearchCache when fresh.
+async function loadFlightResults(search) {
+    const cacheKey = crypto.createHash('sha256').update(flightSearchParams(search).toString()).digest('base64url');
+    const cached = await flightSearchCache.get(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const flightData = await searchFlightOffers(amadeus, search);
+
+    // Airports served by each leg's origin and destination (a city code covers several)
+    const legAirports = await Promise.all(search.legs.map(async leg => ({
+        origin: [leg.originCode, ...await getRelatedAirportCodes(leg.originCode)],
+        destination: [leg.destinationCode, ...await getRelatedAirportCodes(leg.destinationCode)]
+    })));
+
+    // Keep offers whose every itinerary starts and ends where its leg was searched
+    const flights = flightData.data.filter(flight => flight.itineraries.length === search.legs.length &&
+        flight.itineraries.every((itinerary, index) => {
+            const segments = itinerary.segments;
+            return legAirports[index].origin.includes(segments[0].departure.iataCode) &&
+                legAirports[index].destination.includes(segments[segments.length - 1].arrival.iataCode);
+        }));
+
+    // Keep the offers server-side; the page only carries signed tokens
+    const offerTokens = await offerCache.save(search, flights);
+    flights.forEach((flight, index) => {
+        flight.offerToken = offerTokens[index];
+    });
+
+    const results = { flights, dictionaries: flightData.dictionaries || {} };
+    await flightSearchCache.set(cacheKey, results, FLIGHT_SEARCH_TTL_SECONDS);
+    return results;
+}
+
+// Results for a valid search with the airline and city names the offers pages show
+async function findFlightOffers(search) {
+    const { flights, dictionaries } = await loadFlightResults(search);
+    const [firstLeg] = search.legs;
+    const lastLeg = search.tripType === 'roundtrip' ? firstLeg : search.legs[search.legs.length - 1];
+
+    const [originCity, destinationCity, airlines] = await Promise.all([
+        referenceData.getCityName(firstLeg.originCode),
+        referenceData.getCityName(lastLeg.destinationCode),
+        getAirlinesFromFlightOffers(flights)
+    ]);
+
+    // Names Amadeus sent along with the offers fill gaps in the reference data
+    Object.entries(dictionaries.carriers || {}).forEach(([code, name]) => {
+        if (!airlines.some(airline => airline.code === code)) {
+            airlines.push({ code, name });
+        }
+    });
+
+    return { flights, dictionaries, airlines, originCity, destinationCity };
+}
+
+app.get('/flight-offers', requireUser, async (req, res, next) => {
+    const { search, errors } = parseFlightSearch(pageSearchQuery(req, res));
+    const { options, errors: optionErrors } = parseFlightResultOptions(req.query);
+    const searchParams = flightSearchParams(search).toString();
+    const [firstLeg] = search.legs;
+    const lastLeg = search.tripType === 'roundtrip' ? firstLeg : search.legs[search.legs.length - 1];
+    const resultView = {
+        sorts: FLIGHT_SORTS,
+        stopOptions: STOP_OPTIONS,
+        timeWindows: TIME_WINDOWS,
+        options,
+        optionErrors,
+        // Link to the same results with some options changed; filters send back to page 1
+        resultsUrl: changes => {
+            const resultParams = flightResultParams({ ...options, page: 1, ...changes }).toString();
+            return `/flight-offers?${searchParams}${resultParams ? `&${resultParams}` : ''}`;
+        }
+    };
+
+    if (errors.length > 0) {
+        return res.status(400).render('flight-offers', {
+            title: res.locals.t('offers.title'),
+            flights: [],
+            airlines: [],
+            originCity: firstLeg?.originCode,
+            destinationCity: lastLeg?.destinationCode,
+            search,
+            searchParams,
+            errors,
+            results: null,
+            ...resultView,
+            query: req.query
+        });
+    }
+
+    try {
+        const { flights, dictionaries, airlines, originCity, destinationCity } = await findFlightOffers(search);
+        const results = applyFlightResultOptions(flights, options);
+
+        res.render('flight-offers', { 
+            title: res.locals.t('offers.title'), 
+            flights: results.flights, 
+            results,
+            aircraftNames: dictionaries.aircraft || {},
+            originCity,
+            destinationCity,
+            airlines, // Dynamically fetched airlines
+            search,
+            searchParams,
+            errors,
+            ...resultView,
+            query: req.query
+        });
+    } catch (error) {
+        next(toAppError(error, { actions: [{ label: 'Modify Search', href: `/flights?${searchParams}` }] }));
+    }
+});
+
+// Function to get all related airport codes for a city (e.g., JFK, LGA, EWR for New York)
+async function getRelatedAirportCodes(cityCode) {
+    try {
+        return await referenceData.getRelatedAirportCodes(cityCode);
+    } catch (error) {
+        logger.error('Error fetching related airport codes', { error });
+        return [cityCode]; // Fallback to the city code if the API fails
+    }
+}
+
+// Recovery actions for a page reached from search results: back to them, or change the search
+function searchActions(resultsUrl, formUrl) {
+    return [
+        { label: 'Search Again', href: resultsUrl },
+        { label: 'Modify Search', href: formUrl }
+    ];
+}
+
+// Seat maps for the details page. Not every airline publishes them, so the page
+// goes without when they cannot be fetched.
+async function fetchSeatMaps(pricedOffer) {
+    try {
+        const seatmaps = await amadeus.getSeatmaps([pricedOffer]);
+        return seatMapsForPage(seatmaps.data, pricedOffer);
+    } catch (error) {
+        logger.warn('Seat maps could not be loaded', { error });
+        return [];
+    }
+}
+
+// Who a flight pricing belongs to: this session, or one details page in it
+// (`pricingId`), so two tabs on the same offer keep their own seats and extras
+function pricingOwner(req, pricingId = null) {
+    return /^[\w-]{8,32}$/.test(String(pricingId || '')) ? `${req.sessionID}.${pricingId}` : req.sessionID;
+}
+
+// Confirm the current price of the offer behind a token, along with the seats,
+// bags and services on sale (`extras`, the seat maps only when asked for), and
+// keep both for `pricing` (see pricingOwner):
+// { status: 'ok' | 'invalid' | 'expired' | 'unavailable', offer, pricedOffer, priceChange, extras, search }
+async function priceFlightOffer(offerToken, pricing, { seatMaps = false } = {}) {
+    const cached = await offerCache.load(offerToken);
+    if (cached.status !== 'ok') {
+        return cached;
+    }
+
+    // Use the flight offer in the flight pricing API
+    let flightDetails;
+    try {
+        flightDetails = await amadeus.priceFlightOffers([cached.offer], { include: 'bags,other-services' });
+    } catch (error) {
+        const status = error.response?.status;
+        if (status && status >= 400 && status < 500) {
+            logger.warn('Flight offer could not be priced', { error });
+            return { status: 'unavailable', search: cached.search };
+        }
+        throw error;
+    }
+
+    const pricedOffer = flightDetails.data.flightOffers[0];
+    await offerCache.savePriced(offerToken, pricing, pricedOffer);
+
+    // Pricing again starts over without extras; they are added with /flight-details/extras
+    const extras = {
+        seatMaps: seatMaps ? await fetchSeatMaps(pricedOffer) : [],
+        ...ancillaryOptions(flightDetails, pricedOffer.price.currency)
+    };
+    await offerCache.saveExtras(offerToken, pricing, { catalog: extras, selection: null, baseTotal: pricedOffer.price.grandTotal });
+
+    // Tell the user when the confirmed price differs from the search result
+    const priceChange = pricedOffer.price.grandTotal !== cached.offer.price.grandTotal
+        ? { from: cached.offer.price.grandTotal, to: pricedOffer.price.grandTotal, currency: pricedOffer.price.currency }
+        : null;
+
+    return { status: 'ok', offer: cached.offer, pricedOffer, priceChange, extras, search: cached.search };
+}
+
+app.get('/flight-details', requireUser, async (req, res, next) => {
+    const offerToken = req.query.offer; // Signed token of the offer picked on /flight-offers
+    // The original search rides along so an expired offer can be searched again
+    const searchParams = flightSearchParams(parseFlightSearch(pageSearchQuery(req, res)).search).toString();
+    const actions = searchActions(`/flight-offers?${searchParams}`, `/flights?${searchParams}`);
+
+    if (!offerToken) {
+        return next(new ValidationError('Choose a flight from the search results.', { actions })); // Check if the offer token is present
+    }
+
+    try {
+        // Price the exact offer the user selected. Every view is a pricing of its own,
+        // so reloading or opening the offer again never changes one being booked.
+        const pricingId = crypto.randomBytes(12).toString('base64url');
+        const priced = await priceFlightOffer(offerToken, pricingOwner(req, pricingId), { seatMaps: true });
+
+        if (priced.status === 'invalid') {
+            return next(new ValidationError('This flight offer link is not valid. Please choose a flight from the search results.', { actions }));
+        }
+        if (priced.status === 'expired') {
+            return next(new OfferExpiredError('This flight offer has expired. Fares change often, so please search again for current prices.', { actions }));
+        }
+        if (priced.status === 'unavailable') {
+            return next(new OfferExpiredError('This fare is no longer available. Please search again to see current offers.', { actions }));
+        }
+
+        const { pricedOffer, priceChange, extras, search } = priced;
+
+        // Fetch airline, city and airport names for every segment at once
+        const segments = pricedOffer.itineraries.flatMap(itinerary => itinerary.segments);
+        const [airlines, locations] = await Promise.all([
+            getAirlinesFromFlightOffers([pricedOffer]),
+            referenceData.getCityAndAirportNames(segments.flatMap(segment => [segment.departure.iataCode, segment.arrival.iataCode]))
+        ]);
+
+        // Add city names, airport names, terminals and durations to each segment
+        for (let itinerary of pricedOffer.itineraries) {
+            for (let segment of itinerary.segments) {
+                const departureLocation = locations[segment.departure.iataCode];
+                const arrivalLocation = locations[segment.arrival.iataCode];
+
+                segment.departure.cityName = departureLocation.city;
+                segment.departure.airportName = departureLocation.airport;
+                segment.departure.terminal = segment.departure.terminal || 'N/A'; // Handle cases where terminal info is not available
+                segment.arrival.cityName = arrivalLocation.city;
+                segment.arrival.airportName = arrivalLocation.airport;
+                segment.arrival.terminal = segment.arrival.terminal || 'N/A';
+
+                // Match carrierCode with airline name
+                const airline = airlines.find(a => a.code === segment.carrierCode);
+                segment.airlineName = airline ? airline.name : segment.carrierCode;
+
+                // Calculate and format flight duration
+                const departureTime = new Date(segment.departure.at);
+                const arrivalTime = new Date(segment.arrival.at);
+                const duration = Math.floor((arrivalTime - departureTime) / (1000 * 60)); // Duration in minutes
+                const hours = Math.floor(duration / 60);
+                const minutes = duration % 60;
+                segment.flightDuration = `${hours}h ${minutes}m`; // Display duration as "Xh Ym"
+            }
+        }
+
+        // Get detailed pricing, including taxes
+        const totalPrice = pricedOffer.price.total;
+        const totalTax = pricedOffer.price.totalTaxes || 'N/A';
+
+        // Render the flight details page with all the required information
+        res.render('flight-details', {
+            title: res.locals.t('flightDetails.title'),
+            flight: pricedOffer,
+            totalPrice: totalPrice, // Include total price with tax
+            totalTax: totalTax,     // Include tax details
+            priceChange,
+            offerToken,
+            pricingId,
+            countries: COUNTRIES,
+            genders: TRAVELER_GENDERS,
+            travelerTypeLabels: TRAVELER_TYPE_LABELS,
+            loyaltyCarriers: loyaltyCarriers(pricedOffer),
+            extras,
+            search,
+            searchParams: flightSearchParams(search).toString()
+        });
+
+    } catch (error) {
+        next(toAppError(error, { actions }));
+    }
+});
+
+// **Seats and extras**: price the offer again with the seats, bags and services
+// chosen on the details page. Booking uses the offer as priced here.
+app.post('/flight-details/extras', requireUser, async (req, res) => {
+    const { offerToken } = req.body;
+    const pricing = pricingOwner(req, req.body.pricingId);
+    const searchParams = flightSearchParams(parseFlightSearch(pageSearchQuery(req, res)).search).toString();
+
+    try {
+        const cached = await offerCache.load(offerToken, pricing);
+
+        if (cached.status === 'invalid') {
+            return res.status(400).json({ error: 'Invalid flight offer' });
+        }
+        if (cached.status === 'expired' || !cached.extras) {
+            return res.status(410).json({
+                error: 'This flight offer has expired. Please search again for current prices.',
+                expired: true,
+                redirect: `/flight-offers?${searchParams}`
+            });
+        }
+
+        const { catalog, baseTotal } = cached.extras;
+        const { extras, errors } = parseFlightExtras(req.body, cached.offer, catalog);
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({ error: 'Please correct the highlighted choices.', errors });
+        }
+
+        let flightDetails;
+        try {
+            flightDetails = await amadeus.priceFlightOffers([applyFlightExtras(cached.offer, extras, catalog)]);
+        } catch (error) {
+            const status = error.response?.status;
+            if (status && status >= 400 && status < 500) {
+                logger.warn('Flight extras could not be priced', { error });
+                return res.status(409).json({ error: 'The airline could not confirm these choices. Pick another seat or remove an extra and try again.' });
+            }
+            throw error;
+        }
+
+        const pricedOffer = flightDetails.data.flightOffers[0];
+        await offerCache.savePriced(offerToken, pricing, pricedOffer);
+        await offerCache.saveExtras(offerToken, pricing, { catalog, selection: extras, baseTotal });
+
+        res.json({
+            grandTotal: pricedOffer.price.grandTotal,
+            currency: pricedOffer.price.currency,
+            extrasTotal: Math.max(0, Number(pricedOffer.price.grandTotal) - Number(baseTotal)).toFixed(2)
+        });
+    } catch (error) {
+        const appError = toAppError(error);
+        logger.error('Error pricing flight extras', { error });
+        res.status(appError.status).json({ error: appError.message });
+    }
+});
+
+
+// Check the travelers and card for a booking of a cached offer and charge the card;
+// the flight is booked once the payment succeeds (see paidCheckouts). Returns
+// { status: 'invalid' | 'expired' | 'repriced' | 'errors' | 'unavailable' | 'started', errors, intent, pending }.
+async function startFlightCheckout(req, res, offerToken, body) {
+    // Book the offer exactly as it was priced on the details page (or the API pricing)
+    const pricing = pricingOwner(req, body.pricingId);
+    const cached = await offerCache.load(offerToken, pricing);
+    if (cached.status !== 'ok') {
+        return cached;
+    }
+
+    // The seats and extras posted must be the ones that offer was priced with
+    const { extras } = parseFlightExtras(body, cached.offer, cached.extras?.catalog);
+    const pricedExtras = cached.extras?.selection || parseFlightExtras({}, cached.offer, null).extras;
+    if (JSON.stringify(extras) !== JSON.stringify(pricedExtras)) {
+        return { status: 'repriced' };
+    }
+
+    const flightOffer = cached.pricedOffer || cached.offer;
+
+    // One traveler per priced passenger and the card, checked field by field
+    const { travelers, errors } = parseFlightTravelers(body, flightOffer);
+    const { card, errors: cardErrors } = parsePaymentCard(body);
+    if (Object.keys(errors).length > 0 || Object.keys(cardErrors).length > 0) {
+        return { status: 'errors', errors: { ...errors, ...cardErrors } };
+    }
+
+    if (!supabaseAdmin) {
+        return { status: 'unavailable' };
+    }
+
+    // Pay first; the flight is booked once the payment succeeds
+    const pending = {
+        offerToken,
+        pricing,
+        travelers,
+        retryUrl: `/flight-details?offer=${encodeURIComponent(offerToken)}&${flightSearchParams(cached.search)}`
+    };
+    const intent = await checkout.pay(req, res, {
+        kind: 'flight',
+        amount: flightOffer.price.grandTotal,
+        currency: flightOffer.price.currency,
+        reference: null,
+        description: `Flight ${flightOffer.itineraries[0].segments[0].departure.iataCode}-${flightOffer.itineraries[0].segments.at(-1).arrival.iataCode}`,
+        card,
+        pending
+    });
+
+    return { status: 'started', intent, pending };
+}
+
+app.post('/confirm-booking', requireUser, async (req, res) => {
+    const { offerToken } = req.body;
+    // The original search rides along in the query string so an expired offer can be searched again
+    const searchParams = flightSearchParams(parseFlightSearch(pageSearchQuery(req, res)).search).toString();
+
+    if (!offerToken) {
+        return res.status(400).json({ error: 'Missing flight offer' });
+    }
+
+    try {
+        const started = await startFlightCheckout(req, res, offerToken, req.body);
+
+        if (started.status === 'invalid') {
+            return res.status(400).json({ error: 'Invalid flight offer' });
+        }
+        if (started.status === 'expired') {
+            return res.status(410).json({
+                error: 'This flight offer has expired. Please search again for current prices.',
+                expired: true,
+                redirect: `/flight-offers?${searchParams}`
+            });
+        }
+        if (started.status === 'repriced') {
+            return res.status(409).json({ error: 'Your seats and extras changed since they were priced. Check the total and confirm again.' });
+        }
+        if (started.status === 'errors') {
+            return res.status(400).json({ error: 'Please correct the highlighted details.', errors: started.errors });
+        }
+        if (started.status === 'unavailable') {
+            return res.status(503).json({ error: 'Payments are not available right now.' });
+        }
+
+        await respondToPayment(req, res, started.intent, 'flight', started.pending);
+    } catch (error) {
+        // Enhanced error handling
+        logger.error('Error confirming booking', { error });
+        res.status(500).json({ error: 'Error confirming booking' });
+    }
+});
+
+// A flight confirmation this visitor may read, with the current order and payment; null when unknown
+async function loadFlightBooking(req, res, reference) {
+    const confirmation = await confirmations.load(req, res, 'flight', reference);
+    if (!confirmation) {
+        return null;
+    }
+
+    const [bookingDetails, payment] = await Promise.all([
+        amadeus.getFlightOrder(confirmation.bookingId),
+        getPayment(supabaseAdmin, confirmation.paymentIntentId)
+    ]);
+    return { confirmation, bookingDetails, payment };
+}
+
+// Where to look for bookings when one cannot be shown
+const bookingActions = [{ label: 'My Trips', href: '/trips' }];
+
+app.get('/booked-flight', requireUser, async (req, res, next) => {
+    try {
+        const booking = await loadFlightBooking(req, res, req.query.ref);
+
+        if (!booking) {
+            return next(new NotFoundError('We could not find that booking.', { actions: bookingActions }));
+        }
+
+        const { confirmation, bookingDetails } = booking;
+        const segments = [];
+        const flightOffers = bookingDetails.data.flightOffers;
+
+        // Look up every airport in the booking at once
+        const locations = await referenceData.getCityAndAirportNames((flightOffers || []).flatMap(offer =>
+            (offer.itineraries || []).flatMap(itinerary =>
+                (itinerary.segments || []).flatMap(segment => [segment.departure.iataCode, segment.arrival.iataCode])
+            )
+        ));
+
+        if (flightOffers && Array.isArray(flightOffers)) {
+            for (const offer of flightOffers) {
+                if (offer.itineraries && Array.isArray(offer.itineraries)) {
+                    for (const itinerary of offer.itineraries) {
+                        if (itinerary.segments && Array.isArray(itinerary.segments)) {
+                            for (const segment of itinerary.segments) {
+                                const departureIata = segment.departure.iataCode;
+                                const arrivalIata = segment.arrival.iataCode;
+
+                                const departureInfo = locations[departureIata];
+                                const arrivalInfo = locations[arrivalIata];
+
+                                segments.push({
+                                    ...segment,
+                                    departure: {
+                                        cityName: departureInfo.city,
+                                        airportName: departureInfo.airport,
+                                        iataCode: departureIata,
+                                        at: segment.departure.at
+                                    },
+                                    arrival: {
+                                        cityName: arrivalInfo.city,
+                                        airportName: arrivalInfo.airport,
+                                        iataCode: arrivalIata,
+                                        at: segment.arrival.at
+                                    }
+                                });
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        res.render('booked-flight', { 
+            title: res.locals.t('flightConfirmation.title'),
+            payment: booking.payment,
+            // Bookings made while signed in are managed from My Trips
+            manageUrl: confirmation.owner && confirmation.owner === res.locals.user?.id
+                ? `/bookings/flights/${encodeURIComponent(confirmation.bookingId)}`
+                : null,
+            contact: confirmation.contact,
+            travelers: confirmation.travelers,
+            bookingDetails: { ...bookingDetails, segments }
+        });
+    } catch (error) {
+        next(toAppError(error, { actions: bookingActions }));
+    }
+});
+
+// Hotels Route (New)
+app.get('/hotels', requireUser, (req, res) => {
+    
+        res.render('hotels', { title: res.locals.t('hotels.searchTitle'), search: parseHotelSearch(pageSearchQuery(req, res)).search, query: req.query });
+
+    
+});
+
+// Autocomplete Suggestions Route (for city names)
+app.get('/hotel-suggestions', requireUser, async (req, res) => {
+    const query = req.query.query;
+
+    try {
+        let citySuggestions = [];
+
+        if (query.length >= 3) {
+
+            // Fetch city suggestions
+            citySuggestions = (await suggestLocations(query, 'CITY')).map(item => ({
+                name: item.name,
+                code: item.iataCode
+            }));
+        }
+
+        res.json(citySuggestions);
+    } catch (error) {
+        const appError = toAppError(error);
+        logger.error('Error fetching suggestions', { error });
+        res.status(appError.status).json({ error: appError.message });
+    }
+});
+
+
+// Priced hotels for a valid search, cheapest first: { hotels, cityName }, or null
+// when the typed city cannot be found. A search without a picked suggestion is
+// resolved through the Amadeus Locations API.
+async function findHotelOffers(search) {
+    if (!search.cityCode) {
+        const [cityData] = await suggestLocations(search.searchQuery, 'CITY');
+        if (!cityData || !cityData.iataCode) {
+            return null;
+        }
+        search.cityCode = cityData.iataCode;
+    }
+
+    const [hotels, cityName] = await Promise.all([
+        searchHotelOffersByCity(amadeus, search),
+        referenceData.getCityName(search.cityCode)
+    ]);
+    return { hotels, cityName };
+}
+
+// Route for fetching priced hotel offers by city for the chosen dates and guests
+app.get('/hotel-offers', requireUser, async (req, res, next) => {
+    const { search, errors } = parseHotelSearch(pageSearchQuery(req, res));
+
+    const renderOffers = (status, hotels, cityName) => res.status(status).render('hotel-offers', {
+        title: res.locals.t('hotelOffers.title'),
+        hotels,
+        cityName: cityName || search.searchQuery || search.cityCode,
+        nights: errors.length === 0 ? nightsBetween(search.checkInDate, search.checkOutDate) : 0,
+        search,
+        searchParams: hotelSearchParams(search).toString(),
+        errors,
+        query: req.query
+    });
+
+    if (errors.length > 0) {
+        return renderOffers(400, []);
+    }
+
+    try {
+        const found = await findHotelOffers(search);
+        if (!found) {
+            errors.push('We could not find that city. Choose one from the suggestions.');
+            return renderOffers(404, []);
+        }
+
+        return renderOffers(200, found.hotels, found.cityName);
+    } catch (error) {
+        if (error.response && error.response.status === 400) {
+            logger.warn('Hotel offers could not be priced', { error });
+            errors.push('No hotels could be priced for this search. Try different dates or another city.');
+            return renderOffers(400, []);
+        }
+        next(toAppError(error, { actions: [{ label: 'Modify Search', href: `/hotels?${hotelSearchParams(search)}` }] }));
+    }
+});
+
+// Every room offer of one hotel for the searched stay: { hotel, offers, cityName },
+// or null when it has no rooms left for those dates
+async function loadHotelOffers(hotelId, search) {
+    const hotelOfferResponse = await amadeus.searchHotelOffers({
+        hotelIds: hotelId,
+        checkInDate: search.checkInDate,
+        checkOutDate: search.checkOutDate,
+        adults: search.adults,
+        roomQuantity: search.roomQuantity,
+        bestRateOnly: false,
+        ...(search.currencyCode ? { currency: search.currencyCode } : {})
+    });
+
+    const hotelOffer = hotelOfferResponse.data && hotelOfferResponse.data[0];
+    if (!hotelOffer || !hotelOffer.offers || hotelOffer.offers.length === 0) {
+        return null;
+    }
+
+    return {
+        hotel: hotelOffer.hotel,
+        offers: hotelOffer.offers.map(describeHotelOffer),
+        cityName: await referenceData.getCityName(hotelOffer.hotel.cityCode || search.cityCode)
+    };
+}
+
+app.get('/hotel-details', requireUser, async (req, res, next) => {
+    const { hotelId } = req.query;
+    const { search, errors } = parseHotelSearch(pageSearchQuery(req, res));
+    const searchParams = hotelSearchParams(search).toString();
+    const actions = searchActions(`/hotel-offers?${searchParams}`, `/hotels?${searchParams}`);
+
+    if (!hotelId) {
+        return next(new ValidationError('Choose a hotel from the search results.', { actions }));
+    }
+    if (errors.length > 0) {
+        return res.redirect(`/hotel-offers?${hotelSearchParams(search)}`);
+    }
+
+    try {
+        // Fetch every room offer of this hotel for the searched stay
+        const hotelOffers = await loadHotelOffers(hotelId, search);
+
+        if (!hotelOffers) {
+            return next(new NoResultsError('This hotel has no rooms available for your dates. Try another hotel or different dates.', { actions }));
+        }
+
+        // Prepare the hotel data for display on the `hotel-details` page
+        const { hotel, offers, cityName } = hotelOffers;
+        const hotelInfo = {
+            id: hotel.hotelId,
+            name: hotel.name,
+            description: hotel.description?.text || 'No description available',
+            address: hotel.address,
+            cityName,
+            rating: hotel.rating || 'N/A',
+            offers
+        };
+
+        res.render('hotel-details', {
+            title: res.locals.t('hotelDetails.title'),
+            hotel: hotelInfo,
+            selectedOfferId: req.query.offerId || hotelInfo.offers[0].id,
+            cardVendors: CARD_VENDORS,
+            search,
+            searchParams
+        });
+    } catch (error) {
+        next(toAppError(error, { actions }));
+    }
+});
+
+// Check the guest and card for a room offer, make sure it is still available at
+// the price shown and charge the stay; the room is booked once the payment
+// succeeds (see paidCheckouts). `searchParams` is the hotel search to retry from.
+// Returns { status: 'errors' | 'expired' | 'unavailable' | 'started', errors, intent, pending }.
+async function startHotelCheckout(req, res, body, searchParams) {
+    const { booking, errors } = parseHotelBooking(body);
+    if (errors.length > 0) {
+        return { status: 'errors', errors };
+    }
+
+    let checkedOffer;
+    try {
+        checkedOffer = await amadeus.getHotelOffer(booking.offerId);
+    } catch (error) {
+        const status = error.response?.status;
+        if (status && status >= 400 && status < 500) {
+            logger.warn('Hotel offer is no longer available', { error });
+            return { status: 'expired' };
+        }
+        throw error;
+    }
+
+    if (!supabaseAdmin) {
+        return { status: 'unavailable' };
+    }
+
+    // Charge the stay first; the room is booked once the payment succeeds
+    const offer = describeHotelOffer(checkedOffer.data.offers[0]);
+    const hotel = checkedOffer.data.hotel;
+    // Only the last four digits of the card are kept with the checkout. When the card
+    // needs a challenge, the guest enters it again to guarantee the room once paid.
+    const pending = {
+        booking: { ...booking, card: { last4: booking.card.number.slice(-4) } },
+        hotel: { hotelId: hotel.hotelId, name: hotel.name, address: hotel.address },
+        offer,
+        retryUrl: `/hotel-details?hotelId=${encodeURIComponent(hotel.hotelId)}&${searchParams}`
+    };
+    const intent = await checkout.pay(req, res, {
+        kind: 'hotel',
+        amount: offer.price,
+        currency: offer.currency,
+        reference: null,
+        description: `${hotel.name}, ${offer.checkInDate} to ${offer.checkOutDate}`,
+        card: booking.card,
+        pending
+    });
+
+    return { status: 'started', intent, pending, card: booking.card };
+}
+
+// **Confirm Hotel Booking**
+app.post('/confirm-hotel-booking', requireUser, async (req, res) => {
+    const searchParams = hotelSearchParams(parseHotelSearch(pageSearchQuery(req, res)).search).toString();
+
+    try {
+        const started = await startHotelCheckout(req, res, req.body, searchParams);
+
+        if (started.status === 'errors') {
+            return res.status(400).json({ error: started.errors.join(' '), errors: started.errors });
+        }
+        if (started.status === 'expired') {
+            return res.status(410).json({
+                error: 'This room is no longer available. Please choose another offer.',
+                expired: true,
+                redirect: `/hotel-offers?${searchParams}`
+            });
+        }
+        if (started.status === 'unavailable') {
+            return res.status(503).json({ error: 'Payments are not available right now.' });
+        }
+
+        await respondToPayment(req, res, started.intent, 'hotel', started.pending, { card: started.card });
+    } catch (error) {
+        logger.error('Error confirming hotel booking', { error });
+        res.status(500).json({ error: 'Error confirming hotel booking' });
+    }
+});
+
+// A hotel confirmation this visitor may read, with the current booking and payment; null when unknown
+async function loadHotelBooking(req, res, reference) {
+    const confirmation = await confirmations.load(req, res, 'hotel', reference);
+    if (!confirmation) {
+        return null;
+    }
+
+    const [bookingDetails, payment] = await Promise.all([
+        amadeus.getHotelBooking(confirmation.bookingId),
+        getPayment(supabaseAdmin, confirmation.paymentIntentId)
+    ]);
+    return { confirmation, booking: bookingDetails.data, payment };
+}
+
+app.get('/booked-hotel', requireUser, async (req, res, next) => {
+    try {
+        const found = await loadHotelBooking(req, res, req.query.ref);
+
+        if (!found) {
+            return next(new NotFoundError('We could not find that booking.', { actions: bookingActions }));
+        }
+
+        const { confirmation, booking } = found;
+
+        res.render('booked-hotel', { 
+            title: res.locals.t('hotelConfirmation.title'),
+            payment: found.payment,
+            travelerInfo: confirmation.travelerInfo,
+            bookingDetails: {
+                ...booking,
+                offer: booking.offer ? describeHotelOffer(booking.offer) : null
+            }
+        });
+    } catch (error) {
+        next(toAppError(error, { actions: bookingActions }));
+    }
+});
+
+
+// **My Trips**
+app.get('/trips', requireUser, async (req, res, next) => {
+    try {
+        const trips = await listTrips(req.supabase, res.locals.user.id);
+        const { upcoming, past } = splitTrips(trips);
+
+        res.render('trips', { title: res.locals.t('trips.title'), upcoming, past });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.get('/trips/:id', requireUser, async (req, res, next) => {
+    try {
+        const trip = await getTrip(req.supabase, res.locals.user.id, req.params.id);
+
+        if (!trip) {
+            return next(new NotFoundError('We could not find that trip.', { actions: bookingActions }));
+        }
+
+        res.render('trip-details', { title: trip.title, trip });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// **Price Alerts**
+async function renderPriceAlerts(req, res, { notice = null, errors = [], status = 200 } = {}) {
+    const alerts = await listPriceAlerts(req.supabase, res.locals.user.id);
+    res.status(status).render('alerts', { title: res.locals.t('alerts.title'), alerts, alertUrl: priceAlertUrl, notice, errors });
+}
+
+app.get('/alerts', requireUser, async (req, res, next) => {
+    try {
+        const notices = { created: 'Price alert created. We will email you when the price drops to your target.', deleted: 'Price alert deleted.' };
+        await renderPriceAlerts(req, res, { notice: notices[req.query.notice] || null });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/alerts', requireUser, async (req, res, next) => {
+    try {
+        const { alert, errors } = parsePriceAlert(req.body);
+        if (errors.length > 0) {
+            return await renderPriceAlerts(req, res, { errors, status: 400 });
+        }
+
+        const created = await createPriceAlert(req.supabase, res.locals.user.id, alert, { email: res.locals.user.email });
+        if (created.errors.length > 0) {
+            return await renderPriceAlerts(req, res, { errors: created.errors, status: 400 });
+        }
+
+        res.redirect('/alerts?notice=created');
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/alerts/:id/delete', requireUser, async (req, res, next) => {
+    try {
+        const deleted = await deletePriceAlert(req.supabase, res.locals.user.id, req.params.id);
+        if (!deleted) {
+            return next(new NotFoundError('We could not find that price alert.', { actions: [{ label: 'Price Alerts', href: '/alerts' }] }));
+        }
+        res.redirect('/alerts?notice=deleted');
+    } catch (error) {
+        next(error);
+    }
+});
+
+// **Manage Flight Booking**
+
+// Cancel a flight order with the airline, refund what was paid and record the
+// cancellation with the service-role client (travelers cannot write trips or
+// cancellations). Resolves with the cancellation, or null when the airline
+// refused and nothing changed. Once the airline has cancelled, a failed refund or
+// record is only logged for support to follow up. The payment is read again
+// after the airline cancel, so a retry never refunds twice.
+async function cancelFlightBooking(trip, { reason = '', email = null } = {}) {
+    try {
+        await amadeus.cancelFlightOrder(trip.reference);
+    } catch (error) {
+        // An order the airline no longer has is recorded as cancelled here too
+        if (error.response?.status !== 404) {
+            logger.error('Error cancelling flight order', { reference: trip.reference, error });
+            return null;
+        }
+    }
+
+    let payment = null;
+    let refund = null;
+    try {
+        payment = await findPaymentByReference(supabaseAdmin, 'flight', trip.reference);
+        if (payment && payment.status === 'paid') {
+            refund = await payments.refund(payment.intent_id, { reason: 'requested_by_customer' });
+        }
+    } catch (error) {
+        logger.error('Error refunding cancelled flight', { reference: trip.reference, error });
+    }
+
+    const details = {
+        trip,
+        userId: trip.user_id,
+        reason: String(reason || '').trim().slice(0, 500),
+        payment,
+        refund
+    };
+    let cancellation;
+    try {
+        cancellation = await recordFlightCancellation(supabaseAdmin, details);
+    } catch (error) {
+        logger.error('Error recording flight cancellation', { reference: trip.reference, error });
+        cancellation = { ...flightCancellationRow(details), cancelled_at: new Date().toISOString() };
+    }
+    mailer.send('cancellation', email, { trip: { ...trip, status: 'cancelled' }, cancellation });
+    return cancellation;
+}
+
+// The live Amadeus order alongside the trip snapshot, with cancel and itinerary actions
+async function renderManageFlight(req, res, trip, { notice = null, error = null, status = 200 } = {}) {
+    let order = null;
+    if (trip.status !== 'cancelled') {
+        try {
+            order = (await amadeus.getFlightOrder(trip.reference)).data;
+        } catch (error) {
+            logger.error('Error retrieving flight order', { reference: trip.reference, error });
+        }
+    }
+
+    const codes = (trip.details.itineraries || []).flatMap(itinerary => itinerary.segments.flatMap(segment => [segment.from, segment.to]));
+    const [locations, cancellation] = await Promise.all([
+        referenceData.getCityAndAirportNames(codes),
+        trip.status === 'cancelled' ? getFlightCancellation(req.supabase, trip.reference) : null
+    ]);
+
+    res.status(status).render('manage-flight', {
+        title: res.locals.t('manage.title'),
+        trip,
+        order,
+        locations,
+        cancellation,
+        canCancel: trip.status !== 'cancelled' && new Date(trip.starts_at) > new Date(),
+        notice,
+        error
+    });
+}
+
+app.get('/bookings/flights/:orderId', requireUser, async (req, res, next) => {
+    try {
+        const trip = await getFlightTrip(req.supabase, res.locals.user.id, req.params.orderId);
+
+        if (!trip) {
+            return next(new NotFoundError('We could not find that booking.', { actions: bookingActions }));
+        }
+
+        await renderManageFlight(req, res, trip, { notice: req.query.cancelled ? 'Your booking has been cancelled.' : null });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/bookings/flights/:orderId/cancel', requireUser, async (req, res, next) => {
+    try {
+        const trip = await getFlightTrip(req.supabase, res.locals.user.id, req.params.orderId);
+
+        if (!trip) {
+            return next(new NotFoundError('We could not find that booking.', { actions: bookingActions }));
+        }
+        if (trip.status === 'cancelled') {
+            return res.redirect(`/bookings/flights/${encodeURIComponent(trip.reference)}`);
+        }
+        if (new Date(trip.starts_at) <= new Date()) {
+            return renderManageFlight(req, res, trip, { error: 'This flight has already departed and can no longer be cancelled online.', status: 400 });
+        }
+        if (!supabaseAdmin) {
+            return renderManageFlight(req, res, trip, { error: 'Bookings cannot be cancelled online right now. Please contact our support.', status: 503 });
+        }
+
+        const cancellation = await cancelFlightBooking(trip, { reason: req.body.reason, email: res.locals.user.email });
+        if (!cancellation) {
+            return renderManageFlight(req, res, trip, {
+                error: 'The airline could not cancel this booking right now. Please try again later or contact our support.',
+                status: 502
+            });
+        }
+
+        res.redirect(`/bookings/flights/${encodeURIComponent(trip.reference)}?cancelled=1`);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Itinerary / e-ticket summary as a text file
+app.get('/bookings/flights/:orderId/itinerary', requireUser, async (req, res, next) => {
+    try {
+        const trip = await getFlightTrip(req.supabase, res.locals.user.id, req.params.orderId);
+
+        if (!trip) {
+            return next(new NotFoundError('We could not find that booking.', { actions: bookingActions }));
+        }
+
+        const codes = (trip.details.itineraries || []).flatMap(itinerary => itinerary.segments.flatMap(segment => [segment.from, segment.to]));
+        const locations = await referenceData.getCityAndAirportNames(codes);
+
+        res.attachment(`travix-itinerary-${trip.details.recordLocator || trip.reference}.txt`)
+            .type('text/plain')
+            .send(flightItineraryText(trip, { locations }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Cars Route (New)
+app.get('/cars', requireUser, (req, res) => {
+    
+        res.render('cars', { title: res.locals.t('cars.searchTitle'), search: parseCarSearch(req.query).search, query: req.query });
+
+    
+});
+
+app.get('/car-offers', requireUser, async (req, res, next) => {
+    const { search, errors } = parseCarSearch(req.query);
+    const searchParams = carSearchParams(search).toString();
+
+    const renderOffers = (status, offers, locations = {}) => res.status(status).render('car-offers', {
+        title: res.locals.t('carOffers.title'),
+        offers,
+        locations,
+        search,
+        searchParams,
+        errors,
+        query: req.query
+    });
+
+    if (errors.length > 0) {
+        return renderOffers(400, []);
+    }
+
+    try {
+        const [offers, locations] = await Promise.all([
+            carProvider.searchOffers(search),
+            referenceData.getCityAndAirportNames([search.pickupCode, search.dropoffCode])
+        ]);
+        offers.sort((a, b) => Number(a.price.total) - Number(b.price.total));
+
+        // Keep the offers server-side; the page only carries signed tokens
+        const offerTokens = await carOfferCache.save(search, offers);
+        offers.forEach((offer, index) => {
+            offer.offerToken = offerTokens[index];
+        });
+
+        renderOffers(200, offers, locations);
+    } catch (error) {
+        if (error.response && error.response.status === 400) {
+            logger.warn('Car offers could not be found', { error });
+            errors.push('No cars could be found for this search. Try other locations or times.');
+            return renderOffers(400, []);
+        }
+        next(toAppError(error, { actions: [{ label: 'Modify Search', href: `/cars?${searchParams}` }] }));
+    }
+});
+
+app.get('/car-details', requireUser, async (req, res, next) => {
+    const offerToken = req.query.offer;
+    const searchParams = carSearchParams(parseCarSearch(req.query).search).toString();
+    const actions = searchActions(`/car-offers?${searchParams}`, `/cars?${searchParams}`);
+
+    if (!offerToken) {
+        return next(new ValidationError('Choose a car from the search results.', { actions }));
+    }
+
+    try {
+        const cached = await carOfferCache.load(offerToken);
+
+        if (cached.status === 'invalid') {
+            return next(new ValidationError('This car offer link is not valid. Please choose a car from the search results.', { actions }));
+        }
+        if (cached.status === 'expired') {
+            return next(new OfferExpiredError('This car offer has expired. Please search again for current prices.', { actions }));
+        }
+
+        const offer = cached.offer;
+        const locations = await referenceData.getCityAndAirportNames([offer.pickup.locationCode, offer.dropoff.locationCode]);
+
+        res.render('car-details', {
+            title: res.locals.t('carDetails.title'),
+            offer,
+            locations,
+            offerToken,
+            search: cached.search,
+            searchParams: carSearchParams(cached.search).toString()
+        });
+    } catch (error) {
+        next(toAppError(error, { actions }));
+    }
+});
+
+// **Confirm Car Booking**
+app.post('/confirm-car-booking', requireUser, async (req, res) => {
+    const { offerToken } = req.body;
+    const searchUrl = `/car-offers?${carSearchParams(parseCarSearch(req.query).search)}`;
+
+    try {
+        const cached = await carOfferCache.load(offerToken);
+        if (cached.status === 'invalid') {
+            return res.status(400).json({ error: 'Invalid car offer' });
+        }
+        if (cached.status === 'expired') {
+            return res.status(410).json({
+                error: 'This car offer has expired. Please search again.',
+                expired: true,
+                redirect: searchUrl
+            });
+        }
+
+        const offer = cached.offer;
+        const { driver, errors } = parseCarDriver(req.body, { requireAge: offer.kind === 'rental' });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(' '), errors });
+        }
+
+        const booking = await carProvider.createBooking(offer, driver);
+
+        // The confirmation stays in this visitor's session; the URL only carries the booking ID.
+        // Only the most recent car bookings stay in the session, like confirmations.
+        req.session.carBookings = Object.fromEntries(
+            [...Object.entries(req.session.carBookings || {}), [booking.id, { booking, offer, driver }]].slice(-20)
+        );
+        const trip = carTrip(booking, { offer, driver });
+        const saved = await saveTrip(req, res, trip);
+        mailer.send('booking-confirmation', driver.email, { trip, name: driver.firstName, manageUrl: saved ? `/trips/${saved.id}` : null });
+
+        res.json({ redirect: `/booked-car?bookingId=${encodeURIComponent(booking.id)}` });
+    } catch (error) {
+        logger.error('Error confirming car booking', { error });
+        res.status(500).json({ error: 'Error confirming car booking' });
+    }
+});
+
+app.get('/booked-car', requireUser, async (req, res, next) => {
+    const { bookingId } = req.query;
+    const entry = req.session.carBookings && req.session.carBookings[bookingId];
+
+    if (!entry) {
+        return next(new NotFoundError('We could not find that booking.', { actions: bookingActions }));
+    }
+
+    try {
+        const locations = await referenceData.getCityAndAirportNames([entry.offer.pickup.locationCode, entry.offer.dropoff.locationCode]);
+
+        res.render('booked-car', {
+            title: res.locals.t('carConfirmation.title'),
+            booking: entry.booking,
+            offer: entry.offer,
+            driver: entry.driver,
+            locations
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+
+// **Back Office**
+// Staff pages under /admin, for admins only. They read and write across every
+// account with the service-role client, and each action lands in the audit log.
+// Every form posts the session's CSRF token.
+const requireAdmin = requireAuth('admin');
+
+app.use('/admin', requireAdmin, requireCsrfToken(), (req, res, next) => {
+    if (!supabaseAdmin) {
+        return next(new AppError('unavailable', 'The back office needs SUPABASE_SERVICE_ROLE_KEY to be set.'));
+    }
+    res.locals.csrfToken = csrfToken(req);
+    next();
+});
+
+// Write an audit log entry for what the signed-in admin just did. The action has
+// already happened, so a failure to record it is logged rather than shown.
+async function audit(res, action, targetType, targetId, details = {}) {
+    try {
+        await recordAuditEvent(supabaseAdmin, { actor: res.locals.user, action, targetType, targetId, details });
+    } catch (error) {
+        logger.error('Error writing audit log', { action, targetType, targetId, error });
+    }
+}
+
+const backOfficeActions = {
+    bookings: [{ label: 'Bookings', href: '/admin/bookings' }],
+    orders: [{ label: 'Aircraft Orders', href: '/admin/orders' }],
+    aircraft: [{ label: 'Aircraft Catalog', href: '/admin/aircraft' }]
+};
+
+app.get('/admin', (req, res) => {
+    res.redirect('/admin/bookings');
+});
+
+app.get('/admin/bookings', async (req, res, next) => {
+    const filters = parseBookingFilters(req.query);
+
+    try {
+        const results = await listBookings(supabaseAdmin, filters);
+        res.render('admin/bookings', {
+            title: res.locals.t('admin.bookingsTitle'),
+            section: 'bookings',
+            filters,
+            results,
+            kinds: BOOKING_KINDS,
+            statuses: BOOKING_STATUSES,
+            pageUrl: page => `/admin/bookings?${filterParams(filters, page)}`
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+async function renderBooking(req, res, booking, { notice = null, error = null, status = 200 } = {}) {
+    const codes = (booking.details.itineraries || []).flatMap(itinerary => itinerary.segments.flatMap(segment => [segment.from, segment.to]));
+    const [payment, email, cancellation, locations, history] = await Promise.all([
+        findPaymentByReference(supabaseAdmin, booking.kind, booking.reference),
+        getAccountEmail(supabaseAdmin, booking.user_id).catch(error => {
+            logger.warn('Error loading account email', { userId: booking.user_id, error });
+            return null;
+        }),
+        booking.kind === 'flight' && booking.status === 'cancelled' ? getFlightCancellation(supabaseAdmin, booking.reference) : null,
+        referenceData.getCityAndAirportNames(codes),
+        listAuditEvents(supabaseAdmin, { targetType: 'booking', targetId: booking.id })
+    ]);
+
+    res.status(status).render('admin/booking', {
+        title: res.locals.t('admin.bookingTitle', { reference: booking.reference }),
+        section: 'bookings',
+        booking,
+        payment,
+        email,
+        cancellation,
+        locations,
+        history: history.events,
+        auditActions: AUDIT_ACTIONS,
+        // Amadeus Self-Service cannot cancel hotel bookings; those go through the property
+        canCancel: booking.kind === 'flight' && booking.status !== 'cancelled' && new Date(booking.starts_at) > new Date(),
+        notice,
+        error
+    });
+}
+
+app.get('/admin/bookings/:id', async (req, res, next) => {
+    try {
+        const booking = await getBooking(supabaseAdmin, req.params.id);
+        if (!booking) {
+            return next(new NotFoundError('We could not find that booking.', { actions: backOfficeActions.bookings }));
+        }
+
+        await audit(res, 'booking.viewed', 'booking', booking.id, { kind: booking.kind, reference: booking.reference });
+        await renderBooking(req, res, booking, { notice: req.query.cancelled ? 'The booking has been cancelled.' : null });
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.post('/admin/bookings/:id/cancel', async (req, res, next) => {
+    try {
+        const booking = await getBooking(supabaseAdmin, req.params.id);
+        if (!booking) {
+            return next(new NotFoundError('We could not find that booking.', { actions: backOfficeActions.bookings }));
+        }
+        if (booking.status === 'cancelled') {
+            return res.redirect(`/admin/bookings/${booking.id}`);
+        }
+        if (booking.kind !== 'flight') {
+            return renderBooking(req, res, booking, { error: 'Hotel bookings cannot be cancelled here. Contact the property to cancel.', status: 400 });
+        }
+        if (new Date(booking.starts_at) <= new Date()) {
+            return renderBooking(req, res, booking, { error: 'This flight has already departed and can no longer be cancelled.', status: 400 });
+        }
+
+        const email = await getAccountEmail(supabaseAdmin, booking.user_id).catch(() => null);
+        const cancellation = await cancelFlightBooking(booking, { reason: req.body.reason, email });
+        if (!cancellation) {
+            return renderBooking(req, res, booking, { error: 'The airline could not cancel this booking right now. Please try again later.', status: 502 });
+        }
+
+        await audit(res, 'booking.cancelled', 'booking', booking.id, {
+            kind: booking.kind,
+            reference: booking.reference,
+            reason: cancellation.reason,
+            refundStatus: cancellation.refund_status,
+            refundAmount: cancellation.refund_amount
+        });
+        res.redirect(`/admin/bookings/${booking.id}?cancelled=1`);
+    } catch (error) {
+        next(error);
+    }
 });
 
-app.get('/place-order', (req, res) => {
-    res.render('place-order', { title: 'Place Order', query: req.query });
-});
+app.get('/admin/orders', async (req, res, next) => {
+    const filters = parseOrderFilters(req.query);
 
-app.get('/order-success', (req, res) => {
-    res.render('order-success', { title: 'Order Successful', query: req.query });
+    try {
+        const results = await listAircraftOrders(supabaseAdmin, filters);
+        res.render('admin/orders', {
+            title: res.locals.t('admin.ordersTitle'),
+            section: 'orders',
+            filters,
+            results,
+            statuses: ORDER_STATUSES,
+            pageUrl: page => `/admin/orders?${filterParams(filters, page)}`
+        });
+    } catch (error) {
+        next(error);
+    }
 });
 
-app.get('/suggestions', async (req, res) => {
-    const query = req.query.query;
+async function renderOrder(req, res, order, { notice = null, error = null, status = 200 } = {}) {
+    const [payment, email, history] = await Promise.all([
+        order.payment_intent_id ? getPayment(supabaseAdmin, order.payment_intent_id) : null,
+        getAccountEmail(supabaseAdmin, order.user_id).catch(error => {
+            logger.warn('Error loading account email', { userId: order.user_id, error });
+            return null;
+        }),
+        listAuditEvents(supabaseAdmin, { targetType: 'order', targetId: order.order_number })
+    ]);
+
+    res.status(status).render('admin/order', {
+        title: res.locals.t('admin.orderTitle', { orderNumber: order.order_number }),
+        section: 'orders',
+        order,
+        payment,
+        email,
+        history: history.events,
+        auditActions: AUDIT_ACTIONS,
+        canCancel: CANCELLABLE_ORDER_STATUSES.includes(order.status),
+        notice,
+        error
+    });
+}
 
+app.get('/admin/orders/:orderNumber', async (req, res, next) => {
     try {
-        const response = await axios.get('https://test.api.amadeus.com/v1/reference-data/locations', {
-            headers: {
-                Authorization: `Bearer ${accessToken}`
-            },
-            params: {
-                keyword: query,
-                subType: 'AIRPORT,CITY'
-            }
-        });
-
-        // Map response to include both city and airport name
-        const suggestions = response.data.data.map(item => ({
-            city: item.address.cityName,
-            airport: item.name,
-            code: item.iataCode
-        }));
+        const order = await getAircraftOrder(supabaseAdmin, req.params.orderNumber);
+        if (!order) {
+            return next(new NotFoundError('We could not find that order.', { actions: backOfficeActions.orders }));
+        }
 
-        res.json(suggestions);
+        await audit(res, 'order.viewed', 'order', order.order_number);
+        await renderOrder(req, res, order, { notice: req.query.cancelled ? 'The order has been cancelled.' : null });
     } catch (error) {
-        console.error('Error fetching suggestions:', error.message);
-        res.status(500).send('Error fetching suggestions');
+        next(error);
     }
 });
 
+// Cancel an order that has not shipped, refunding it when it was paid
+app.post('/admin/orders/:orderNumber/cancel', async (req, res, next) => {
+    try {
+        const order = await getAircraftOrder(supabaseAdmin, req.params.orderNumber);
+        if (!order) {
+            return next(new NotFoundError('We could not find that order.', { actions: backOfficeActions.orders }));
+        }
 
-// Function to get airline names by their codes using Amadeus API
-async function getAirlinesFromFlightOffers(flights) {
-    const uniqueCarrierCodes = [...new Set(flights.map(flight => flight.itineraries[0].segments[0].carrierCode))];
-    const airlines = [];
-
-    for (const code of uniqueCarrierCodes) {
-        try {
-            const response = await axios.get(`https://test.api.amadeus.com/v1/reference-data/airlines`, {
-                headers: {
-                    Authorization: `Bearer ${accessToken}`
-                },
-                params: {
-                    airlineCodes: code
-                }
-            });
+        // Everything that can fail is looked up before the order changes; after that
+        // a failed refund or audit entry is logged and the cancellation still reported
+        const payment = order.payment_intent_id ? await getPayment(supabaseAdmin, order.payment_intent_id) : null;
+        const cancelled = await cancelAircraftOrder(supabaseAdmin, order.order_number);
+        if (!cancelled) {
+            return renderOrder(req, res, order, { error: 'This order has already been refunded or cancelled.', status: 400 });
+        }
 
-            const airlineData = response.data.data[0]; // Get the first result
-            airlines.push({
-                code: airlineData.iataCode,
-                name: airlineData.commonName || airlineData.officialName
-            });
-        } catch (error) {
-            console.error(`Error fetching airline with code ${code}:`, error.response ? error.response.data : error.message);
+        let refund = null;
+        if (payment && payment.status === 'paid') {
+            try {
+                refund = await payments.refund(payment.intent_id, { reason: 'requested_by_customer' });
+            } catch (error) {
+                logger.error('Error refunding cancelled aircraft order', { orderNumber: order.order_number, error });
+            }
         }
-    }
 
-    return airlines;
-}
+        await audit(res, 'order.cancelled', 'order', order.order_number, {
+            previousStatus: order.status,
+            reason: String(req.body.reason || '').trim().slice(0, 500),
+            refundStatus: refund ? 'refunded' : (payment && payment.status === 'paid' ? 'failed' : 'not_paid'),
+            refundAmount: refund ? refund.amount : null
+        });
+        res.redirect(`/admin/orders/${encodeURIComponent(order.order_number)}?cancelled=1`);
+    } catch (error) {
+        next(error);
+    }
+});
 
-app.get('/flight-offers', async (req, res) => {
-    const { originCode, destinationCode, departureDate } = req.query;
-    const flightUrl = `https://test.api.amadeus.com/v2/shopping/flight-offers`;
+app.get('/admin/aircraft', async (req, res, next) => {
+    const notices = { created: 'Aircraft added to the catalog.', updated: 'Aircraft updated.' };
 
     try {
-        const response = await axios.get(flightUrl, {
-            headers: {
-                Authorization: `Bearer ${accessToken}`
-            },
-            params: {
-                originLocationCode: originCode,
-                destinationLocationCode: destinationCode,
-                departureDate,
-                adults: 1
-            }
+        res.render('admin/aircraft', {
+            title: res.locals.t('admin.catalogTitle'),
+            section: 'aircraft',
+            aircraft: await listCatalog(supabaseAdmin),
+            notice: notices[req.query.notice] || null
         });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const originCity = await getCityNameFromIATA(originCode);
-        const destinationCity = await getCityNameFromIATA(destinationCode);
-        const flightData = response.data;
-
-        const destinationCodes = await getRelatedAirportCodes(destinationCode);
+function renderAircraftForm(res, aircraft, { errors = {}, status = 200 } = {}) {
+    res.status(status).render('admin/aircraft-form', {
+        title: res.locals.t(aircraft.id ? 'admin.editAircraftTitle' : 'admin.addAircraftTitle'),
+        section: 'aircraft',
+        aircraft,
+        types: AIRCRAFT_TYPES,
+        errors
+    });
+}
 
-        const filteredFlights = flightData.data.filter(flight => {
-            const departureCode = flight.itineraries[0].segments[0].departure.iataCode;
-            const arrivalCode = flight.itineraries[0].segments[0].arrival.iataCode;
-            return departureCode === originCode && destinationCodes.includes(arrivalCode);
-        });
+app.get('/admin/aircraft/new', (req, res) => {
+    renderAircraftForm(res, { id: null, name: '', type: 'plane', manufacturer: '', price: '', currency: 'USD', imageUrl: '', active: true });
+});
 
-        // Fetch airline names for the flights
-        const airlines = await getAirlinesFromFlightOffers(filteredFlights);
+app.post('/admin/aircraft', async (req, res, next) => {
+    const { aircraft, errors } = parseAircraftForm(req.body);
+    if (Object.keys(errors).length > 0) {
+        return renderAircraftForm(res, { id: null, ...aircraft }, { errors, status: 400 });
+    }
 
-        res.render('flight-offers', { 
-            title: 'Flight Offers', 
-            flights: filteredFlights, 
-            originCode, 
-            destinationCode,
-            originCity,
-            destinationCity,
-            airlines, // Dynamically fetched airlines
-            query: req.query
-        });
-        console.log(response.data)
+    try {
+        const saved = await saveAircraft(supabaseAdmin, null, aircraft);
+        await audit(res, 'aircraft.created', 'aircraft', saved.id, { aircraft });
+        res.redirect('/admin/aircraft?notice=created');
     } catch (error) {
-        console.error('Error fetching flight offers:', error.response ? error.response.data : error.message);
-        res.status(500).send('Error fetching flight offers');
+        next(error);
     }
 });
 
-// Helper function to fetch city name from IATA code
-async function getCityNameFromIATA(iataCode) {
-    const url = `https://test.api.amadeus.com/v1/reference-data/locations`;
+app.get('/admin/aircraft/:id/edit', async (req, res, next) => {
     try {
-        const response = await axios.get(url, {
-            headers: {
-                Authorization: `Bearer ${accessToken}`
-            },
-            params: {
-                keyword: iataCode,
-                subType: 'AIRPORT,CITY'
-            }
-        });
-
-        // Extract city name from the first matching result
-        if (response.data && response.data.data.length > 0) {
-            return response.data.data[0].address.cityName || iataCode;
-        } else {
-            return iataCode;
+        const aircraft = await getCatalogAircraft(supabaseAdmin, req.params.id);
+        if (!aircraft) {
+            return next(new NotFoundError('We could not find that aircraft.', { actions: backOfficeActions.aircraft }));
         }
+        renderAircraftForm(res, aircraft);
     } catch (error) {
-        console.error(`Error fetching city name for IATA code ${iataCode}:`, error.message);
-        return iataCode; // Fallback to IATA code if there's an error
+        next(error);
     }
-}
+});
 
-// Function to get all related airport codes for a city (e.g., JFK, LGA, EWR for New York)
-async function getRelatedAirportCodes(cityCode) {
+app.post('/admin/aircraft/:id', async (req, res, next) => {
     try {
-        const response = await axios.get('https://test.api.amadeus.com/v1/reference-data/locations', {
-            headers: { Authorization: `Bearer ${accessToken}` },
-            params: { keyword: cityCode, subType: 'AIRPORT' }
-        });
+        const existing = await getCatalogAircraft(supabaseAdmin, req.params.id);
+        if (!existing) {
+            return next(new NotFoundError('We could not find that aircraft.', { actions: backOfficeActions.aircraft }));
+        }
+
+        const { aircraft, errors } = parseAircraftForm(req.body);
+        if (Object.keys(errors).length > 0) {
+            return renderAircraftForm(res, { id: existing.id, ...aircraft }, { errors, status: 400 });
+        }
 
-        return response.data.data.map(airport => airport.iataCode);
+        await saveAircraft(supabaseAdmin, existing.id, aircraft);
+        // Only what changed, as { field: [before, after] }
+        const changes = Object.fromEntries(Object.keys(aircraft)
+            .filter(field => aircraft[field] !== (existing[field] ?? ''))
+            .map(field => [field, [existing[field], aircraft[field]]]));
+        await audit(res, 'aircraft.updated', 'aircraft', existing.id, { changes });
+        res.redirect('/admin/aircraft?notice=updated');
     } catch (error) {
-        console.error('Error fetching related airport codes:', error.message);
-        return [cityCode]; // Fallback to the city code if the API fails
+        next(error);
     }
-}
+});
+
+app.get('/admin/audit-log', async (req, res, next) => {
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
 
-// Helper function to fetch city and airport names
-async function getCityAndAirportName(iataCode) {
     try {
-        const response = await axios.get('https://test.api.amadeus.com/v1/reference-data/locations', {
-            headers: { Authorization: `Bearer ${accessToken}` },
-            params: { keyword: iataCode, subType: 'AIRPORT,CITY' }
+        const log = await listAuditEvents(supabaseAdmin, { page });
+        res.render('admin/audit-log', {
+            title: res.locals.t('admin.auditLogTitle'),
+            section: 'audit-log',
+            events: log.events,
+            page,
+            pageCount: log.pageCount,
+            pageUrl: page => `/admin/audit-log?page=${page}`,
+            auditActions: AUDIT_ACTIONS
         });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const location = response.data.data[0];
-        return {
-            city: location.address.cityName || iataCode,
-            airport: location.name || 'Unknown Airport'
-        };
+// **JSON API v1** (mobile app and partners). Same searches, pricing and
+// pay-then-book checkouts as the pages above; sessions are cookie-based, so
+// bookings can be read back by the client that made them or by its signed-in user.
+
+// Answer a booking request after the card was confirmed: booked (201), waiting for
+// the card challenge (202) or declined (402)
+async function respondToApiPayment(req, res, intent, kind, pending, live) {
+    if (intent.status === 'requires_action') {
+        return res.status(202).json({ data: checkoutJson(intent, { kind }) });
+    }
+    if (intent.status !== 'succeeded') {
+        return sendApiError(res, 'payment_declined', intent.failure ? intent.failure.message : 'Your payment could not be completed.');
+    }
+
+    try {
+        const { reference } = await completePaidCheckout(req, res, intent, kind, pending, live);
+        res.status(201).json({ data: checkoutJson(intent, { kind, booked: true, reference }) });
     } catch (error) {
-        console.error(`Error fetching city and airport name for ${iataCode}:`, error.message);
-        return { city: iataCode, airport: 'Unknown Airport' };
+        sendApiError(res, 'upstream_error', error.refunded
+            ? 'We could not complete your booking. Your payment has been refunded.'
+            : 'We could not complete your booking. Please contact our support.');
     }
 }
 
+app.get('/api/v1/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+});
 
-app.get('/flight-details', async (req, res) => {
-    const offerId = req.query.offerId; // Extract the offer ID from the query parameters
-    const flightPricingUrl = `https://test.api.amadeus.com/v1/shopping/flight-offers/pricing`;
+app.get('/api/v1/locations', requireUser, async (req, res, next) => {
+    const keyword = String(req.query.keyword || '').trim();
+    const subType = req.query.type === 'city' ? 'CITY' : req.query.type === 'airport' ? 'AIRPORT' : 'AIRPORT,CITY';
 
-    if (!offerId) {
-        return res.status(400).send('Flight offer ID is required'); // Check if offerId is present
+    if (keyword.length < 2) {
+        return sendApiError(res, 'invalid_request', 'Type at least 2 characters to search.', { keyword: 'Type at least 2 characters to search.' });
     }
 
     try {
-        // Fetch the specific flight offer using the ID
-        const flightOfferResponse = await axios.get('https://test.api.amadeus.com/v2/shopping/flight-offers', {
-            headers: { Authorization: `Bearer ${accessToken}` },
-            params: {
-                originLocationCode: req.query.originCode,
-                destinationLocationCode: req.query.destinationCode,
-                departureDate: req.query.departureDate,
-                adults: 1
-            }
-        });
+        res.json({ data: (await suggestLocations(keyword, subType)).map(locationJson) });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        // Find the flight offer matching the provided ID
-        const flightOffer = flightOfferResponse.data.data.find(offer => offer.id === offerId);
+app.get('/api/v1/flights/offers', requireUser, async (req, res, next) => {
+    const { search, errors } = parseFlightSearch(req.query);
+    const { options, errors: optionErrors } = parseFlightResultOptions(req.query);
 
-        if (!flightOffer) {
-            return res.status(404).send('Flight offer not found');
-        }
+    if (errors.length > 0 || optionErrors.length > 0) {
+        return sendApiError(res, 'invalid_request', describeErrors([...errors, ...optionErrors]).message);
+    }
 
-        // Use the flight offer in the flight pricing API
-        const flightDetailsResponse = await axios.post(flightPricingUrl, {
-            data: { type: 'flight-offers-pricing', flightOffers: [flightOffer] } // Include the flight offer for pricing
-        }, {
-            headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' }
+    try {
+        const { flights, dictionaries, airlines, originCity, destinationCity } = await findFlightOffers(search);
+        const results = applyFlightResultOptions(flights, options);
+
+        res.json({
+            data: results.flights.map(flight => flightOfferJson(flight, { airlines, aircraft: dictionaries.aircraft })),
+            meta: {
+                total: results.total,
+                matched: results.matched,
+                page: results.page,
+                pageCount: results.pageCount,
+                facets: results.facets,
+                originCity,
+                destinationCity,
+                searchParams: flightSearchParams(search).toString()
+            }
         });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const flightDetails = flightDetailsResponse.data;
-
-        // Fetch airline names
-        const airlines = await getAirlinesFromFlightOffers([flightOffer]);
-
-        // Fetch additional information like city names, airport names, terminals, and detailed pricing (including tax)
-        for (let itinerary of flightDetails.data.flightOffers[0].itineraries) {
-            for (let segment of itinerary.segments) {
-                const departureLocation = await getCityAndAirportName(segment.departure.iataCode);
-                const arrivalLocation = await getCityAndAirportName(segment.arrival.iataCode);
+app.post('/api/v1/flights/pricing', requireUser, async (req, res, next) => {
+    const { offerToken } = req.body;
 
-                segment.departure.cityName = departureLocation.city;
-                segment.departure.airportName = departureLocation.airport;
-                segment.departure.terminal = segment.departure.terminal || 'N/A'; // Handle cases where terminal info is not available
-                segment.arrival.cityName = arrivalLocation.city;
-                segment.arrival.airportName = arrivalLocation.airport;
-                segment.arrival.terminal = segment.arrival.terminal || 'N/A';
+    if (!offerToken) {
+        return sendApiError(res, 'invalid_request', 'Flight offer is required', { offerToken: 'Flight offer is required' });
+    }
 
-                // Match carrierCode with airline name
-                const airline = airlines.find(a => a.code === segment.carrierCode);
-                segment.airlineName = airline ? airline.name : segment.carrierCode;
+    try {
+        const priced = await priceFlightOffer(offerToken, pricingOwner(req));
 
-                // Calculate and format flight duration
-                const departureTime = new Date(segment.departure.at);
-                const arrivalTime = new Date(segment.arrival.at);
-                const duration = Math.floor((arrivalTime - departureTime) / (1000 * 60)); // Duration in minutes
-                const hours = Math.floor(duration / 60);
-                const minutes = duration % 60;
-                segment.flightDuration = `${hours}h ${minutes}m`; // Display duration as "Xh Ym"
-            }
+        if (priced.status === 'invalid') {
+            return sendApiError(res, 'invalid_request', 'Invalid flight offer', { offerToken: 'Invalid flight offer' });
+        }
+        if (priced.status === 'expired') {
+            return sendApiError(res, 'offer_expired', 'This flight offer has expired. Please search again for current prices.');
+        }
+        if (priced.status === 'unavailable') {
+            return sendApiError(res, 'offer_expired', 'This fare is no longer available. Please search again to see current offers.');
         }
 
-        // Get detailed pricing, including taxes
-        const totalPrice = flightDetails.data.flightOffers[0].price.total;
-        const totalTax = flightDetails.data.flightOffers[0].price.totalTaxes || 'N/A';
-
-        // Render the flight details page with all the required information
-        res.render('flight-details', {
-            title: 'Flight Details',
-            flight: flightDetails.data.flightOffers[0],
-            totalPrice: totalPrice, // Include total price with tax
-            totalTax: totalTax,     // Include tax details
+        const airlines = await getAirlinesFromFlightOffers([priced.pricedOffer]);
+        res.json({
+            data: flightOfferJson({ ...priced.pricedOffer, offerToken }, { airlines }),
+            meta: { priceChange: priced.priceChange, loyaltyCarriers: loyaltyCarriers(priced.pricedOffer) }
         });
-
     } catch (error) {
-        console.error('Error fetching flight details:', error.message);
-        res.status(500).send('Error fetching flight details');
+        next(error);
     }
 });
 
+app.post('/api/v1/flights/bookings', requireUser, async (req, res, next) => {
+    const { offerToken } = req.body;
 
-app.post('/confirm-booking', async (req, res) => {
-    const { travelerName, travelerEmail, travelerPhone, travelerDOB, travelerGender, offerId, originCode, destinationCode, departureDate } = req.body;
-
-    // Check for required fields
-    if (!travelerName || !travelerEmail || !travelerPhone || !travelerDOB || !travelerGender || !offerId || !originCode || !destinationCode || !departureDate) {
-        console.error('Missing required fields', req.body);
-        return res.status(400).json({ error: 'Missing required fields' });
+    if (!offerToken) {
+        return sendApiError(res, 'invalid_request', 'Flight offer is required', { offerToken: 'Flight offer is required' });
     }
 
     try {
-        // Fetch the flight offer using the offerId
-        console.log('Fetching flight offers with the following parameters:', {
-            originLocationCode: originCode,
-            destinationLocationCode: destinationCode,
-            departureDate: departureDate,
-        });
-
-        const flightOffersResponse = await axios.get('https://test.api.amadeus.com/v2/shopping/flight-offers', {
-            headers: { Authorization: `Bearer ${accessToken}` },
-            params: {
-                originLocationCode: originCode,
-                destinationLocationCode: destinationCode,
-                departureDate: departureDate,
-                adults: 1
-            }
-        });
-
-        console.log('Flight offers response:', flightOffersResponse.data);
-
-        const flightOffer = flightOffersResponse.data.data.find(offer => offer.id === offerId);
-        if (!flightOffer) {
-            console.error('Flight offer not found for offerId:', offerId);
-            return res.status(404).json({ error: 'Flight offer not found' });
-        }
-
-        // Create the booking payload
-        const bookingPayload = {
-            data: {
-                type: 'flight-order',
-                flightOffers: [flightOffer],
-                travelers: [{
-                    id: '1',  // Unique ID for each traveler
-                    dateOfBirth: travelerDOB,
-                    name: {
-                        firstName: travelerName.split(' ')[0],
-                        lastName: travelerName.split(' ')[1] || ''
-                    },
-                    gender: travelerGender.toUpperCase(),  // Ensure gender is uppercase
-                    contact: {
-                        emailAddress: travelerEmail,
-                        phones: [{ deviceType: 'MOBILE', countryCallingCode: '91', number: travelerPhone }]
-                    }
-                }]
-            }
-        };
-
-        // Log the booking payload for debugging
-        console.log('Booking payload:', bookingPayload);
+        const started = await startFlightCheckout(req, res, offerToken, req.body);
 
-        // Create the booking using the Amadeus API
-        const bookingResponse = await axios.post('https://test.api.amadeus.com/v1/booking/flight-orders', bookingPayload, {
-            headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' }
-        });
+        if (started.status === 'invalid') {
+            return sendApiError(res, 'invalid_request', 'Invalid flight offer', { offerToken: 'Invalid flight offer' });
+        }
+        if (started.status === 'expired') {
+            return sendApiError(res, 'offer_expired', 'This flight offer has expired. Please search again for current prices.');
+        }
+        if (started.status === 'repriced') {
+            return sendApiError(res, 'invalid_request', 'The offer was priced with seats or extras. Price it again before booking.');
+        }
+        if (started.status === 'errors') {
+            const { message, fields } = describeErrors(started.errors);
+            return sendApiError(res, 'invalid_request', message, fields);
+        }
+        if (started.status === 'unavailable') {
+            return sendApiError(res, 'unavailable', 'Payments are not available right now.');
+        }
 
-        console.log('Booking response:', bookingResponse.data);
+        await respondToApiPayment(req, res, started.intent, 'flight', started.pending);
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const bookingData = bookingResponse.data;
+app.get('/api/v1/flights/bookings/:reference', requireUser, async (req, res, next) => {
+    try {
+        const booking = await loadFlightBooking(req, res, req.params.reference);
 
-        if (!bookingData || !bookingData.data || !bookingData.data.id) {
-            console.error('Booking response was not successful:', bookingData);
-            return res.status(500).json({ error: 'Booking was not successful' });
+        if (!booking) {
+            return sendApiError(res, 'not_found', 'Booking not found');
         }
 
-        const bookingId = bookingData.data.id;
-        console.log(bookingId);
-        
-        const redirectUrl = `/booked-flight?name=${encodeURIComponent(travelerName)}&email=${encodeURIComponent(travelerEmail)}&phone=${encodeURIComponent(travelerPhone)}&dob=${encodeURIComponent(travelerDOB)}&gender=${encodeURIComponent(travelerGender)}&bookingId=${encodeURIComponent(bookingId)}`;
-
-        res.json({ redirect: redirectUrl });
+        res.json({ data: flightBookingJson(req.params.reference, booking.confirmation, booking.bookingDetails.data, booking.payment) });
     } catch (error) {
-        // Enhanced error handling
-        console.error('Error confirming booking:', error.response?.data || error.message);
-        res.status(500).json({ error: 'Error confirming booking' });
+        next(error);
     }
 });
 
-app.get('/booked-flight', async (req, res) => {
-    const { name, email, phone, dob, gender, bookingId } = req.query;
+app.get('/api/v1/hotels/offers', requireUser, async (req, res, next) => {
+    const { search, errors } = parseHotelSearch(req.query);
 
-    if (!bookingId) {
-        return res.status(400).json({ error: 'Missing booking ID' });
+    if (errors.length > 0) {
+        return sendApiError(res, 'invalid_request', describeErrors(errors).message);
     }
 
     try {
-        const bookingDetailsResponse = await axios.get(`https://test.api.amadeus.com/v1/booking/flight-orders/${bookingId}`, {
-            headers: {
-                Authorization: `Bearer ${accessToken}`
-            }
-        });
-
-        const bookingDetails = bookingDetailsResponse.data;
-        const segments = [];
-        const flightOffers = bookingDetails.data.flightOffers;
-
-        if (flightOffers && Array.isArray(flightOffers)) {
-            for (const offer of flightOffers) {
-                if (offer.itineraries && Array.isArray(offer.itineraries)) {
-                    for (const itinerary of offer.itineraries) {
-                        if (itinerary.segments && Array.isArray(itinerary.segments)) {
-                            for (const segment of itinerary.segments) {
-                                const departureIata = segment.departure.iataCode;
-                                const arrivalIata = segment.arrival.iataCode;
-
-                                const [departureInfo, arrivalInfo] = await Promise.all([
-                                    getCityAndAirportName(departureIata),
-                                    getCityAndAirportName(arrivalIata)
-                                ]);
-
-                                segments.push({
-                                    ...segment,
-                                    departure: {
-                                        cityName: departureInfo.city,
-                                        airportName: departureInfo.airport,
-                                        iataCode: departureIata,
-                                        at: segment.departure.at
-                                    },
-                                    arrival: {
-                                        cityName: arrivalInfo.city,
-                                        airportName: arrivalInfo.airport,
-                                        iataCode: arrivalIata,
-                                        at: segment.arrival.at
-                                    }
-                                });
-                            }
-                        }
-                    }
-                }
-            }
+        const found = await findHotelOffers(search);
+        if (!found) {
+            return sendApiError(res, 'not_found', 'We could not find that city. Choose one from the location suggestions.');
         }
 
-        res.render('booked-flight', { 
-            title: 'Booking Confirmation',
-            travelerInfo: { name, email, phone, dob, gender },
-            bookingDetails: { ...bookingDetails, segments }
+        res.json({
+            data: found.hotels.map(hotelResultJson),
+            meta: {
+                cityCode: search.cityCode,
+                cityName: found.cityName,
+                nights: nightsBetween(search.checkInDate, search.checkOutDate),
+                searchParams: hotelSearchParams(search).toString()
+            }
         });
     } catch (error) {
-        console.log('Error fetching booking details:', error.message);
-        res.status(500).json({ error: 'Error fetching booking details' });
+        if (error.response && error.response.status === 400) {
+            return sendApiError(res, 'invalid_request', 'No hotels could be priced for this search. Try different dates or another city.');
+        }
+        next(error);
     }
 });
 
-// Hotels Route (New)
-app.get('/hotels', (req, res) => {
-    
-        res.render('hotels', { title: 'Search Hotels', query: req.query });
-
-    
-});
+app.get('/api/v1/hotels/:hotelId/offers', requireUser, async (req, res, next) => {
+    // The same search as /api/v1/hotels/offers (its meta.searchParams)
+    const { search, errors } = parseHotelSearch(req.query);
 
-// Autocomplete Suggestions Route (for city names)
-app.get('/hotel-suggestions', async (req, res) => {
-    const query = req.query.query;
+    if (errors.length > 0) {
+        return sendApiError(res, 'invalid_request', describeErrors(errors).message);
+    }
 
     try {
-        let citySuggestions = [];
-
-        if (query.length >= 3) {
-
-            // Fetch city suggestions
-            const cityResponse = await axios.get('https://test.api.amadeus.com/v1/reference-data/locations', {
-                headers: {
-                    Authorization: `Bearer ${accessToken}`
-                },
-                params: {
-                    keyword: query,
-                    subType: 'CITY'
-                }
-            });
-            citySuggestions = cityResponse.data.data.map(item => ({
-                name: item.name,
-                code: item.iataCode
-            }));
+        const found = await loadHotelOffers(req.params.hotelId, search);
+        if (!found) {
+            return sendApiError(res, 'not_found', 'This hotel has no rooms available for your dates');
         }
 
-        res.json(citySuggestions);
+        res.json({ data: { hotel: { ...hotelJson(found.hotel), cityName: found.cityName }, offers: found.offers } });
     } catch (error) {
-        console.error('Error fetching suggestions:', error.message);
-        res.status(500).send('Error fetching suggestions');
+        next(error);
     }
 });
 
+app.post('/api/v1/hotels/bookings', requireUser, async (req, res, next) => {
+    const searchParams = hotelSearchParams(parseHotelSearch(req.query).search).toString();
 
-// Route for fetching hotel offers by city
-app.get('/hotel-offers', async (req, res) => {
-    const { searchQuery, checkInDate, checkOutDate, adults } = req.query;
+    try {
+        const started = await startHotelCheckout(req, res, req.body, searchParams);
 
-    console.log('Hotel search query:', searchQuery);
-    console.log('Check-in date:', checkInDate);
-    console.log('Check-out date:', checkOutDate);
+        if (started.status === 'errors') {
+            return sendApiError(res, 'invalid_request', describeErrors(started.errors).message);
+        }
+        if (started.status === 'expired') {
+            return sendApiError(res, 'offer_expired', 'This room is no longer available. Please choose another offer.');
+        }
+        if (started.status === 'unavailable') {
+            return sendApiError(res, 'unavailable', 'Payments are not available right now.');
+        }
 
-    if (!checkInDate || !checkOutDate || !searchQuery) {
-        console.log('Missing required parameters.');
-        return res.status(400).send('Check-in and check-out dates, and a city name are required.');
+        await respondToApiPayment(req, res, started.intent, 'hotel', started.pending, { card: started.card });
+    } catch (error) {
+        next(error);
     }
+});
 
+app.get('/api/v1/hotels/bookings/:reference', requireUser, async (req, res, next) => {
     try {
-        // Fetch the city IATA code using the Amadeus Locations API
-        const cityResponse = await axios.get('https://test.api.amadeus.com/v1/reference-data/locations', {
-            headers: {
-                Authorization: `Bearer ${accessToken}`
-            },
-            params: {
-                keyword: searchQuery,
-                subType: 'CITY'
-            }
-        });
+        const found = await loadHotelBooking(req, res, req.params.reference);
 
-        // Ensure city data is returned and exists
-        const cityData = cityResponse.data.data[0];
-        if (!cityData || !cityData.iataCode) {
-            return res.status(404).send('City not found.');
+        if (!found) {
+            return sendApiError(res, 'not_found', 'Booking not found');
         }
 
-        const cityCode = cityData.iataCode;
-        console.log('Fetched city code:', cityCode);
-
-        // Call Amadeus "Hotel Offers by City" API
-        const hotelUrl = `https://test.api.amadeus.com/v1/reference-data/locations/hotels/by-city?cityCode=${cityCode}`;
-
-        console.log('Fetching hotels for city code:', cityCode);
-        console.log(hotelUrl);
-
-        const offersResponse = await axios.get(hotelUrl, {
-            headers: { Authorization: `Bearer ${accessToken}` }
-        });
+        res.json({ data: hotelBookingJson(req.params.reference, found.confirmation, found.booking, found.payment) });
+    } catch (error) {
+        next(error);
+    }
+});
 
-        
-        // console.log('Hotels response:', offersResponse.data);
+// Where a booking stands after the card challenge. Only reports: polling it never
+// books, POST does that.
+app.get('/api/v1/checkouts/:checkoutId', requireUser, async (req, res, next) => {
+    try {
+        const started = await checkout.resume(req, req.params.checkoutId);
 
-        // Ensure the API returned hotel data
-        if (!offersResponse.data.data || offersResponse.data.data.length === 0) {
-            return res.status(404).send('No hotels found for the provided city.');
+        if (!started || !['flight', 'hotel'].includes(started.kind)) {
+            return sendApiError(res, 'not_found', 'Checkout not found');
         }
-
-        // Render the hotel-offers.ejs template with the hotel data
-        return res.render('hotel-offers', {
-            title: 'Hotel Offers',
-            hotels: offersResponse.data.data,
-            query: req.query // Pass the original query for possible use in the view
-        });
-    } catch (error) {
-        console.error('Error fetching hotels:', error.response ? error.response.data : error.message);
-        if (error.response && error.response.status === 400) {
-            return res.status(400).send('Bad request: please check your parameters.');
+        if (started.redirect) {
+            return res.json({ data: checkoutJson(started.intent, { kind: started.kind, booked: true, reference: started.reference }) });
         }
-        return res.status(500).send('Error fetching hotels.');
+        res.json({ data: checkoutJson(started.intent, { kind: started.kind }) });
+    } catch (error) {
+        next(error);
     }
 });
 
-app.get('/hotel-details', async (req, res) => {
-    const offerId = req.query.hotelId; // Ensure this matches the button's parameter
-    console.log(offerId);
-    // if (!offerId) {
-    //     return res.status(400).send('Hotel offer ID is required');
-    // }
-
+// Book a checkout paid after the card challenge. Hotels need their guarantee card
+// again, which is not kept while the challenge runs.
+app.post('/api/v1/checkouts/:checkoutId', requireUser, async (req, res, next) => {
     try {
-        // Fetch the specific hotel offer details
-        const hotelOfferResponse = await axios.get(`https://test.api.amadeus.com/v3/shopping/hotel-offers?hotelIds=${offerId}`, {
-            headers: { Authorization: `Bearer ${accessToken}` } // Ensure this is correct
-        });
+        const started = await checkout.resume(req, req.params.checkoutId);
 
-        const hotelOffer = hotelOfferResponse.data.data[0];
-        console.log(hotelOffer);
-        
-        if (!hotelOffer) {
-            return res.status(404).send('Hotel offer not found');
+        if (!started || !['flight', 'hotel'].includes(started.kind)) {
+            return sendApiError(res, 'not_found', 'Checkout not found');
+        }
+        if (started.redirect) {
+            return res.json({ data: checkoutJson(started.intent, { kind: started.kind, booked: true, reference: started.reference }) });
         }
 
-        // Prepare the hotel data for display on the `hotel-details` page
-        const hotelInfo = {
-            id: hotelOffer.hotel.hotelId,
-            name: hotelOffer.hotel.name,
-            description: hotelOffer.hotel.description || "No description available",
-            address: hotelOffer.hotel.address,
-            rating: hotelOffer.hotel.rating || 'N/A',
-            offers: hotelOffer.offers.map(offer => ({
-                checkInDate: offer.checkInDate,
-                checkOutDate: offer.checkOutDate,
-                currency: offer.price.currency,
-                price: offer.price.total,
-                room: {
-                    id: offer.room.id,
-                    description: offer.room.description.text,
-                    type: offer.room.type,
-                    category: offer.room.typeEstimated.category,
-                    beds: offer.room.typeEstimated.beds,
-                    bedType: offer.room.typeEstimated.bedType
-                }
-            }))
-        };
-        
+        const { intent, kind, pending } = started;
+        if (intent.status === 'requires_action') {
+            return res.json({ data: checkoutJson(intent, { kind }) });
+        }
+        if (kind === 'flight') {
+            return await respondToApiPayment(req, res, intent, kind, pending);
+        }
 
-        res.render('hotel-details', {
-            title: 'Hotel Details',
-            hotel: hotelInfo
-        });
+        const { card, errors } = parseGuaranteeCard(req.body, pending.booking.card.last4);
+        if (Object.keys(errors).length > 0) {
+            return sendApiError(res, 'invalid_request', 'Please correct the highlighted details.', errors);
+        }
+        await respondToApiPayment(req, res, intent, kind, pending, { card });
     } catch (error) {
-        console.error('Error fetching hotel details:', error.message);
-        res.status(500).send('Error fetching hotel details');
+        next(error);
     }
 });
 
+// **Errors**
+// Routes hand their failures to next(error); see services/errors.js
 
+// Log what went wrong upstream or in our own code; visitors only see the AppError message
+function logError(req, error) {
+    if (error.status >= 500 || error.cause) {
+        logger[error.status >= 500 ? 'error' : 'warn']('Error handling request', { method: req.method, path: `${req.baseUrl}${req.path}`, code: error.code, error: error.cause || error });
+    }
+}
 
+app.use('/api/v1', (req, res, next) => {
+    next(new NotFoundError(`No API route for ${req.method} ${req.baseUrl}${req.path}`));
+});
 
-app.get('/booked-hotel', async (req, res) => {
-    const { name, email, phone, dob, gender, bookingId } = req.query;
-
-    if (!bookingId) {
-        return res.status(400).json({ error: 'Missing booking ID' });
+app.use('/api/v1', (error, req, res, next) => {
+    const appError = toAppError(error);
+    logError(req, appError);
+    if (res.headersSent) {
+        return next(error);
     }
+    sendApiError(res, appError.code, appError.message, appError.fields);
+});
 
-    try {
-        const bookingDetailsResponse = await axios.get(`https://test.api.amadeus.com/v1/booking/hotel-bookings/${bookingId}`, {
-            headers: { Authorization: `Bearer ${accessToken}` }
-        });
-
-        const bookingDetails = bookingDetailsResponse.data;
+// Every other unknown URL
+app.use((req, res, next) => {
+    next(new NotFoundError('We could not find that page. It may have moved, or the link may be mistyped.'));
+});
 
-        res.render('booked-hotel', { 
-            title: 'Hotel Booking Confirmation',
-            travelerInfo: { name, email, phone, dob, gender },
-            bookingDetails
-        });
-    } catch (error) {
-        console.log('Error fetching booking details:', error.message);
-        res.status(500).json({ error: 'Error fetching booking details' });
+app.use((error, req, res, next) => {
+    const appError = toAppError(error);
+    logError(req, appError);
+    if (res.headersSent) {
+        return next(error);
     }
-});
 
+    // Scripts posting JSON and the older /api routes read { error }
+    if (req.path.startsWith('/api/') || req.is('json')) {
+        return res.status(appError.status).json({ error: appError.message });
+    }
 
-// Cars Route (New)
-app.get('/cars', (req, res) => {
-    
-        res.render('cars', { title: 'Search Cars', query: req.query });
+    // English when the request failed before localize() ran
+    const t = res.locals.t || app.locals.t;
+    const actions = [...appError.actions];
+    if (RETRYABLE_CODES.includes(appError.code) && req.method === 'GET') {
+        actions.push({ label: t('error.tryAgain'), href: req.originalUrl });
+    }
+    actions.push({ label: t('error.goHome'), href: '/' });
 
-    
+    res.status(appError.status).render('error', { title: t(`error.title.${appError.code}`), error: appError, actions });
 });
 
 
-
 // Start the server
 app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
+    logger.info('Server is running', { url: `http://localhost:${PORT}` });
+    if (priceAlertWorker) {
+        priceAlertWorker.start();
+    }
 });
@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+
+// Aircraft orders in the Supabase `aircraft_orders` table. Writes need the
+// service-role client because buyers cannot insert orders themselves.
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// e.g. AC-20261019-7F3K9Q
+export function createOrderNumber(now = new Date()) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const suffix = [...crypto.randomBytes(6)].map(byte => alphabet[byte % alphabet.length]).join('');
+    return `AC-${now.toISOString().slice(0, 10).replace(/-/g, '')}-${suffix}`;
+}
+
+// Where the receipt is sent, with errors keyed by field like the card fields
+export function parseReceiptEmail(body) {
+    const email = String(body.receiptEmail || '').trim();
+    return { email, errors: EMAIL.test(email) ? {} : { receiptEmail: 'Enter a valid email address for your receipt.' } };
+}
+
+// Save an order for a cart already priced by priceCart()
+export async function placeAircraftOrder(admin, { userId, pricedCart }) {
+    const { data, error } = await admin
+        .from('aircraft_orders')
+        .insert({
+            order_number: createOrderNumber(),
+            user_id: userId,
+            items: pricedCart.items.map(item => ({
+                aircraftId: item.aircraftId,
+                name: item.name,
+                quantity: item.quantity,
+                price: item.price,
+                lineTotal: item.lineTotal
+            })),
+            total: pricedCart.total,
+            currency: pricedCart.currency
+        })
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Could not save aircraft order: ${error.message}`);
+    }
+    return data;
+}
+
+export async function getAircraftOrder(admin, orderNumber) {
+    const { data, error } = await admin
+        .from('aircraft_orders')
+        .select('*')
+        .eq('order_number', orderNumber)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not load aircraft order ${orderNumber}: ${error.message}`);
+    }
+    return data;
+}
+
+export async function attachOrderPayment(admin, orderNumber, intentId) {
+    const { error } = await admin
+        .from('aircraft_orders')
+        .update({ payment_intent_id: intentId })
+        .eq('order_number', orderNumber);
+
+    if (error) {
+        throw new Error(`Could not attach payment to aircraft order ${orderNumber}: ${error.message}`);
+    }
+}
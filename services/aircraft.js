@@ -0,0 +1,203 @@
+// Explore marketplace catalog, stored in the Supabase `aircraft` table (see
+// supabase/migrations). Only active aircraft are visible through the anon key;
+// staff edit the catalog from the back office (/admin/aircraft).
+
+export const AIRCRAFT_TYPES = ['plane', 'helicopter'];
+
+// Flatten a table row to the shape used by views and the JSON API
+function toAircraft(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        manufacturer: row.manufacturer,
+        price: Number(row.price),
+        currency: row.currency,
+        imageUrl: row.image_url
+    };
+}
+
+function toPrice(value) {
+    const price = Number(value);
+    return Number.isFinite(price) && price >= 0 ? price : NaN;
+}
+
+// Normalize list filters from a query string into { filters, errors }
+export function parseAircraftFilters(query) {
+    const errors = [];
+    const filters = {
+        type: AIRCRAFT_TYPES.includes(query.type) ? query.type : '',
+        manufacturer: String(query.manufacturer || '').trim(),
+        minPrice: '',
+        maxPrice: ''
+    };
+
+    if (query.minPrice) {
+        filters.minPrice = toPrice(query.minPrice);
+        if (Number.isNaN(filters.minPrice)) {
+            errors.push('Minimum price must be a positive number.');
+            filters.minPrice = '';
+        }
+    }
+    if (query.maxPrice) {
+        filters.maxPrice = toPrice(query.maxPrice);
+        if (Number.isNaN(filters.maxPrice)) {
+            errors.push('Maximum price must be a positive number.');
+            filters.maxPrice = '';
+        }
+    }
+    if (filters.minPrice !== '' && filters.maxPrice !== '' && filters.minPrice > filters.maxPrice) {
+        errors.push('Minimum price cannot be above the maximum price.');
+    }
+
+    return { filters, errors };
+}
+
+export async function listAircraft(supabase, filters = {}) {
+    let request = supabase.from('aircraft').select('*').eq('active', true);
+
+    if (filters.type) {
+        request = request.eq('type', filters.type);
+    }
+    if (filters.manufacturer) {
+        request = request.eq('manufacturer', filters.manufacturer);
+    }
+    if (filters.minPrice !== undefined && filters.minPrice !== '') {
+        request = request.gte('price', filters.minPrice);
+    }
+    if (filters.maxPrice !== undefined && filters.maxPrice !== '') {
+        request = request.lte('price', filters.maxPrice);
+    }
+
+    const { data, error } = await request.order('price', { ascending: true });
+    if (error) {
+        throw new Error(`Could not load aircraft: ${error.message}`);
+    }
+    return data.map(toAircraft);
+}
+
+// null when the aircraft does not exist or is no longer for sale
+export async function getAircraft(supabase, aircraftId) {
+    if (!/^\d+$/.test(String(aircraftId))) {
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from('aircraft')
+        .select('*')
+        .eq('active', true)
+        .eq('id', aircraftId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not load aircraft ${aircraftId}: ${error.message}`);
+    }
+    return data ? toAircraft(data) : null;
+}
+
+export async function getAircraftByIds(supabase, aircraftIds) {
+    if (aircraftIds.length === 0) {
+        return [];
+    }
+
+    const { data, error } = await supabase
+        .from('aircraft')
+        .select('*')
+        .eq('active', true)
+        .in('id', aircraftIds);
+
+    if (error) {
+        throw new Error(`Could not load aircraft ${aircraftIds.join(',')}: ${error.message}`);
+    }
+    return data.map(toAircraft);
+}
+
+// Catalog management for the back office, with the service-role client: every
+// aircraft, including those withdrawn from sale (active = false)
+export async function listCatalog(admin) {
+    const { data, error } = await admin
+        .from('aircraft')
+        .select('*')
+        .order('name', { ascending: true });
+
+    if (error) {
+        throw new Error(`Could not load aircraft catalog: ${error.message}`);
+    }
+    return data.map(row => ({ ...toAircraft(row), active: row.active }));
+}
+
+export async function getCatalogAircraft(admin, aircraftId) {
+    if (!/^\d+$/.test(String(aircraftId))) {
+        return null;
+    }
+
+    const { data, error } = await admin
+        .from('aircraft')
+        .select('*')
+        .eq('id', aircraftId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not load aircraft ${aircraftId}: ${error.message}`);
+    }
+    return data ? { ...toAircraft(data), active: data.active } : null;
+}
+
+// Normalize the catalog form into { aircraft, errors }, with errors keyed by field
+export function parseAircraftForm(body) {
+    const errors = {};
+    const aircraft = {
+        name: String(body.name || '').trim(),
+        type: String(body.type || ''),
+        manufacturer: String(body.manufacturer || '').trim(),
+        price: toPrice(body.price),
+        currency: String(body.currency || 'USD').trim().toUpperCase(),
+        imageUrl: String(body.imageUrl || '').trim(),
+        active: body.active === 'on' || body.active === 'true' || body.active === true
+    };
+
+    if (!aircraft.name || aircraft.name.length > 100) {
+        errors.name = 'Enter a name of up to 100 characters.';
+    }
+    if (!AIRCRAFT_TYPES.includes(aircraft.type)) {
+        errors.type = 'Choose a plane or a helicopter.';
+    }
+    if (!aircraft.manufacturer || aircraft.manufacturer.length > 100) {
+        errors.manufacturer = 'Enter a manufacturer of up to 100 characters.';
+    }
+    if (Number.isNaN(aircraft.price) || aircraft.price <= 0) {
+        errors.price = 'Enter a price above zero.';
+    }
+    if (!/^[A-Z]{3}$/.test(aircraft.currency)) {
+        errors.currency = 'Enter a three-letter currency code, like USD.';
+    }
+    if (aircraft.imageUrl && !/^(\/|https:\/\/)\S+$/.test(aircraft.imageUrl)) {
+        errors.imageUrl = 'Enter a path under /images/ or an https:// address.';
+    }
+
+    return { aircraft, errors };
+}
+
+// Add an aircraft (aircraftId null) or update one; resolves with the saved aircraft
+export async function saveAircraft(admin, aircraftId, aircraft) {
+    const row = {
+        name: aircraft.name,
+        type: aircraft.type,
+        manufacturer: aircraft.manufacturer,
+        price: aircraft.price,
+        currency: aircraft.currency,
+        image_url: aircraft.imageUrl || null,
+        active: aircraft.active,
+        updated_at: new Date().toISOString()
+    };
+
+    const request = aircraftId
+        ? admin.from('aircraft').update(row).eq('id', aircraftId)
+        : admin.from('aircraft').insert(row);
+    const { data, error } = await request.select().single();
+
+    if (error) {
+        throw new Error(`Could not save aircraft ${aircraftId || aircraft.name}: ${error.message}`);
+    }
+    return { ...toAircraft(data), active: data.active };
+}
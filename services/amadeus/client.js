@@ -0,0 +1,166 @@
+import axios from 'axios';
+
+// Renew the token a minute before Amadeus expires it (tokens live 1799 seconds)
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// HTTP client for the Amadeus Self-Service APIs.
+// Every method resolves with the response body ({ data, dictionaries, ... }) and
+// rejects with the axios error, so callers can keep inspecting `error.response`.
+export function createAmadeusClient({ baseUrl, clientId, clientSecret, http = axios.create() }) {
+    let accessToken = '';
+    let expiresAt = 0;
+    let pendingToken = null;
+
+    // Fetch a new client-credentials token from Amadeus
+    async function fetchToken() {
+        const response = await http.post(`${baseUrl}/v1/security/oauth2/token`, new URLSearchParams({
+            grant_type: 'client_credentials',
+            client_id: clientId,
+            client_secret: clientSecret
+        }).toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+
+        accessToken = response.data.access_token;
+        expiresAt = Date.now() + response.data.expires_in * 1000;
+        return accessToken;
+    }
+
+    // Return a valid token, sharing one in-flight refresh between concurrent callers
+    async function getToken() {
+        if (accessToken && Date.now() < expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+            return accessToken;
+        }
+
+        if (!pendingToken) {
+            pendingToken = fetchToken().finally(() => {
+                pendingToken = null;
+            });
+        }
+        return pendingToken;
+    }
+
+    // Send an authenticated request, renewing the token and retrying once on 401
+    async function request(method, url, { params, data } = {}, retried = false) {
+        const token = await getToken();
+
+        try {
+            const response = await http.request({
+                method,
+                url: `${baseUrl}${url}`,
+                params,
+                data,
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response && error.response.status === 401 && !retried) {
+                accessToken = '';
+                expiresAt = 0;
+                return request(method, url, { params, data }, true);
+            }
+            throw error;
+        }
+    }
+
+    return {
+        provider: 'amadeus',
+
+        tokenState() {
+            return {
+                hasToken: Boolean(accessToken),
+                expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+                expired: !accessToken || Date.now() >= expiresAt
+            };
+        },
+
+        // Airports and cities matching a keyword; subType is e.g. 'AIRPORT,CITY'
+        searchLocations({ keyword, subType = 'AIRPORT,CITY' }) {
+            return request('get', '/v1/reference-data/locations', { params: { keyword, subType } });
+        },
+
+        // Airline names for one or more IATA carrier codes
+        getAirlines(codes) {
+            return request('get', '/v1/reference-data/airlines', { params: { airlineCodes: [].concat(codes).join(',') } });
+        },
+
+        searchFlightOffers(params) {
+            return request('get', '/v2/shopping/flight-offers', { params });
+        },
+
+        // Full search body: multi-city legs, traveler types and search criteria
+        searchFlightOffersPost(body) {
+            return request('post', '/v2/shopping/flight-offers', { data: body });
+        },
+
+        // Cheapest fare per departure date (one adult); departureDate may be a range "from,to"
+        searchFlightDates(params) {
+            return request('get', '/v1/shopping/flight-dates', { params });
+        },
+
+        // Cheapest destinations from an origin city, from Amadeus' cache of recent fares;
+        // departureDate may be a range "from,to"
+        searchFlightDestinations(params) {
+            return request('get', '/v1/shopping/flight-destinations', { params });
+        },
+
+        // `include` asks for extra details, e.g. 'bags,other-services' for the paid extras on sale
+        priceFlightOffers(flightOffers, { include } = {}) {
+            return request('post', '/v1/shopping/flight-offers/pricing', {
+                params: include ? { include } : undefined,
+                data: { data: { type: 'flight-offers-pricing', flightOffers } }
+            });
+        },
+
+        // One seat map per segment of the offers, with each seat's availability and price per traveler
+        getSeatmaps(flightOffers) {
+            return request('post', '/v1/shopping/seatmaps', { data: { data: flightOffers } });
+        },
+
+        createFlightOrder({ flightOffers, travelers }) {
+            return request('post', '/v1/booking/flight-orders', {
+                data: { data: { type: 'flight-order', flightOffers, travelers } }
+            });
+        },
+
+        getFlightOrder(orderId) {
+            return request('get', `/v1/booking/flight-orders/${encodeURIComponent(orderId)}`);
+        },
+
+        // Cancels the whole order; Amadeus answers 204 with no body
+        cancelFlightOrder(orderId) {
+            return request('delete', `/v1/booking/flight-orders/${encodeURIComponent(orderId)}`);
+        },
+
+        listHotelsByCity(cityCode) {
+            return request('get', '/v1/reference-data/locations/hotels/by-city', { params: { cityCode } });
+        },
+
+        searchHotelOffers(params) {
+            return request('get', '/v3/shopping/hotel-offers', { params });
+        },
+
+        // Re-check a single offer's availability and price before booking
+        getHotelOffer(offerId) {
+            return request('get', `/v3/shopping/hotel-offers/${encodeURIComponent(offerId)}`);
+        },
+
+        createHotelBooking({ offerId, guests, payments }) {
+            return request('post', '/v1/booking/hotel-bookings', {
+                data: { data: { offerId, guests, payments } }
+            });
+        },
+
+        getHotelBooking(bookingId) {
+            return request('get', `/v1/booking/hotel-bookings/${encodeURIComponent(bookingId)}`);
+        },
+
+        searchTransferOffers(body) {
+            return request('post', '/v1/shopping/transfer-offers', { data: body });
+        },
+
+        createTransferOrder(offerId, order) {
+            return request('post', '/v1/ordering/transfer-orders', { params: { offerId }, data: { data: order } });
+        }
+    };
+}
@@ -0,0 +1,23 @@
+import axios from 'axios';
+import { createAmadeusClient } from './client.js';
+import { createMockAmadeusClient } from './mock.js';
+import { traceHttp } from '../tracing.js';
+
+// Pick the Amadeus provider from the environment: AMADEUS_PROVIDER=mock serves
+// fixtures for offline runs, anything else talks to the Amadeus API. Requests
+// give up after AMADEUS_TIMEOUT_SECONDS so a slow upstream fails as a timeout,
+// and are logged with their timing and the id of the request that made them.
+export function createAmadeus(env = process.env) {
+    if (env.AMADEUS_PROVIDER === 'mock') {
+        return createMockAmadeusClient();
+    }
+
+    return createAmadeusClient({
+        baseUrl: env.AMADEUS_BASE_URL || 'https://test.api.amadeus.com',
+        clientId: env.AMADEUS_CLIENT_ID,
+        clientSecret: env.AMADEUS_CLIENT_SECRET,
+        http: traceHttp(axios.create({ timeout: (Number(env.AMADEUS_TIMEOUT_SECONDS) || 20) * 1000 }), 'amadeus', { requestIdHeader: 'ama-client-ref' })
+    });
+}
+
+export { createAmadeusClient, createMockAmadeusClient };
@@ -0,0 +1,634 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createCurrencyConverter } from '../currency/index.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+}
+
+// Shape errors like axios does so routes can handle both providers the same way
+function mockError(status, detail) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, data: { errors: [{ status, code: 0, title: 'MOCK ERROR', detail }] } };
+    return error;
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function shiftDateTime(at, days) {
+    const date = new Date(`${at}Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 19);
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+function nightsBetween(checkInDate, checkOutDate) {
+    return Math.max(1, daysBetween(checkInDate, checkOutDate));
+}
+
+const CABIN_FACTORS = { ECONOMY: 1, PREMIUM_ECONOMY: 1.6, BUSINESS: 3.5, FIRST: 6 };
+const TRAVELER_FACTORS = { ADULT: 1, CHILD: 0.75, HELD_INFANT: 0.1, SEATED_INFANT: 0.75 };
+// Fares by day of the week of the first departure (Sunday first), so flexible-date searches vary
+const WEEKDAY_FACTORS = [1.15, 1, 0.85, 0.9, 1, 1.2, 1.05];
+
+// Paid extras, priced in EUR: seats by row, extra checked bags per itinerary and other services
+const SEAT_LETTERS = ['A', 'B', 'C', null, 'D', 'E', 'F'];
+const SEAT_ROWS = 30;
+const EXIT_ROWS = [12, 13];
+const BAG_PRICE = 35;
+const OTHER_SERVICES = { PRIORITY_BOARDING: 12, AIRPORT_CHECKIN: 20 };
+
+// Front rows and exit rows cost more, seats behind row 10 are free
+function seatPrice(row) {
+    if (row <= 3) {
+        return 30;
+    }
+    if (EXIT_ROWS.includes(row)) {
+        return 25;
+    }
+    return row <= 10 ? 15 : 0;
+}
+
+// About a third of the seats are taken, the same ones on every request for a flight
+function seatOccupied(segment, number) {
+    const hash = crypto.createHash('md5').update(`${segment.carrierCode}${segment.number}${segment.departure.at}${number}`).digest();
+    return hash[0] % 3 === 0;
+}
+
+function seatCharacteristics(row, letter, price) {
+    const codes = [['A', 'F'].includes(letter) ? 'W' : ['C', 'D'].includes(letter) ? 'A' : '9'];
+    if (EXIT_ROWS.includes(row)) {
+        codes.push('E', 'L');
+    }
+    if (price > 0) {
+        codes.push('CH');
+    }
+    return codes;
+}
+
+// Turn GET-style search parameters into the POST search body
+function searchBodyFromParams(params) {
+    const originDestinations = [{
+        id: '1',
+        originLocationCode: params.originLocationCode,
+        destinationLocationCode: params.destinationLocationCode,
+        departureDateTimeRange: { date: params.departureDate }
+    }];
+    if (params.returnDate) {
+        originDestinations.push({
+            id: '2',
+            originLocationCode: params.destinationLocationCode,
+            destinationLocationCode: params.originLocationCode,
+            departureDateTimeRange: { date: params.returnDate }
+        });
+    }
+
+    const travelers = [];
+    const addTravelers = (count, travelerType) => {
+        for (let i = 0; i < Number(count || 0); i++) {
+            travelers.push({ id: String(travelers.length + 1), travelerType });
+        }
+    };
+    addTravelers(params.adults || 1, 'ADULT');
+    addTravelers(params.children, 'CHILD');
+    addTravelers(params.infants, 'HELD_INFANT');
+
+    return {
+        originDestinations,
+        travelers,
+        currencyCode: params.currencyCode,
+        searchCriteria: {
+            maxPrice: params.maxPrice,
+            flightFilters: {
+                cabinRestrictions: params.travelClass ? [{ cabin: params.travelClass }] : undefined,
+                connectionRestriction: params.nonStop === 'true' || params.nonStop === true ? { maxNumberOfConnections: 0 } : undefined
+            }
+        }
+    };
+}
+
+// Fixture-backed stand-in for the Amadeus client, selected with AMADEUS_PROVIDER=mock.
+// Flight offers are re-targeted to the requested route and date, and priced in the
+// requested currency with the bundled exchange rates; seat maps and paid extras are
+// generated per flight; orders live in memory.
+export function createMockAmadeusClient() {
+    const converter = createCurrencyConverter();
+    const locations = loadFixture('locations');
+    const airlines = loadFixture('airlines');
+    const flightOffers = loadFixture('flight-offers');
+    const hotels = loadFixture('hotels');
+    const hotelRooms = loadFixture('hotel-rooms');
+
+    const flightOrders = new Map();
+    const hotelOffers = new Map();
+    const hotelBookings = new Map();
+
+    // Units of `to` per unit of `from`; Amadeus answers 400 for a currency it does not know
+    function exchangeRate(from, to) {
+        if (!to || to === from) {
+            return 1;
+        }
+        if (!converter.isSupported(to)) {
+            throw mockError(400, `Unsupported currency ${to}`);
+        }
+        return converter.convert(1000000, from, to) / 1000000;
+    }
+
+    // Resolve a city code such as NYC to one of its airports so offers look real
+    function airportFor(code) {
+        const airports = locations.filter(location => location.subType === 'AIRPORT');
+        const airport = airports.find(location => location.iataCode === code) ||
+            airports.find(location => location.address.cityCode === code);
+        return airport ? airport.iataCode : code;
+    }
+
+    // Build offers for every requested leg from the fixture itineraries
+    function searchOffers(body) {
+        const legs = body.originDestinations || [];
+        const travelers = body.travelers || [];
+        if (legs.length === 0 || travelers.length === 0) {
+            throw mockError(400, 'originDestinations and travelers are required');
+        }
+        if (legs.some(leg => !leg.originLocationCode || !leg.destinationLocationCode || !leg.departureDateTimeRange?.date)) {
+            throw mockError(400, 'Every origin-destination needs an origin, a destination and a date');
+        }
+
+        const filters = body.searchCriteria?.flightFilters || {};
+        const cabin = filters.cabinRestrictions?.[0]?.cabin || 'ECONOMY';
+        const nonStop = filters.connectionRestriction?.maxNumberOfConnections === 0;
+        const maxPrice = Number(body.searchCriteria?.maxPrice) || Infinity;
+        const data = [];
+
+        for (const template of flightOffers.data) {
+            let segmentId = 0;
+            const itineraries = legs.map(leg => {
+                const itinerary = clone(template.itineraries[0]);
+                const segments = itinerary.segments;
+                const dayShift = daysBetween(segments[0].departure.at.slice(0, 10), leg.departureDateTimeRange.date);
+
+                segments[0].departure.iataCode = airportFor(leg.originLocationCode);
+                segments[segments.length - 1].arrival.iataCode = airportFor(leg.destinationLocationCode);
+                for (const segment of segments) {
+                    segment.id = String(++segmentId);
+                    segment.departure.at = shiftDateTime(segment.departure.at, dayShift);
+                    segment.arrival.at = shiftDateTime(segment.arrival.at, dayShift);
+                }
+                return itinerary;
+            });
+
+            if (nonStop && itineraries.some(itinerary => itinerary.segments.length > 1)) {
+                continue;
+            }
+
+            const fareTemplate = template.travelerPricings[0].fareDetailsBySegment[0];
+            const weekday = new Date(`${legs[0].departureDateTimeRange.date}T00:00:00Z`).getUTCDay();
+            const currency = body.currencyCode || template.price.currency;
+            const rate = exchangeRate(template.price.currency, currency);
+            const legBase = Number(template.price.base) * rate * CABIN_FACTORS[cabin] * WEEKDAY_FACTORS[weekday];
+            const legTaxes = (Number(template.price.total) - Number(template.price.base)) * rate;
+
+            const travelerPricings = travelers.map(traveler => {
+                const factor = TRAVELER_FACTORS[traveler.travelerType] || 1;
+                const base = legBase * legs.length * factor;
+                const taxes = legTaxes * legs.length * factor;
+                return {
+                    travelerId: traveler.id,
+                    fareOption: 'STANDARD',
+                    travelerType: traveler.travelerType,
+                    ...(traveler.associatedAdultId ? { associatedAdultId: traveler.associatedAdultId } : {}),
+                    price: {
+                        currency,
+                        total: (base + taxes).toFixed(2),
+                        base: base.toFixed(2),
+                        taxes: [
+                            { amount: (taxes * 0.6).toFixed(2), code: 'YQ' },
+                            { amount: (taxes * 0.4).toFixed(2), code: 'US' }
+                        ]
+                    },
+                    fareDetailsBySegment: itineraries.flatMap(itinerary => itinerary.segments).map(segment => ({
+                        ...fareTemplate,
+                        segmentId: segment.id,
+                        cabin,
+                        includedCheckedBags: { quantity: cabin === 'ECONOMY' ? 1 : 2 }
+                    }))
+                };
+            });
+
+            const total = travelerPricings.reduce((sum, pricing) => sum + Number(pricing.price.total), 0);
+            const base = travelerPricings.reduce((sum, pricing) => sum + Number(pricing.price.base), 0);
+            if (total > maxPrice) {
+                continue;
+            }
+
+            data.push({
+                ...clone(template),
+                id: String(data.length + 1),
+                oneWay: legs.length === 1,
+                itineraries,
+                price: { ...template.price, currency, total: total.toFixed(2), base: base.toFixed(2), grandTotal: total.toFixed(2) },
+                travelerPricings
+            });
+        }
+
+        return { meta: { count: data.length }, data, dictionaries: flightOffers.dictionaries };
+    }
+
+    // Travelers who get a seat: held infants sit on an adult's lap
+    function seatedTravelerIds(offer) {
+        return offer.travelerPricings.filter(pricing => pricing.travelerType !== 'HELD_INFANT').map(pricing => pricing.travelerId);
+    }
+
+    function seatmapFor(offer, segment) {
+        const currency = offer.price.currency;
+        const rate = exchangeRate('EUR', currency);
+        const travelerIds = seatedTravelerIds(offer);
+        const seats = [];
+
+        for (let row = 1; row <= SEAT_ROWS; row++) {
+            SEAT_LETTERS.forEach((letter, y) => {
+                if (!letter) {
+                    return;
+                }
+                const number = `${row}${letter}`;
+                const price = seatPrice(row) * rate;
+                const status = seatOccupied(segment, number) ? 'OCCUPIED' : 'AVAILABLE';
+                seats.push({
+                    cabin: 'ECONOMY',
+                    number,
+                    characteristicsCodes: seatCharacteristics(row, letter, price),
+                    travelerPricing: travelerIds.map(travelerId => ({
+                        travelerId,
+                        seatAvailabilityStatus: status,
+                        ...(price > 0 ? { price: { currency, total: price.toFixed(2), base: price.toFixed(2) } } : {})
+                    })),
+                    coordinates: { x: row - 1, y }
+                });
+            });
+        }
+
+        return {
+            type: 'seatmap',
+            flightOfferId: offer.id,
+            segmentId: segment.id,
+            carrierCode: segment.carrierCode,
+            number: segment.number,
+            departure: segment.departure,
+            arrival: segment.arrival,
+            aircraft: segment.aircraft,
+            decks: [{
+                deckType: 'MAIN',
+                deckConfiguration: { width: SEAT_LETTERS.length, length: SEAT_ROWS, startSeatRow: 1, endSeatRow: SEAT_ROWS, exitRowsX: EXIT_ROWS.map(row => row - 1) },
+                seats
+            }]
+        };
+    }
+
+    // The extra bags and services on sale, shaped like the pricing response's `included`
+    function includedExtras(offer, include) {
+        const currency = offer.price.currency;
+        const rate = exchangeRate('EUR', currency);
+        const travelerIds = seatedTravelerIds(offer);
+        const included = {};
+
+        if (include.includes('bags')) {
+            included.bags = {};
+            offer.itineraries.forEach((itinerary, index) => {
+                [1, 2].forEach(quantity => {
+                    included.bags[String(index * 2 + quantity)] = {
+                        quantity,
+                        name: 'CHECKED_BAG',
+                        price: { amount: (BAG_PRICE * quantity * rate).toFixed(2), currencyCode: currency },
+                        bookableByItinerary: true,
+                        segmentIds: itinerary.segments.map(segment => segment.id),
+                        travelerIds
+                    };
+                });
+            });
+        }
+        if (include.includes('other-services')) {
+            included['other-services'] = Object.fromEntries(Object.entries(OTHER_SERVICES).map(([name, price], index) => [String(index + 1), {
+                name,
+                price: { amount: (price * rate).toFixed(2), currencyCode: currency },
+                segmentIds: [],
+                travelerIds
+            }]));
+        }
+        return included;
+    }
+
+    // Add the price of each traveler's additionalServices to the offer. Bags are
+    // charged once per itinerary and other services once per traveler.
+    function priceExtras(offer) {
+        const rate = exchangeRate('EUR', offer.price.currency);
+        const segments = offer.itineraries.flatMap(itinerary => itinerary.segments);
+        const firstSegmentIds = offer.itineraries.map(itinerary => itinerary.segments[0].id);
+        let extrasTotal = 0;
+
+        for (const pricing of offer.travelerPricings) {
+            let extras = 0;
+            const services = new Set();
+
+            for (const fare of pricing.fareDetailsBySegment) {
+                const chosen = fare.additionalServices || {};
+                if (chosen.chargeableSeatNumber) {
+                    const segment = segments.find(candidate => candidate.id === fare.segmentId);
+                    const row = Number.parseInt(chosen.chargeableSeatNumber, 10);
+                    if (!segment || !row || row > SEAT_ROWS || seatOccupied(segment, chosen.chargeableSeatNumber)) {
+                        throw mockError(400, `Seat ${chosen.chargeableSeatNumber} is not available`);
+                    }
+                    extras += seatPrice(row) * rate;
+                }
+                if (chosen.chargeableCheckedBags && firstSegmentIds.includes(fare.segmentId)) {
+                    extras += BAG_PRICE * Number(chosen.chargeableCheckedBags.quantity) * rate;
+                }
+                (chosen.otherServices || []).forEach(name => services.add(name));
+            }
+            services.forEach(name => {
+                extras += (OTHER_SERVICES[name] || 0) * rate;
+            });
+
+            pricing.price.total = (Number(pricing.price.total) + extras).toFixed(2);
+            extrasTotal += extras;
+        }
+
+        offer.price.total = (Number(offer.price.total) + extrasTotal).toFixed(2);
+        offer.price.grandTotal = (Number(offer.price.grandTotal) + extrasTotal).toFixed(2);
+        return offer;
+    }
+
+    function hotelsForCity(cityCode) {
+        return hotels.map(hotel => JSON.parse(JSON.stringify(hotel).replace(/XXX/g, cityCode)));
+    }
+
+    function findHotel(hotelId) {
+        const cityCode = hotelId.slice(2, 5);
+        return hotelsForCity(cityCode).find(hotel => hotel.hotelId === hotelId);
+    }
+
+    return {
+        provider: 'mock',
+
+        tokenState() {
+            return { hasToken: true, expiresAt: null, expired: false };
+        },
+
+        async searchLocations({ keyword = '', subType = 'AIRPORT,CITY' }) {
+            const term = keyword.toUpperCase();
+            const subTypes = subType.split(',');
+            const data = locations.filter(location => subTypes.includes(location.subType) && (
+                location.iataCode === term ||
+                location.address.cityCode === term ||
+                location.name.startsWith(term) ||
+                location.address.cityName.startsWith(term)
+            ));
+            return { meta: { count: data.length }, data };
+        },
+
+        async getAirlines(codes) {
+            const wanted = [].concat(codes).join(',').split(',');
+            const data = airlines.filter(airline => wanted.includes(airline.iataCode));
+            return { meta: { count: data.length }, data };
+        },
+
+        async searchFlightOffers(params) {
+            return searchOffers(searchBodyFromParams(params));
+        },
+
+        async searchFlightOffersPost(body) {
+            return searchOffers(body);
+        },
+
+        // Cheapest fare per departure date in the range "from,to", for one adult
+        async searchFlightDates({ origin, destination, departureDate, oneWay = true, duration, nonStop }) {
+            const [from, to = from] = String(departureDate).split(',');
+            if (!origin || !destination || !from) {
+                throw mockError(400, 'origin, destination and departureDate are required');
+            }
+
+            const data = [];
+            for (let day = 0; day <= daysBetween(from, to); day++) {
+                const date = shiftDateTime(`${from}T00:00:00`, day).slice(0, 10);
+                const returnDate = oneWay ? null : shiftDateTime(`${date}T00:00:00`, Number(duration) || 7).slice(0, 10);
+                const { data: offers } = searchOffers({
+                    originDestinations: [
+                        { id: '1', originLocationCode: origin, destinationLocationCode: destination, departureDateTimeRange: { date } },
+                        ...(returnDate ? [{ id: '2', originLocationCode: destination, destinationLocationCode: origin, departureDateTimeRange: { date: returnDate } }] : [])
+                    ],
+                    travelers: [{ id: '1', travelerType: 'ADULT' }],
+                    searchCriteria: { flightFilters: nonStop === true || nonStop === 'true' ? { connectionRestriction: { maxNumberOfConnections: 0 } } : {} }
+                });
+                if (offers.length > 0) {
+                    const cheapest = Math.min(...offers.map(offer => Number(offer.price.total)));
+                    data.push({
+                        type: 'flight-date',
+                        origin,
+                        destination,
+                        departureDate: date,
+                        ...(returnDate ? { returnDate } : {}),
+                        price: { total: cheapest.toFixed(2) }
+                    });
+                }
+            }
+            return { data, meta: { currency: flightOffers.data[0].price.currency } };
+        },
+
+        // The cheapest fare to every fixture city, on a day of the window picked per city
+        async searchFlightDestinations({ origin, departureDate, oneWay = false, duration }) {
+            const originCity = locations.find(location => location.iataCode === origin)?.address?.cityCode || origin;
+            if (!originCity) {
+                throw mockError(400, 'origin is required');
+            }
+
+            const today = new Date().toISOString().slice(0, 10);
+            const [from = shiftDateTime(`${today}T00:00:00`, 14).slice(0, 10), to = from] = departureDate ? String(departureDate).split(',') : [];
+            const isOneWay = oneWay === true || oneWay === 'true';
+            const cities = locations.filter(location => location.subType === 'CITY' && location.iataCode !== originCity);
+            const data = [];
+
+            for (const city of cities) {
+                const offset = crypto.createHash('md5').update(`${originCity}${city.iataCode}`).digest()[0] % (daysBetween(from, to) + 1);
+                const date = shiftDateTime(`${from}T00:00:00`, offset).slice(0, 10);
+                const returnDate = isOneWay ? null : shiftDateTime(`${date}T00:00:00`, Number(duration) || 7).slice(0, 10);
+                const { data: offers } = searchOffers({
+                    originDestinations: [
+                        { id: '1', originLocationCode: originCity, destinationLocationCode: city.iataCode, departureDateTimeRange: { date } },
+                        ...(returnDate ? [{ id: '2', originLocationCode: city.iataCode, destinationLocationCode: originCity, departureDateTimeRange: { date: returnDate } }] : [])
+                    ],
+                    travelers: [{ id: '1', travelerType: 'ADULT' }]
+                });
+                if (offers.length > 0) {
+                    data.push({
+                        type: 'flight-destination',
+                        origin: originCity,
+                        destination: city.iataCode,
+                        departureDate: date,
+                        ...(returnDate ? { returnDate } : {}),
+                        price: { total: Math.min(...offers.map(offer => Number(offer.price.total))).toFixed(2) }
+                    });
+                }
+            }
+
+            const currency = flightOffers.data[0].price.currency;
+            return {
+                data,
+                dictionaries: {
+                    currencies: { [currency]: currency },
+                    locations: Object.fromEntries(cities.map(city => [city.iataCode, { subType: 'CITY', detailedName: city.name }]))
+                },
+                meta: { currency }
+            };
+        },
+
+        async priceFlightOffers(offers, { include = '' } = {}) {
+            const priced = clone(offers).map(offer => priceExtras({ ...offer, type: 'flight-offer' }));
+            const included = includedExtras(priced[0], include.split(','));
+            return {
+                data: { type: 'flight-offers-pricing', flightOffers: priced },
+                ...(Object.keys(included).length > 0 ? { included } : {}),
+                dictionaries: flightOffers.dictionaries
+            };
+        },
+
+        async getSeatmaps(offers) {
+            const data = offers.flatMap(offer => offer.itineraries.flatMap(itinerary => itinerary.segments).map(segment => seatmapFor(offer, segment)));
+            return { meta: { count: data.length }, data };
+        },
+
+        async createFlightOrder({ flightOffers: offers, travelers }) {
+            if (!travelers || travelers.length === 0) {
+                throw mockError(400, 'At least one traveler is required');
+            }
+
+            const id = `MOCK${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+            const order = {
+                type: 'flight-order',
+                id,
+                associatedRecords: [{ reference: id.slice(4, 10), creationDate: new Date().toISOString(), originSystemCode: 'GDS' }],
+                flightOffers: clone(offers),
+                travelers: clone(travelers)
+            };
+            flightOrders.set(id, order);
+            return { data: order };
+        },
+
+        async getFlightOrder(orderId) {
+            const order = flightOrders.get(orderId);
+            if (!order) {
+                throw mockError(404, `Flight order ${orderId} not found`);
+            }
+            return { data: clone(order) };
+        },
+
+        async cancelFlightOrder(orderId) {
+            if (!flightOrders.delete(orderId)) {
+                throw mockError(404, `Flight order ${orderId} not found`);
+            }
+            return '';
+        },
+
+        async listHotelsByCity(cityCode) {
+            if (!cityCode) {
+                throw mockError(400, 'cityCode is required');
+            }
+            const data = hotelsForCity(cityCode).map(({ nightlyRate, ...hotel }) => hotel);
+            return { meta: { count: data.length }, data };
+        },
+
+        async searchHotelOffers({ hotelIds, checkInDate, checkOutDate, adults = 1, roomQuantity = 1, currency = 'EUR' }) {
+            const rate = exchangeRate('EUR', currency);
+            const today = new Date().toISOString().slice(0, 10);
+            const checkIn = checkInDate || today;
+            const checkOut = checkOutDate || shiftDateTime(`${checkIn}T00:00:00`, 1).slice(0, 10);
+            const nights = nightsBetween(checkIn, checkOut);
+
+            const data = String(hotelIds || '').split(',').map(findHotel).filter(Boolean).map(hotel => {
+                const hotelInfo = {
+                    type: 'hotel',
+                    hotelId: hotel.hotelId,
+                    chainCode: hotel.chainCode,
+                    name: hotel.name,
+                    cityCode: hotel.iataCode,
+                    rating: hotel.rating,
+                    address: hotel.address
+                };
+
+                const offers = hotelRooms.map(room => {
+                    const total = (hotel.nightlyRate * rate * room.factor * nights * Number(roomQuantity)).toFixed(2);
+                    const offer = {
+                        id: crypto.createHash('sha1').update(`${hotel.hotelId}:${room.type}:${checkIn}:${checkOut}:${adults}:${roomQuantity}`).digest('hex').slice(0, 10).toUpperCase(),
+                        checkInDate: checkIn,
+                        checkOutDate: checkOut,
+                        rateCode: 'RAC',
+                        room: {
+                            type: room.type,
+                            typeEstimated: { category: room.category, beds: room.beds, bedType: room.bedType },
+                            description: { text: room.description, lang: 'EN' }
+                        },
+                        roomQuantity: Number(roomQuantity),
+                        guests: { adults: Number(adults) },
+                        price: { currency, base: (total * 0.9).toFixed(2), total },
+                        policies: {
+                            cancellations: room.refundable ? [{ deadline: `${checkIn}T18:00:00+00:00` }] : [],
+                            refundable: { cancellationRefund: room.refundable ? 'REFUNDABLE_UP_TO_DEADLINE' : 'NON_REFUNDABLE' }
+                        }
+                    };
+                    hotelOffers.set(offer.id, { hotel: hotelInfo, offer });
+                    return offer;
+                });
+
+                return { type: 'hotel-offers', hotel: hotelInfo, available: true, offers };
+            });
+
+            return { data };
+        },
+
+        async getHotelOffer(offerId) {
+            const entry = hotelOffers.get(offerId);
+            if (!entry) {
+                throw mockError(400, `Offer ${offerId} is no longer available`);
+            }
+            return { data: { type: 'hotel-offers', hotel: clone(entry.hotel), available: true, offers: [clone(entry.offer)] } };
+        },
+
+        async createHotelBooking({ offerId, guests, payments }) {
+            const entry = hotelOffers.get(offerId);
+            if (!entry) {
+                throw mockError(400, `Offer ${offerId} is no longer available`);
+            }
+            if (!guests || guests.length === 0) {
+                throw mockError(400, 'At least one guest is required');
+            }
+            if (!payments || !payments[0] || !payments[0].card || !payments[0].card.cardNumber) {
+                throw mockError(400, 'A payment card is required');
+            }
+
+            const id = `MOCK${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+            const booking = {
+                type: 'hotel-booking',
+                id,
+                providerConfirmationId: String(crypto.randomInt(1e9, 1e10)),
+                associatedRecords: [{ reference: id.slice(4, 10), originSystemCode: 'GDS' }]
+            };
+            // Card details are not kept, like the real API
+            hotelBookings.set(id, { ...booking, hotel: clone(entry.hotel), offer: clone(entry.offer), guests: clone(guests) });
+            return { data: [booking] };
+        },
+
+        async getHotelBooking(bookingId) {
+            const booking = hotelBookings.get(bookingId);
+            if (!booking) {
+                throw mockError(404, `Hotel booking ${bookingId} not found`);
+            }
+            return { data: clone(booking) };
+        }
+    };
+}
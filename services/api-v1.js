@@ -0,0 +1,140 @@
+import { describeFare, describeFlightResult } from './flight-results.js';
+import { describeHotelOffer } from './hotel-search.js';
+import { ERROR_STATUSES } from './errors.js';
+
+// JSON shapes of the versioned API (/api/v1) used by the mobile app and partners.
+// Responses wrap their payload as { data, meta }; failures are always
+// { error: { status, code, message, fields } } so clients can branch on `code`
+// (see ERROR_STATUSES in services/errors.js) and show `fields` (form field
+// name -> message) next to their inputs. The OpenAPI document in
+// services/openapi.js describes these shapes.
+
+export function sendApiError(res, code, message, fields = null) {
+    const status = ERROR_STATUSES[code];
+    return res.status(status).json({ error: { status, code, message, ...(fields ? { fields } : {}) } });
+}
+
+// Form-style errors (arrays of sentences or objects keyed by field) as { message, fields }
+export function describeErrors(errors) {
+    if (Array.isArray(errors)) {
+        return { message: errors.join(' '), fields: null };
+    }
+    return { message: 'Please correct the highlighted details.', fields: errors };
+}
+
+function money(amount, currency) {
+    return amount === undefined || amount === null ? null : { amount: String(amount), currency };
+}
+
+export function locationJson(location) {
+    return {
+        iataCode: location.iataCode,
+        type: location.subType === 'CITY' ? 'city' : 'airport',
+        name: location.name,
+        cityName: location.address?.cityName || null,
+        cityCode: location.address?.cityCode || null,
+        countryCode: location.address?.countryCode || null
+    };
+}
+
+// A flight offer with carrier names filled in; `offerToken` is what pricing and booking take
+export function flightOfferJson(offer, { airlines = [], aircraft = {} } = {}) {
+    const carrierName = code => airlines.find(airline => airline.code === code)?.name || code;
+    const result = describeFlightResult(offer);
+
+    return {
+        offerToken: offer.offerToken || null,
+        price: {
+            total: offer.price.grandTotal || offer.price.total,
+            base: offer.price.base,
+            taxes: offer.price.totalTaxes || null,
+            currency: offer.price.currency
+        },
+        stops: result.stops,
+        durationMinutes: result.durationMinutes,
+        fare: describeFare(offer),
+        validatingAirlines: (offer.validatingAirlineCodes || []).map(code => ({ code, name: carrierName(code) })),
+        itineraries: offer.itineraries.map(itinerary => ({
+            duration: itinerary.duration,
+            segments: itinerary.segments.map(segment => ({
+                carrier: { code: segment.carrierCode, name: carrierName(segment.carrierCode) },
+                flightNumber: `${segment.carrierCode}${segment.number}`,
+                aircraft: segment.aircraft ? (aircraft[segment.aircraft.code] || segment.aircraft.code) : null,
+                departure: { iataCode: segment.departure.iataCode, terminal: segment.departure.terminal || null, at: segment.departure.at },
+                arrival: { iataCode: segment.arrival.iataCode, terminal: segment.arrival.terminal || null, at: segment.arrival.at },
+                duration: segment.duration,
+                stops: segment.numberOfStops || 0
+            }))
+        })),
+        travelers: (offer.travelerPricings || []).map(pricing => ({
+            id: pricing.travelerId,
+            type: pricing.travelerType,
+            price: money(pricing.price?.total, pricing.price?.currency || offer.price.currency)
+        }))
+    };
+}
+
+export function hotelJson(hotel) {
+    return {
+        id: hotel.hotelId,
+        name: hotel.name,
+        cityCode: hotel.cityCode || null,
+        rating: hotel.rating || null,
+        address: hotel.address || null
+    };
+}
+
+// One cheapest offer per hotel, as returned by the city search
+export function hotelResultJson({ hotel, offer }) {
+    return { hotel: hotelJson(hotel), offer: describeHotelOffer(offer) };
+}
+
+function paymentJson(payment) {
+    return payment
+        ? { status: payment.status, amount: money(payment.amount, payment.currency), refunded: money(payment.amount_refunded, payment.currency), paidAt: payment.paid_at }
+        : null;
+}
+
+// What a booking request led to: booked, waiting for the card challenge at
+// `nextActionUrl`, or paid and waiting to be booked (`requires_confirmation`, or
+// `requires_card` for a hotel, which needs its guarantee card again). `booked`
+// without a reference is a booking whose confirmation could not be stored; it is
+// listed in the traveler's trips.
+export function checkoutJson(intent, { kind, booked = false, reference = null } = {}) {
+    if (booked) {
+        return { status: 'booked', checkoutId: intent.id, kind, reference };
+    }
+    if (intent.status === 'succeeded') {
+        return { status: kind === 'hotel' ? 'requires_card' : 'requires_confirmation', checkoutId: intent.id, kind, nextActionUrl: null };
+    }
+    return {
+        status: intent.status === 'requires_action' ? 'requires_action' : intent.status,
+        checkoutId: intent.id,
+        kind,
+        nextActionUrl: intent.status === 'requires_action' ? intent.nextAction.url : null
+    };
+}
+
+export function flightBookingJson(reference, confirmation, order, payment) {
+    return {
+        reference,
+        bookingId: confirmation.bookingId,
+        recordLocator: order.associatedRecords?.[0]?.reference || null,
+        contact: confirmation.contact,
+        travelers: confirmation.travelers,
+        flights: (order.flightOffers || []).map(offer => flightOfferJson(offer)),
+        payment: paymentJson(payment)
+    };
+}
+
+export function hotelBookingJson(reference, confirmation, booking, payment) {
+    return {
+        reference,
+        bookingId: confirmation.bookingId,
+        providerConfirmationId: booking.providerConfirmationId || null,
+        guest: confirmation.travelerInfo,
+        hotel: booking.hotel ? hotelJson(booking.hotel) : null,
+        offer: booking.offer ? describeHotelOffer(booking.offer) : null,
+        payment: paymentJson(payment)
+    };
+}
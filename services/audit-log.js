@@ -0,0 +1,51 @@
+// Back-office audit log in the Supabase `admin_audit_log` table (see
+// supabase/migrations), written and read with the service-role client only.
+
+// Every action staff can take, with the label shown in the log
+export const AUDIT_ACTIONS = {
+    'booking.viewed': 'Viewed booking',
+    'booking.cancelled': 'Cancelled booking',
+    'order.viewed': 'Viewed aircraft order',
+    'order.cancelled': 'Cancelled aircraft order',
+    'aircraft.created': 'Added aircraft',
+    'aircraft.updated': 'Updated aircraft'
+};
+
+export const AUDIT_PAGE_SIZE = 50;
+
+// `actor` is the signed-in staff user; `details` is anything worth keeping about the change
+export async function recordAuditEvent(admin, { actor, action, targetType, targetId, details = {} }) {
+    const { error } = await admin
+        .from('admin_audit_log')
+        .insert({
+            actor_id: actor.id,
+            actor_email: actor.email,
+            action,
+            target_type: targetType,
+            target_id: String(targetId),
+            details
+        });
+
+    if (error) {
+        throw new Error(`Could not record ${action} of ${targetType} ${targetId}: ${error.message}`);
+    }
+}
+
+// Newest first; narrowed to one target when `targetType` and `targetId` are given
+export async function listAuditEvents(admin, { targetType = null, targetId = null, page = 1 } = {}) {
+    let request = admin.from('admin_audit_log').select('*', { count: 'exact' });
+
+    if (targetType && targetId) {
+        request = request.eq('target_type', targetType).eq('target_id', String(targetId));
+    }
+
+    const from = (page - 1) * AUDIT_PAGE_SIZE;
+    const { data, count, error } = await request
+        .order('created_at', { ascending: false })
+        .range(from, from + AUDIT_PAGE_SIZE - 1);
+
+    if (error) {
+        throw new Error(`Could not load audit log: ${error.message}`);
+    }
+    return { events: data, total: count || 0, pageCount: Math.max(1, Math.ceil((count || 0) / AUDIT_PAGE_SIZE)) };
+}
@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import { AuthenticationError, ForbiddenError } from './errors.js';
+
+// Server-side access control. Accounts have one role, stored in the Supabase
+// `user_roles` table (see supabase/migrations); accounts without a row are
+// travelers. Roles are ordered, each one allowed everything the ones before it are.
+
+export const ROLES = ['traveler', 'agent', 'admin'];
+
+// How long a role read from Supabase is reused from the session
+const ROLE_TTL_MS = 5 * 60 * 1000;
+
+export async function getUserRole(supabase, userId) {
+    const { data, error } = await supabase
+        .from('user_roles')
+        .select('role')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not load role: ${error.message}`);
+    }
+    return ROLES.includes(data?.role) ? data.role : 'traveler';
+}
+
+// The signed-in user's role, cached in their session for a few minutes
+export async function loadUserRole(req, user) {
+    const cached = req.session.role;
+    if (cached && cached.userId === user.id && Date.now() - cached.loadedAt < ROLE_TTL_MS) {
+        return cached.role;
+    }
+
+    const role = await getUserRole(req.supabase, user.id);
+    req.session.role = { userId: user.id, role, loadedAt: Date.now() };
+    return role;
+}
+
+export function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// A local path to return to after logging in, or null. Anything else (other
+// hosts, protocol-relative URLs) is dropped so the login link cannot send people away.
+export function safeReturnTo(value) {
+    if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.startsWith('/\\')) {
+        return null;
+    }
+    return value.slice(0, 2000);
+}
+
+export function loginUrl(returnTo) {
+    const path = safeReturnTo(returnTo);
+    return path && path !== '/' ? `/login?returnTo=${encodeURIComponent(path)}` : '/login';
+}
+
+// Where a visitor was when a guard stopped them: the page itself for GET, the
+// page the form was posted from otherwise
+function currentPage(req) {
+    if (req.method === 'GET') {
+        return req.originalUrl;
+    }
+    try {
+        const referer = new URL(req.get('Referer'));
+        return referer.host === req.get('Host') ? `${referer.pathname}${referer.search}` : null;
+    } catch {
+        return null;
+    }
+}
+
+// Calls from scripts and the JSON API get a status code rather than a redirect
+function wantsJson(req) {
+    return req.originalUrl.startsWith('/api/') || req.is('json') || req.xhr || !req.accepts('html');
+}
+
+// Route guard. requireAuth() lets in any signed-in user, requireAuth('agent')
+// agents and admins. Pages send visitors without a session to /login and back
+// afterwards; JSON callers get 401. A role that is too low is a 403 for both.
+// Expects res.locals.user and res.locals.userRole, set by the session middleware.
+export function requireAuth(role = null) {
+    return (req, res, next) => {
+        if (!res.locals.user) {
+            if (wantsJson(req)) {
+                return next(new AuthenticationError('Log in to continue.'));
+            }
+            return res.redirect(loginUrl(currentPage(req)));
+        }
+
+        if (role && !hasRole(res.locals.userRole, role)) {
+            return next(new ForbiddenError('Your account does not have access to this page.'));
+        }
+        next();
+    };
+}
+
+// Per-session token for forms that change data, sent back as `_csrf`, so another
+// site cannot post them with the signed-in user's cookie (the sameSite=lax cookie
+// alone still lets sibling subdomains through)
+export function csrfToken(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(24).toString('base64url');
+    }
+    return req.session.csrfToken;
+}
+
+// Guard for form posts: a POST without this session's `_csrf` token is a 403
+export function requireCsrfToken() {
+    return (req, res, next) => {
+        if (req.method !== 'POST') {
+            return next();
+        }
+
+        const expected = Buffer.from(req.session.csrfToken || '');
+        const actual = Buffer.from(String(req.body?._csrf || ''));
+        if (expected.length === 0 || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return next(new ForbiddenError('This form has expired. Go back, reload the page and try again.'));
+        }
+        next();
+    };
+}
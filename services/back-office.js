@@ -0,0 +1,158 @@
+// Back office (/admin) queries across every account, made with the service-role
+// client. Bookings are the flight and hotel rows of the `trips` table, orders the
+// `aircraft_orders` rows (see supabase/migrations). Each staff action is recorded
+// with services/audit-log.js by the route that takes it.
+
+export const BACK_OFFICE_PAGE_SIZE = 25;
+export const BOOKING_KINDS = ['flight', 'hotel'];
+export const BOOKING_STATUSES = ['confirmed', 'cancelled'];
+export const ORDER_STATUSES = ['pending_payment', 'paid', 'payment_failed', 'refunded', 'cancelled'];
+// Orders that have not been refunded or cancelled yet
+export const CANCELLABLE_ORDER_STATUSES = ['pending_payment', 'paid'];
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Search text without the characters that mean something in PostgREST filters
+function searchText(value) {
+    return String(value || '').replace(/[,()%*\\]/g, ' ').trim().slice(0, 100);
+}
+
+function parsePage(value) {
+    return Math.max(1, Number.parseInt(value, 10) || 1);
+}
+
+// { q, kind, status, page } from the bookings list query string
+export function parseBookingFilters(query) {
+    return {
+        q: searchText(query.q),
+        kind: BOOKING_KINDS.includes(query.kind) ? query.kind : '',
+        status: BOOKING_STATUSES.includes(query.status) ? query.status : '',
+        page: parsePage(query.page)
+    };
+}
+
+// { q, status, page } from the orders list query string
+export function parseOrderFilters(query) {
+    return {
+        q: searchText(query.q),
+        status: ORDER_STATUSES.includes(query.status) ? query.status : '',
+        page: parsePage(query.page)
+    };
+}
+
+// Query string of a list's filters on another page, for the paging links
+export function filterParams(filters, page = 1) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (key !== 'page' && value) {
+            params.set(key, value);
+        }
+    });
+    if (page > 1) {
+        params.set('page', page);
+    }
+    return params.toString();
+}
+
+// Text matches any of `columns`; a user id matches the account's rows
+function searchFilter(q, columns) {
+    const conditions = columns.map(column => `${column}.ilike.*${q}*`);
+    if (UUID.test(q)) {
+        conditions.push(`user_id.eq.${q}`);
+    }
+    return conditions.join(',');
+}
+
+async function listPage(request, page, label) {
+    const from = (page - 1) * BACK_OFFICE_PAGE_SIZE;
+    const { data, count, error } = await request
+        .order('created_at', { ascending: false })
+        .range(from, from + BACK_OFFICE_PAGE_SIZE - 1);
+
+    if (error) {
+        throw new Error(`Could not load ${label}: ${error.message}`);
+    }
+    return { rows: data, total: count || 0, page, pageCount: Math.max(1, Math.ceil((count || 0) / BACK_OFFICE_PAGE_SIZE)) };
+}
+
+// Newest bookings first: { rows, total, page, pageCount }. `q` matches the
+// reference or title, or the owner when it is a user id.
+export function listBookings(admin, filters) {
+    let request = admin
+        .from('trips')
+        .select('*', { count: 'exact' })
+        .in('kind', filters.kind ? [filters.kind] : BOOKING_KINDS);
+
+    if (filters.status) {
+        request = request.eq('status', filters.status);
+    }
+    if (filters.q) {
+        request = request.or(searchFilter(filters.q, ['reference', 'title']));
+    }
+    return listPage(request, filters.page, 'bookings');
+}
+
+// null when there is no flight or hotel booking with this id
+export async function getBooking(admin, bookingId) {
+    if (!UUID.test(bookingId)) {
+        return null;
+    }
+
+    const { data, error } = await admin
+        .from('trips')
+        .select('*')
+        .in('kind', BOOKING_KINDS)
+        .eq('id', bookingId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not load booking ${bookingId}: ${error.message}`);
+    }
+    return data;
+}
+
+// Newest orders first: { rows, total, page, pageCount }. `q` matches the order
+// number, or the buyer when it is a user id.
+export function listAircraftOrders(admin, filters) {
+    let request = admin.from('aircraft_orders').select('*', { count: 'exact' });
+
+    if (filters.status) {
+        request = request.eq('status', filters.status);
+    }
+    if (filters.q) {
+        request = request.or(searchFilter(filters.q, ['order_number']));
+    }
+    return listPage(request, filters.page, 'aircraft orders');
+}
+
+// Mark an order cancelled; null when it was already refunded or cancelled
+export async function cancelAircraftOrder(admin, orderNumber) {
+    const { data, error } = await admin
+        .from('aircraft_orders')
+        .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+        .eq('order_number', orderNumber)
+        .in('status', CANCELLABLE_ORDER_STATUSES)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not cancel aircraft order ${orderNumber}: ${error.message}`);
+    }
+    return data;
+}
+
+// Email address of an account, or null when it no longer exists
+export async function getAccountEmail(admin, userId) {
+    if (!userId) {
+        return null;
+    }
+
+    const { data, error } = await admin.auth.admin.getUserById(userId);
+    if (error) {
+        if (error.status === 404) {
+            return null;
+        }
+        throw new Error(`Could not load account ${userId}: ${error.message}`);
+    }
+    return data.user?.email || null;
+}
@@ -0,0 +1,67 @@
+// Small JSON key-value cache with per-entry TTL. Uses Redis when a client is
+// given and a process-local Map otherwise. Values are serialized either way so
+// callers never share mutable objects with the cache.
+export function createCache({ redis, prefix = 'travix:', defaultTtlSeconds = 300 }) {
+    const entries = new Map();
+
+    // Drop expired in-memory entries once a minute
+    if (!redis) {
+        setInterval(() => {
+            const now = Date.now();
+            for (const [key, entry] of entries) {
+                if (entry.expiresAt <= now) {
+                    entries.delete(key);
+                }
+            }
+        }, 60 * 1000).unref();
+    }
+
+    return {
+        async get(key) {
+            if (redis) {
+                const value = await redis.get(prefix + key);
+                return value === null ? null : JSON.parse(value);
+            }
+
+            const entry = entries.get(key);
+            if (!entry || entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return JSON.parse(entry.value);
+        },
+
+        async set(key, value, ttlSeconds = defaultTtlSeconds) {
+            const serialized = JSON.stringify(value);
+            if (redis) {
+                await redis.set(prefix + key, serialized, { EX: ttlSeconds });
+                return;
+            }
+            entries.set(key, { value: serialized, expiresAt: Date.now() + ttlSeconds * 1000 });
+        },
+
+        // Set only when the key is absent (or expired); true when this call set it.
+        // Used as a lock: only one caller can claim a key until its TTL runs out.
+        async claim(key, value, ttlSeconds = defaultTtlSeconds) {
+            const serialized = JSON.stringify(value);
+            if (redis) {
+                return (await redis.set(prefix + key, serialized, { NX: true, EX: ttlSeconds })) === 'OK';
+            }
+
+            const entry = entries.get(key);
+            if (entry && entry.expiresAt > Date.now()) {
+                return false;
+            }
+            entries.set(key, { value: serialized, expiresAt: Date.now() + ttlSeconds * 1000 });
+            return true;
+        },
+
+        async delete(key) {
+            if (redis) {
+                await redis.del(prefix + key);
+                return;
+            }
+            entries.delete(key);
+        }
+    };
+}
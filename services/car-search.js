@@ -0,0 +1,113 @@
+// Parsing of car rental / transfer searches and of the driver form used to book them.
+
+export const MAX_PASSENGERS = 9;
+export const MIN_DRIVER_AGE = 21;
+
+const IATA_CODE = /^[A-Z]{3}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE = /^\+?[0-9 ()-]{6,20}$/;
+
+function toCount(value, fallback) {
+    const count = Number.parseInt(value, 10);
+    return Number.isNaN(count) ? fallback : count;
+}
+
+function toCode(value) {
+    return String(value || '').trim().toUpperCase();
+}
+
+// Whole rental days between pickup and drop-off; any started day counts
+export function rentalDays(pickupAt, dropoffAt) {
+    const hours = (Date.parse(`${dropoffAt}Z`) - Date.parse(`${pickupAt}Z`)) / (60 * 60 * 1000);
+    return Math.max(1, Math.ceil(hours / 24));
+}
+
+// Normalize the car search form/query string into { search, errors }
+export function parseCarSearch(query) {
+    const errors = [];
+    const search = {
+        pickupLocation: query.pickupLocation || '',
+        pickupCode: toCode(query.pickupCode),
+        dropoffLocation: query.dropoffLocation || '',
+        dropoffCode: toCode(query.dropoffCode),
+        pickupDate: query.pickupDate || '',
+        pickupTime: query.pickupTime || '10:00',
+        dropoffDate: query.dropoffDate || '',
+        dropoffTime: query.dropoffTime || '10:00',
+        passengers: toCount(query.passengers, 1)
+    };
+
+    if (!IATA_CODE.test(search.pickupCode)) {
+        errors.push('Choose a pickup location from the suggestions.');
+    }
+    if (!IATA_CODE.test(search.dropoffCode)) {
+        errors.push('Choose a drop-off location from the suggestions.');
+    }
+    if (!ISO_DATE.test(search.pickupDate) || !TIME.test(search.pickupTime)) {
+        errors.push('Choose a pickup date and time.');
+    }
+    if (!ISO_DATE.test(search.dropoffDate) || !TIME.test(search.dropoffTime)) {
+        errors.push('Choose a drop-off date and time.');
+    }
+    if (errors.length === 0 && carDropoffAt(search) <= carPickupAt(search)) {
+        errors.push('The drop-off time must be after the pickup time.');
+    }
+    if (search.passengers < 1 || search.passengers > MAX_PASSENGERS) {
+        errors.push(`Choose between 1 and ${MAX_PASSENGERS} passengers.`);
+    }
+
+    return { search, errors };
+}
+
+export function carPickupAt(search) {
+    return `${search.pickupDate}T${search.pickupTime}:00`;
+}
+
+export function carDropoffAt(search) {
+    return `${search.dropoffDate}T${search.dropoffTime}:00`;
+}
+
+// Query string that reproduces a car search, carried between result, details and booking pages
+export function carSearchParams(search) {
+    return new URLSearchParams({
+        pickupLocation: search.pickupLocation,
+        pickupCode: search.pickupCode,
+        dropoffLocation: search.dropoffLocation,
+        dropoffCode: search.dropoffCode,
+        pickupDate: search.pickupDate,
+        pickupTime: search.pickupTime,
+        dropoffDate: search.dropoffDate,
+        dropoffTime: search.dropoffTime,
+        passengers: String(search.passengers)
+    });
+}
+
+// Normalize the posted driver form into { driver, errors }; transfers have no driver age to check
+export function parseCarDriver(body, { requireAge = true } = {}) {
+    const errors = [];
+    const driver = {
+        firstName: String(body.firstName || '').trim(),
+        lastName: String(body.lastName || '').trim(),
+        email: String(body.email || '').trim(),
+        phone: String(body.phone || '').trim(),
+        age: toCount(body.driverAge, NaN),
+        flightNumber: toCode(body.flightNumber).replace(/\s/g, '')
+    };
+
+    if (!driver.firstName || !driver.lastName) {
+        errors.push('Enter the driver\'s first and last name.');
+    }
+    if (!EMAIL.test(driver.email)) {
+        errors.push('Enter a valid email address.');
+    }
+    if (!PHONE.test(driver.phone)) {
+        errors.push('Enter a valid phone number, including the country code.');
+    }
+    if (requireAge && !(driver.age >= MIN_DRIVER_AGE)) {
+        errors.push(`The driver must be at least ${MIN_DRIVER_AGE} years old.`);
+    }
+
+    return { driver, errors };
+}
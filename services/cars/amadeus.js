@@ -0,0 +1,72 @@
+// Car offers from the Amadeus Transfer Search and Transfer Booking APIs. A
+// transfer is a single chauffeured ride at the pickup time, so the drop-off
+// time only bounds the search window and is not part of the price.
+
+const VEHICLE_CATEGORIES = { ST: 'Standard', BU: 'Business', FC: 'First class' };
+
+function describeCancellation(rules = []) {
+    if (rules.length === 0) {
+        return { refundable: false, description: 'Cancellation terms are set by the provider.' };
+    }
+    const free = rules.find(rule => Number(rule.feeValue) === 0);
+    return {
+        refundable: Boolean(free),
+        description: rules.map(rule => rule.ruleDescription).filter(Boolean).join(' ') || 'See provider terms.'
+    };
+}
+
+function toCarOffer(offer, search) {
+    const vehicle = offer.vehicle || {};
+    return {
+        id: offer.id,
+        kind: 'transfer',
+        provider: { code: offer.serviceProvider?.code, name: offer.serviceProvider?.name || 'Transfer provider' },
+        vehicle: {
+            code: vehicle.code,
+            category: `${VEHICLE_CATEGORIES[vehicle.category] || vehicle.category || ''} ${vehicle.code === 'VAN' ? 'van' : 'car'}`.trim(),
+            description: vehicle.description || '',
+            seats: vehicle.seats?.[0]?.count,
+            bags: vehicle.baggages?.[0]?.count,
+            transmission: ''
+        },
+        pickup: { locationCode: offer.start?.locationCode || search.pickupCode, at: offer.start?.dateTime },
+        dropoff: { locationCode: offer.end?.locationCode || search.dropoffCode, at: offer.end?.dateTime },
+        days: 0,
+        price: { total: offer.quotation.monetaryAmount, currency: offer.quotation.currencyCode },
+        cancellation: describeCancellation(offer.cancellationRules)
+    };
+}
+
+export function createAmadeusCarProvider(amadeus) {
+    return {
+        name: 'amadeus',
+
+        async searchOffers(search) {
+            const response = await amadeus.searchTransferOffers({
+                startLocationCode: search.pickupCode,
+                endLocationCode: search.dropoffCode,
+                transferType: 'PRIVATE',
+                startDateTime: `${search.pickupDate}T${search.pickupTime}:00`,
+                passengers: search.passengers
+            });
+            return (response.data || []).map(offer => toCarOffer(offer, search));
+        },
+
+        async createBooking(offer, driver) {
+            const response = await amadeus.createTransferOrder(offer.id, {
+                passengers: [{
+                    firstName: driver.firstName,
+                    lastName: driver.lastName,
+                    contacts: { phoneNumber: driver.phone, email: driver.email }
+                }],
+                ...(driver.flightNumber ? { note: `Arriving on flight ${driver.flightNumber}` } : {})
+            });
+            const order = response.data;
+            return {
+                id: order.id,
+                reference: order.reference || order.transfers?.[0]?.confirmNbr,
+                status: order.transfers?.[0]?.status || 'CONFIRMED'
+            };
+        }
+    };
+}
@@ -0,0 +1,12 @@
+import { createAmadeusCarProvider } from './amadeus.js';
+import { createMockCarProvider } from './mock.js';
+
+// Pick the car provider from the environment. CAR_PROVIDER=amadeus uses the Amadeus
+// transfer APIs, CAR_PROVIDER=mock the bundled rental fixtures; by default cars follow
+// AMADEUS_PROVIDER so a mocked Amadeus also means mocked cars.
+export function createCarProvider({ amadeus, env = process.env }) {
+    const provider = env.CAR_PROVIDER || (env.AMADEUS_PROVIDER === 'mock' ? 'mock' : 'amadeus');
+    return provider === 'mock' ? createMockCarProvider() : createAmadeusCarProvider(amadeus);
+}
+
+export { createAmadeusCarProvider, createMockCarProvider };
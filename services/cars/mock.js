@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { carPickupAt, carDropoffAt, rentalDays } from '../car-search.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+function shiftHours(at, hours) {
+    return new Date(Date.parse(`${at}Z`) - hours * 60 * 60 * 1000).toISOString().slice(0, 19);
+}
+
+// Fixture-backed rental supplier, used when CAR_PROVIDER=mock (the default with
+// AMADEUS_PROVIDER=mock). Every supplier quotes every vehicle that seats the party.
+export function createMockCarProvider() {
+    const rentals = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'rentals.json'), 'utf8'));
+    const bookings = new Map();
+
+    return {
+        name: 'mock',
+
+        async searchOffers(search) {
+            const pickupAt = carPickupAt(search);
+            const dropoffAt = carDropoffAt(search);
+            const days = rentalDays(pickupAt, dropoffAt);
+            const oneWayFee = search.dropoffCode === search.pickupCode ? 0 : rentals.oneWayFee;
+
+            return rentals.suppliers.flatMap(supplier => rentals.vehicles
+                .filter(vehicle => vehicle.seats >= search.passengers)
+                .map(vehicle => {
+                    const perDay = vehicle.dailyRate * supplier.factor;
+                    const total = perDay * days + oneWayFee;
+                    const refundable = supplier.freeCancellationHours > 0;
+                    return {
+                        id: crypto.createHash('sha1').update(`${supplier.code}:${vehicle.code}:${search.pickupCode}:${search.dropoffCode}:${pickupAt}:${dropoffAt}`).digest('hex').slice(0, 12).toUpperCase(),
+                        kind: 'rental',
+                        provider: { code: supplier.code, name: supplier.name },
+                        vehicle: {
+                            code: vehicle.code,
+                            category: vehicle.category,
+                            description: vehicle.description,
+                            seats: vehicle.seats,
+                            bags: vehicle.bags,
+                            transmission: vehicle.transmission
+                        },
+                        pickup: { locationCode: search.pickupCode, at: pickupAt },
+                        dropoff: { locationCode: search.dropoffCode, at: dropoffAt },
+                        days,
+                        price: { total: total.toFixed(2), perDay: perDay.toFixed(2), oneWayFee: oneWayFee.toFixed(2), currency: rentals.currency },
+                        cancellation: refundable
+                            ? { refundable, freeUntil: shiftHours(pickupAt, supplier.freeCancellationHours), description: `Free cancellation up to ${supplier.freeCancellationHours} hours before pickup.` }
+                            : { refundable, description: 'Prepaid rate, not refundable.' }
+                    };
+                }));
+        },
+
+        async createBooking(offer, driver) {
+            const id = `MOCKCAR${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+            const booking = { id, reference: `${offer.provider.code}${id.slice(-6)}`, status: 'CONFIRMED' };
+            bookings.set(id, { ...booking, offer, driver });
+            return booking;
+        }
+    };
+}
@@ -0,0 +1,82 @@
+// Explore marketplace cart, kept in the visitor's session. Each line remembers the
+// price shown when it was added so checkout can tell the buyer about changes.
+// Prices are in the buyer's chosen currency; a line added in another currency is
+// simply repriced, since the buyer has already seen the new price in Explore.
+
+export const MAX_QUANTITY = 10;
+
+export function getCart(session) {
+    return session.cart || { items: [] };
+}
+
+// Set a line's quantity; 0 removes it
+export function setCartItem(session, aircraft, quantity) {
+    const items = getCart(session).items.filter(item => item.aircraftId !== aircraft.id);
+    if (quantity > 0) {
+        items.push({ aircraftId: aircraft.id, quantity, price: aircraft.price, currency: aircraft.currency });
+    }
+    session.cart = { items };
+    return session.cart;
+}
+
+export function removeCartItem(session, aircraftId) {
+    session.cart = { items: getCart(session).items.filter(item => item.aircraftId !== aircraftId) };
+    return session.cart;
+}
+
+export function clearCart(session) {
+    delete session.cart;
+}
+
+// Price the cart against the current catalog. `problems` lists every line that
+// can no longer be bought as shown; checkout only proceeds when it is empty.
+export function priceCart(cart, catalog) {
+    const problems = [];
+    const items = [];
+
+    for (const item of cart.items) {
+        const aircraft = catalog.find(candidate => candidate.id === item.aircraftId);
+        if (!aircraft) {
+            problems.push({ aircraftId: item.aircraftId, message: 'An item in your cart is no longer for sale and was removed.' });
+            continue;
+        }
+
+        if (aircraft.price !== item.price && (item.currency || aircraft.currency) === aircraft.currency) {
+            problems.push({
+                aircraftId: aircraft.id,
+                message: `The price of the ${aircraft.name} changed from ${item.price.toLocaleString()} to ${aircraft.price.toLocaleString()} ${aircraft.currency}.`
+            });
+        }
+
+        items.push({
+            aircraftId: aircraft.id,
+            name: aircraft.name,
+            manufacturer: aircraft.manufacturer,
+            imageUrl: aircraft.imageUrl,
+            quantity: item.quantity,
+            price: aircraft.price,
+            currency: aircraft.currency,
+            lineTotal: aircraft.price * item.quantity
+        });
+    }
+
+    const currencies = [...new Set(items.map(item => item.currency))];
+    if (currencies.length > 1) {
+        problems.push({ message: 'Items priced in different currencies must be ordered separately.' });
+    }
+
+    return {
+        items,
+        count: items.reduce((sum, item) => sum + item.quantity, 0),
+        total: items.reduce((sum, item) => sum + item.lineTotal, 0),
+        currency: currencies[0] || 'USD',
+        problems
+    };
+}
+
+// The cart as it should be after the buyer has seen `pricedCart`: gone items
+// dropped and every line at the current catalog price
+export function refreshCart(session, pricedCart) {
+    session.cart = { items: pricedCart.items.map(item => ({ aircraftId: item.aircraftId, quantity: item.quantity, price: item.price, currency: item.currency })) };
+    return session.cart;
+}
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+
+// Booking confirmations kept server-side so confirmation pages never need
+// traveler details in the URL. Each one is addressed by a random reference and
+// can be read back by the session that made the booking or by the signed-in
+// account that owns it.
+export function createConfirmationStore({ cache, ttlSeconds = 30 * 24 * 60 * 60 }) {
+    return {
+        // Store a confirmation and return its opaque reference
+        async save(req, res, kind, record) {
+            const reference = crypto.randomBytes(16).toString('base64url');
+            const owner = res.locals.user ? res.locals.user.id : null;
+
+            await cache.set(`${kind}:${reference}`, { ...record, owner, savedAt: new Date().toISOString() }, ttlSeconds);
+            // Only the most recent confirmations stay reachable from the session
+            req.session.confirmations = [...(req.session.confirmations || []), `${kind}:${reference}`].slice(-20);
+            return reference;
+        },
+
+        // The stored record, or null when it is unknown, expired or not the visitor's
+        async load(req, res, kind, reference) {
+            if (!reference) {
+                return null;
+            }
+
+            const key = `${kind}:${reference}`;
+            const record = await cache.get(key);
+            if (!record) {
+                return null;
+            }
+
+            const madeHere = (req.session.confirmations || []).includes(key);
+            const ownedByUser = Boolean(record.owner) && record.owner === res.locals.user?.id;
+            return madeHere || ownedByUser ? record : null;
+        }
+    };
+}
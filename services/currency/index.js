@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Currencies travelers can choose, and conversion between them for prices we set
+// ourselves (the aircraft catalog). Flight and hotel prices are never converted
+// here: their searches ask Amadeus for the chosen currency instead. Rates come
+// from the bundled exchange-rates.json, or from EXCHANGE_RATES_FILE when set, in
+// the same shape: { base, updatedAt, rates: { CODE: units per 1 base } }.
+
+const DEFAULT_RATES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'exchange-rates.json');
+const CURRENCY = /^[A-Z]{3}$/;
+
+function loadRates(file) {
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!CURRENCY.test(table.base) || !table.rates || table.rates[table.base] !== 1) {
+        throw new Error(`Exchange rates in ${file} need a base currency with a rate of 1`);
+    }
+    for (const [code, rate] of Object.entries(table.rates)) {
+        if (!CURRENCY.test(code) || !(Number(rate) > 0)) {
+            throw new Error(`Exchange rates in ${file} have an invalid rate for "${code}"`);
+        }
+    }
+    return table;
+}
+
+// Decimal places prices in a currency are shown and charged with (0 for JPY)
+export function currencyDigits(currency) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+export function createCurrencyConverter({ file = DEFAULT_RATES_FILE, defaultCurrency = 'USD' } = {}) {
+    const table = loadRates(file);
+    const currencies = Object.keys(table.rates);
+
+    if (!currencies.includes(defaultCurrency)) {
+        throw new Error(`The default currency ${defaultCurrency} has no exchange rate`);
+    }
+
+    function isSupported(currency) {
+        return currencies.includes(currency);
+    }
+
+    return {
+        currencies,
+        defaultCurrency,
+        updatedAt: table.updatedAt || null,
+        isSupported,
+
+        // `amount` in `from` expressed in `to`, rounded to `to`'s minor unit
+        convert(amount, from, to) {
+            if (from === to) {
+                return Number(amount);
+            }
+            if (!isSupported(from) || !isSupported(to)) {
+                throw new Error(`No exchange rate from ${from} to ${to}`);
+            }
+            const digits = currencyDigits(to);
+            const converted = Number(amount) / table.rates[from] * table.rates[to];
+            return Math.round(converted * 10 ** digits) / 10 ** digits;
+        }
+    };
+}
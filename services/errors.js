@@ -0,0 +1,202 @@
+// Application errors. Routes hand their failures to the error handlers at the
+// end of index.js with next(error): pages render error.ejs with the error's
+// recovery actions, the JSON API answers with its { error } object (see
+// services/api-v1.js). An AppError's message is always safe to show; whatever
+// Amadeus or Supabase said stays on `cause`, for the logs only.
+
+// HTTP status of each error code
+export const ERROR_STATUSES = {
+    invalid_request: 400,
+    unauthorized: 401,
+    payment_declined: 402,
+    forbidden: 403,
+    not_found: 404,
+    no_results: 404,
+    offer_expired: 410,
+    rate_limited: 429,
+    internal_error: 500,
+    upstream_error: 502,
+    unavailable: 503,
+    upstream_timeout: 504
+};
+
+// The error page's heading for each code is error.title.<code> in services/i18n
+
+// Codes worth retrying as they are
+export const RETRYABLE_CODES = ['rate_limited', 'internal_error', 'upstream_error', 'unavailable', 'upstream_timeout'];
+
+// `actions` are the recovery links offered on the error page: [{ label, href }]
+export class AppError extends Error {
+    constructor(code, message, { cause, fields = null, actions = [] } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.status = ERROR_STATUSES[code];
+        this.fields = fields;
+        this.actions = actions;
+    }
+}
+
+export class ValidationError extends AppError {
+    constructor(message, options) {
+        super('invalid_request', message, options);
+    }
+}
+
+// No signed-in user; pages redirect to /login instead (see services/auth.js)
+export class AuthenticationError extends AppError {
+    constructor(message, options) {
+        super('unauthorized', message, options);
+    }
+}
+
+// Signed in, but without the role the page or call needs
+export class ForbiddenError extends AppError {
+    constructor(message, options) {
+        super('forbidden', message, options);
+    }
+}
+
+export class NotFoundError extends AppError {
+    constructor(message, options) {
+        super('not_found', message, options);
+    }
+}
+
+export class NoResultsError extends AppError {
+    constructor(message, options) {
+        super('no_results', message, options);
+    }
+}
+
+export class OfferExpiredError extends AppError {
+    constructor(message, options) {
+        super('offer_expired', message, options);
+    }
+}
+
+export class PaymentDeclinedError extends AppError {
+    constructor(message, options) {
+        super('payment_declined', message, options);
+    }
+}
+
+export class RateLimitError extends AppError {
+    constructor(message, options) {
+        super('rate_limited', message, options);
+    }
+}
+
+// Our own credentials were refused upstream; nothing the visitor can fix
+export class UpstreamAuthError extends AppError {
+    constructor(message, options) {
+        super('unavailable', message, options);
+    }
+}
+
+export class UpstreamTimeoutError extends AppError {
+    constructor(message, options) {
+        super('upstream_timeout', message, options);
+    }
+}
+
+export class UpstreamError extends AppError {
+    constructor(message, options) {
+        super('upstream_error', message, options);
+    }
+}
+
+// Amadeus error codes meaning the search was fine but nothing matched it
+const NO_RESULT_CODES = [
+    3664 // NO ROOMS AVAILABLE AT REQUESTED PROPERTY
+];
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+// An Amadeus (axios) failure as the matching application error
+function fromUpstream(error) {
+    const options = { cause: error };
+
+    if (TIMEOUT_CODES.includes(error.code)) {
+        return new UpstreamTimeoutError('Our travel provider took too long to answer. Please try again.', options);
+    }
+    if (!error.response) {
+        return new UpstreamError('Our travel provider could not be reached. Please try again in a moment.', options);
+    }
+
+    const status = error.response.status;
+    const codes = (error.response.data?.errors || []).map(item => Number(item.code));
+
+    if (status === 429) {
+        return new RateLimitError('We are handling a lot of searches right now. Please wait a few seconds and try again.', options);
+    }
+    if (status === 401 || status === 403) {
+        return new UpstreamAuthError('Search and booking are temporarily unavailable. Please try again later.', options);
+    }
+    if (status === 408 || status === 504) {
+        return new UpstreamTimeoutError('Our travel provider took too long to answer. Please try again.', options);
+    }
+    if (status === 404) {
+        return new NotFoundError('We could not find what you were looking for. It may have expired or been cancelled.', options);
+    }
+    if (codes.some(code => NO_RESULT_CODES.includes(code))) {
+        return new NoResultsError('Nothing is available for this search. Try different dates or another destination.', options);
+    }
+    if (status >= 400 && status < 500) {
+        return new ValidationError('Some of the details were not accepted. Please check them and try again.', options);
+    }
+    return new UpstreamError('Our travel provider ran into a problem. Please try again in a moment.', options);
+}
+
+// Normalize anything a route caught into an AppError, with `actions` offered
+// before the error's own. Errors from our own code and Supabase become a generic
+// internal error; request bodies that could not be parsed are invalid requests.
+export function toAppError(error, { actions = [] } = {}) {
+    let appError;
+    if (error instanceof AppError) {
+        appError = error;
+    } else if (error.response || error.isAxiosError) {
+        appError = fromUpstream(error);
+    } else if (error.expose && error.status >= 400 && error.status < 500) {
+        appError = new ValidationError('The request could not be read. Please check it and try again.', { cause: error });
+    } else {
+        appError = new AppError('internal_error', 'Something went wrong on our side. Please try again.', { cause: error });
+    }
+
+    if (actions.length > 0) {
+        appError.actions = [...actions, ...appError.actions];
+    }
+    return appError;
+}
+
+// Messages for the Supabase Auth error codes a visitor can do something about
+const AUTH_MESSAGES = {
+    invalid_credentials: 'The email or password is incorrect.',
+    user_already_exists: 'An account with this email already exists. Log in instead.',
+    email_exists: 'An account with this email already exists. Log in instead.',
+    weak_password: 'Choose a longer password of at least 6 characters.',
+    email_not_confirmed: 'Confirm your email address with the link we sent you, then log in.',
+    validation_failed: 'Enter a valid email address and password.',
+    bad_oauth_state: 'The sign-in link has expired. Please sign in again.',
+    flow_state_expired: 'The sign-in link has expired. Please sign in again.',
+    flow_state_not_found: 'The sign-in link has expired. Please sign in again.'
+};
+
+// A Supabase Auth failure as the matching application error
+export function fromAuthError(error) {
+    const options = { cause: error };
+
+    if (error instanceof AppError) {
+        return error;
+    }
+    if (error.status === 429 || String(error.code || '').startsWith('over_')) {
+        return new RateLimitError('Too many attempts. Please wait a minute and try again.', options);
+    }
+    if (AUTH_MESSAGES[error.code]) {
+        return new ValidationError(AUTH_MESSAGES[error.code], options);
+    }
+    if (error.status >= 400 && error.status < 500) {
+        return new ValidationError('We could not sign you in with those details. Please check them and try again.', options);
+    }
+    return new UpstreamError('Signing in is temporarily unavailable. Please try again later.', options);
+}
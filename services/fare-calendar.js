@@ -0,0 +1,214 @@
+import { parseFlightSearch, searchFlightOffers, flightSearchParams } from './flight-search.js';
+import { logger } from './logger.js';
+
+// Flexible-date fare calendar: the lowest fare for each departure day around the
+// searched date (±N days) or across its month. Amadeus' cheapest-date search
+// answers a whole range in one call, but only for one adult in any cabin and only
+// on routes it has cached, and in Amadeus' currency; days it leaves out are
+// searched day by day, a few days at a time. Each day's lowest fare is cached either way.
+
+export const FLEX_OPTIONS = { 1: '± 1 day', 2: '± 2 days', 3: '± 3 days', month: 'Whole month' };
+export const MAX_CALENDAR_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// Normalize a flexible-date search into { search, calendar, errors }. The calendar
+// holds the days to price, never before tomorrow, and the nights away for round trips.
+export function parseFareCalendar(query, today = new Date()) {
+    const { search, errors } = parseFlightSearch(query);
+    const flex = FLEX_OPTIONS[query.flexDays] ? String(query.flexDays) : '';
+
+    if (search.tripType === 'multicity') {
+        errors.push('Flexible dates are available for one-way and round-trip searches.');
+    }
+    if (!flex) {
+        errors.push('Choose how flexible your dates are.');
+    }
+    if (errors.length > 0) {
+        return { search, calendar: null, errors };
+    }
+
+    const departureDate = search.legs[0].departureDate;
+    const tomorrow = addDays(today.toISOString().slice(0, 10), 1);
+
+    let from;
+    let to;
+    if (flex === 'month') {
+        from = `${departureDate.slice(0, 7)}-01`;
+        to = addDays(addDays(`${departureDate.slice(0, 7)}-28`, 4).slice(0, 7) + '-01', -1);
+    } else {
+        from = addDays(departureDate, -Number(flex));
+        to = addDays(departureDate, Number(flex));
+    }
+    if (from < tomorrow) {
+        from = tomorrow;
+    }
+    if (to < from) {
+        return { search, calendar: null, errors: ['Choose a departure date in the future.'] };
+    }
+
+    const dayCount = Math.min(daysBetween(from, to) + 1, MAX_CALENDAR_DAYS);
+    const dates = Array.from({ length: dayCount }, (_, index) => addDays(from, index));
+    const stayNights = search.tripType === 'roundtrip' ? daysBetween(departureDate, search.legs[1].departureDate) : null;
+
+    return { search, calendar: { flex, dates, stayNights }, errors };
+}
+
+// The same search departing on another day, keeping the nights away for round trips
+export function searchForDate(search, date, stayNights) {
+    const legs = search.legs.map(leg => ({ ...leg }));
+    legs[0].departureDate = date;
+    if (legs[1]) {
+        legs[1].departureDate = addDays(date, stayNights);
+    }
+    return { ...search, legs };
+}
+
+export function createFareCalendar({ amadeus, cache, converter, concurrency = 3, ttlSeconds = 60 * 60 }) {
+    function cacheKey(search) {
+        return `fare:${flightSearchParams(search).toString()}`;
+    }
+
+    // One range request to the cheapest-date search: a Map of the dates it answered
+    // for, empty when it cannot answer. Every other date still needs a day search.
+    async function cheapestDates(search, calendar) {
+        const singleAdult = search.adults === 1 && search.children === 0 && search.infants === 0;
+        const fares = new Map();
+        if (!singleAdult || search.travelClass || typeof amadeus.searchFlightDates !== 'function') {
+            return fares;
+        }
+
+        try {
+            const response = await amadeus.searchFlightDates({
+                origin: search.legs[0].originCode,
+                destination: search.legs[0].destinationCode,
+                departureDate: `${calendar.dates[0]},${calendar.dates[calendar.dates.length - 1]}`,
+                oneWay: calendar.stayNights === null,
+                ...(calendar.stayNights !== null ? { duration: calendar.stayNights } : {}),
+                nonStop: search.nonStop,
+                viewBy: 'DATE'
+            });
+
+            // The cheapest-date search has no currency option, so its fares are converted
+            // with our exchange rates (and the budget applied after that)
+            const currency = response.meta?.currency;
+            const target = search.currencyCode || currency;
+            if (target !== currency && !(converter && converter.isSupported(currency) && converter.isSupported(target))) {
+                return fares;
+            }
+            for (const entry of response.data || []) {
+                // A round trip only counts when it returns after the requested stay
+                if (!calendar.dates.includes(entry.departureDate) || (calendar.stayNights !== null && entry.returnDate !== addDays(entry.departureDate, calendar.stayNights))) {
+                    continue;
+                }
+                const price = target === currency ? Number(entry.price.total) : converter.convert(Number(entry.price.total), currency, target);
+                fares.set(entry.departureDate, search.maxPrice && price > search.maxPrice
+                    ? null
+                    : { price, currency: target, ...(target !== currency ? { converted: true } : {}) });
+            }
+        } catch (error) {
+            logger.warn('Cheapest-date search unavailable, searching day by day', { error });
+        }
+        return fares;
+    }
+
+    async function lowestFareOn(search) {
+        const response = await searchFlightOffers(amadeus, search);
+        if (!response.data || response.data.length === 0) {
+            return null;
+        }
+        const cheapest = response.data.reduce((best, offer) => (Number(offer.price.total) < Number(best.price.total) ? offer : best));
+        return { price: Number(cheapest.price.total), currency: cheapest.price.currency };
+    }
+
+    return {
+        // Map of date -> { price, currency, converted? } (null when nothing flies that day,
+        // or the day failed). `converted` marks range fares turned into the search currency.
+        async lowestFares(search, calendar) {
+            const fares = new Map();
+            const missing = [];
+
+            await Promise.all(calendar.dates.map(async date => {
+                const cached = await cache.get(cacheKey(searchForDate(search, date, calendar.stayNights)));
+                if (cached) {
+                    fares.set(date, cached.fare);
+                } else {
+                    missing.push(date);
+                }
+            }));
+            missing.sort();
+
+            if (missing.length > 0) {
+                const found = await cheapestDates(search, { ...calendar, dates: missing });
+                for (const [date, fare] of found) {
+                    fares.set(date, fare);
+                    await cache.set(cacheKey(searchForDate(search, date, calendar.stayNights)), { fare }, ttlSeconds);
+                }
+
+                // Days the range left out, at most `concurrency` searches in flight at once
+                const queue = missing.filter(date => !found.has(date));
+                const worker = async () => {
+                    while (queue.length > 0) {
+                        const date = queue.shift();
+                        const daySearch = searchForDate(search, date, calendar.stayNights);
+                        try {
+                            const fare = await lowestFareOn(daySearch);
+                            fares.set(date, fare);
+                            await cache.set(cacheKey(daySearch), { fare }, ttlSeconds);
+                        } catch (error) {
+                            logger.error('Error searching fares', { date, error });
+                            fares.set(date, null);
+                        }
+                    }
+                };
+                await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+            }
+
+            return fares;
+        }
+    };
+}
+
+// Month grids (Monday first) for the calendar days, each day with its fare,
+// whether it is the cheapest, and the search to run for it. Month labels are in
+// `locale`, the request's language tag.
+export function calendarMonths(search, calendar, fares, locale) {
+    const prices = [...fares.values()].filter(Boolean).map(fare => fare.price);
+    const lowest = prices.length > 0 ? Math.min(...prices) : null;
+    const months = [];
+
+    for (const date of calendar.dates) {
+        const key = date.slice(0, 7);
+        let month = months[months.length - 1];
+        if (!month || month.key !== key) {
+            const first = new Date(`${key}-01T00:00:00Z`);
+            const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+            month = {
+                key,
+                label: first.toLocaleString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+                leading: (first.getUTCDay() + 6) % 7,
+                days: Array.from({ length: lastDay }, (_, index) => ({ date: `${key}-${String(index + 1).padStart(2, '0')}`, inRange: false }))
+            };
+            months.push(month);
+        }
+
+        const fare = fares.get(date) || null;
+        month.days[Number(date.slice(8, 10)) - 1] = {
+            date,
+            inRange: true,
+            fare,
+            cheapest: Boolean(fare) && fare.price === lowest,
+            searchParams: flightSearchParams(searchForDate(search, date, calendar.stayNights)).toString()
+        };
+    }
+
+    return months;
+}
@@ -0,0 +1,216 @@
+// Validation of the flight traveler form (one entry per priced traveler) and the
+// Amadeus flight-order payload built from it. Errors are keyed by form field name
+// so the page can show each one next to its input.
+
+export const TRAVELER_GENDERS = { MALE: 'Male', FEMALE: 'Female' };
+export const TRAVELER_TYPE_LABELS = { ADULT: 'Adult', CHILD: 'Child', HELD_INFANT: 'Infant', SEATED_INFANT: 'Infant (own seat)', SENIOR: 'Senior', YOUNG: 'Young adult', STUDENT: 'Student' };
+
+// Nationalities and phone country codes offered on the form, by ISO country code
+export const COUNTRIES = [
+    { code: 'AU', name: 'Australia', callingCode: '61' },
+    { code: 'BD', name: 'Bangladesh', callingCode: '880' },
+    { code: 'BR', name: 'Brazil', callingCode: '55' },
+    { code: 'CA', name: 'Canada', callingCode: '1' },
+    { code: 'CN', name: 'China', callingCode: '86' },
+    { code: 'FR', name: 'France', callingCode: '33' },
+    { code: 'DE', name: 'Germany', callingCode: '49' },
+    { code: 'IN', name: 'India', callingCode: '91' },
+    { code: 'IE', name: 'Ireland', callingCode: '353' },
+    { code: 'IT', name: 'Italy', callingCode: '39' },
+    { code: 'JP', name: 'Japan', callingCode: '81' },
+    { code: 'MY', name: 'Malaysia', callingCode: '60' },
+    { code: 'MX', name: 'Mexico', callingCode: '52' },
+    { code: 'NP', name: 'Nepal', callingCode: '977' },
+    { code: 'NL', name: 'Netherlands', callingCode: '31' },
+    { code: 'NZ', name: 'New Zealand', callingCode: '64' },
+    { code: 'PK', name: 'Pakistan', callingCode: '92' },
+    { code: 'PT', name: 'Portugal', callingCode: '351' },
+    { code: 'QA', name: 'Qatar', callingCode: '974' },
+    { code: 'SA', name: 'Saudi Arabia', callingCode: '966' },
+    { code: 'SG', name: 'Singapore', callingCode: '65' },
+    { code: 'ZA', name: 'South Africa', callingCode: '27' },
+    { code: 'KR', name: 'South Korea', callingCode: '82' },
+    { code: 'ES', name: 'Spain', callingCode: '34' },
+    { code: 'LK', name: 'Sri Lanka', callingCode: '94' },
+    { code: 'CH', name: 'Switzerland', callingCode: '41' },
+    { code: 'TH', name: 'Thailand', callingCode: '66' },
+    { code: 'AE', name: 'United Arab Emirates', callingCode: '971' },
+    { code: 'GB', name: 'United Kingdom', callingCode: '44' },
+    { code: 'US', name: 'United States', callingCode: '1' }
+];
+
+const NAME = /^[A-Za-z][A-Za-z' -]*$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_NUMBER = /^[0-9]{4,15}$/;
+const PASSPORT_NUMBER = /^[A-Z0-9]{5,20}$/;
+const FREQUENT_FLYER_NUMBER = /^[A-Z0-9]{4,20}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Age limits per traveler type, in whole years on the day of departure
+const AGE_LIMITS = {
+    ADULT: { min: 12 },
+    SENIOR: { min: 12 },
+    YOUNG: { min: 12 },
+    STUDENT: { min: 12 },
+    CHILD: { min: 2, max: 11 },
+    HELD_INFANT: { max: 1 },
+    SEATED_INFANT: { max: 1 }
+};
+
+function ageOn(dateOfBirth, date) {
+    const [birthYear, birthMonth, birthDay] = dateOfBirth.split('-').map(Number);
+    const [year, month, day] = date.split('-').map(Number);
+    const hadBirthday = month > birthMonth || (month === birthMonth && day >= birthDay);
+    return year - birthYear - (hadBirthday ? 0 : 1);
+}
+
+function isRealDate(value) {
+    return ISO_DATE.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+// Form values like travelers[0][firstName] arrive as an array, or as an object when indices skip
+function toTravelerList(travelers) {
+    if (!travelers) {
+        return [];
+    }
+    return Array.isArray(travelers) ? travelers : Object.values(travelers);
+}
+
+// Carriers whose loyalty programme a traveler can credit this offer to
+export function loyaltyCarriers(flightOffer) {
+    return [...new Set(flightOffer.itineraries.flatMap(itinerary => itinerary.segments.map(segment => segment.carrierCode)))];
+}
+
+// Normalize the posted form into { travelers, errors } for the travelers the offer was priced for
+export function parseFlightTravelers(body, flightOffer, today = new Date()) {
+    const errors = {};
+    const posted = toTravelerList(body.travelers);
+    const segments = flightOffer.itineraries.flatMap(itinerary => itinerary.segments);
+    const departureDate = segments[0].departure.at.slice(0, 10);
+    const lastTravelDate = segments[segments.length - 1].arrival.at.slice(0, 10);
+    const carriers = loyaltyCarriers(flightOffer);
+    const todayDate = today.toISOString().slice(0, 10);
+
+    const travelers = flightOffer.travelerPricings.map((pricing, index) => {
+        const input = posted[index] || {};
+        const field = name => `travelers[${index}][${name}]`;
+        const label = TRAVELER_TYPE_LABELS[pricing.travelerType] || 'Traveler';
+
+        const traveler = {
+            id: pricing.travelerId,
+            travelerType: pricing.travelerType,
+            associatedAdultId: pricing.associatedAdultId,
+            firstName: String(input.firstName || '').trim(),
+            middleName: String(input.middleName || '').trim(),
+            lastName: String(input.lastName || '').trim(),
+            dateOfBirth: String(input.dateOfBirth || '').trim(),
+            gender: String(input.gender || '').toUpperCase(),
+            email: String(input.email || '').trim(),
+            countryCallingCode: String(input.countryCallingCode || '').replace(/\D/g, ''),
+            phone: String(input.phone || '').replace(/[\s()-]/g, ''),
+            passportNumber: String(input.passportNumber || '').replace(/\s/g, '').toUpperCase(),
+            passportExpiry: String(input.passportExpiry || '').trim(),
+            nationality: String(input.nationality || '').toUpperCase(),
+            frequentFlyerAirline: String(input.frequentFlyerAirline || '').toUpperCase(),
+            frequentFlyerNumber: String(input.frequentFlyerNumber || '').replace(/\s/g, '').toUpperCase()
+        };
+
+        if (!NAME.test(traveler.firstName)) {
+            errors[field('firstName')] = 'Enter the first name as shown on the passport, in Latin letters.';
+        }
+        if (traveler.middleName && !NAME.test(traveler.middleName)) {
+            errors[field('middleName')] = 'Use Latin letters only, or leave the middle name empty.';
+        }
+        if (!NAME.test(traveler.lastName)) {
+            errors[field('lastName')] = 'Enter the last name as shown on the passport, in Latin letters.';
+        }
+
+        const limits = AGE_LIMITS[traveler.travelerType] || {};
+        if (!isRealDate(traveler.dateOfBirth) || traveler.dateOfBirth >= todayDate) {
+            errors[field('dateOfBirth')] = 'Enter a valid date of birth.';
+        } else {
+            const age = ageOn(traveler.dateOfBirth, departureDate);
+            if (limits.min !== undefined && age < limits.min) {
+                errors[field('dateOfBirth')] = `${label} travelers must be at least ${limits.min} years old on the day of departure.`;
+            } else if (limits.max !== undefined && age > limits.max) {
+                errors[field('dateOfBirth')] = `${label} travelers must be under ${limits.max + 1} years old on the day of departure.`;
+            }
+        }
+
+        if (!TRAVELER_GENDERS[traveler.gender]) {
+            errors[field('gender')] = 'Choose a gender as shown on the passport.';
+        }
+
+        // Contact details are required for the lead traveler and optional for the others
+        if (index === 0 || traveler.email || traveler.phone) {
+            if (!EMAIL.test(traveler.email)) {
+                errors[field('email')] = 'Enter a valid email address.';
+            }
+            if (!COUNTRIES.some(country => country.callingCode === traveler.countryCallingCode)) {
+                errors[field('countryCallingCode')] = 'Choose a country code.';
+            }
+            if (!PHONE_NUMBER.test(traveler.phone)) {
+                errors[field('phone')] = 'Enter the phone number without the country code.';
+            }
+        }
+
+        if (!PASSPORT_NUMBER.test(traveler.passportNumber)) {
+            errors[field('passportNumber')] = 'Enter the passport number (5 to 20 letters and digits).';
+        }
+        if (!isRealDate(traveler.passportExpiry)) {
+            errors[field('passportExpiry')] = 'Enter the passport expiry date.';
+        } else if (traveler.passportExpiry <= lastTravelDate) {
+            errors[field('passportExpiry')] = 'The passport must be valid beyond the last day of travel.';
+        }
+        if (!COUNTRIES.some(country => country.code === traveler.nationality)) {
+            errors[field('nationality')] = 'Choose the nationality shown on the passport.';
+        }
+
+        if (traveler.frequentFlyerNumber) {
+            if (!carriers.includes(traveler.frequentFlyerAirline)) {
+                errors[field('frequentFlyerAirline')] = 'Choose an airline flown on this trip.';
+            }
+            if (!FREQUENT_FLYER_NUMBER.test(traveler.frequentFlyerNumber)) {
+                errors[field('frequentFlyerNumber')] = 'Enter a valid frequent flyer number.';
+            }
+        }
+
+        return traveler;
+    });
+
+    return { travelers, errors };
+}
+
+// Request for amadeus.createFlightOrder
+export function buildFlightOrderPayload(flightOffer, travelers) {
+    return {
+        flightOffers: [flightOffer],
+        travelers: travelers.map(traveler => ({
+            id: traveler.id,
+            dateOfBirth: traveler.dateOfBirth,
+            name: {
+                firstName: traveler.firstName.toUpperCase(),
+                ...(traveler.middleName ? { middleName: traveler.middleName.toUpperCase() } : {}),
+                lastName: traveler.lastName.toUpperCase()
+            },
+            gender: traveler.gender,
+            ...(traveler.email ? {
+                contact: {
+                    emailAddress: traveler.email,
+                    phones: [{ deviceType: 'MOBILE', countryCallingCode: traveler.countryCallingCode, number: traveler.phone }]
+                }
+            } : {}),
+            documents: [{
+                documentType: 'PASSPORT',
+                number: traveler.passportNumber,
+                expiryDate: traveler.passportExpiry,
+                issuanceCountry: traveler.nationality,
+                nationality: traveler.nationality,
+                holder: true
+            }],
+            ...(traveler.frequentFlyerNumber ? {
+                loyaltyPrograms: [{ programOwner: traveler.frequentFlyerAirline, id: traveler.frequentFlyerNumber }]
+            } : {})
+        }))
+    };
+}
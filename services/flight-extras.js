@@ -0,0 +1,244 @@
+// Seats, extra checked bags and other paid services for a priced flight offer.
+// The details page shows the seat maps (POST /v1/shopping/seatmaps) and the bags
+// and services the fare sells (pricing with include=bags,other-services). A choice
+// is booked by adding it to the offer's fareDetailsBySegment[].additionalServices
+// and pricing the offer again, so the airline confirms what it costs.
+
+// Seat characteristics worth showing, by Amadeus characteristics code
+export const SEAT_FEATURES = { W: 'Window', A: 'Aisle', E: 'Exit row', L: 'Extra legroom', K: 'Bulkhead' };
+
+// Held infants travel on an adult's lap and get no seat of their own
+function seatedTravelers(flightOffer) {
+    return flightOffer.travelerPricings.filter(pricing => pricing.travelerType !== 'HELD_INFANT');
+}
+
+function amount(price) {
+    const value = Number(price?.total ?? price?.amount);
+    return Number.isFinite(value) ? value : 0;
+}
+
+// One seat map per segment as rows of seats, with null for aisles:
+// { segmentId, carrierCode, number, from, to, columns: ['A', 'B', null, ...], rows: [{ number, exit, seats }] }.
+// Each seat is { number, features, travelers: { [travelerId]: { available, price } } }.
+export function seatMapsForPage(seatmaps, flightOffer) {
+    const segments = flightOffer.itineraries.flatMap(itinerary => itinerary.segments);
+
+    return (seatmaps || []).flatMap(seatmap => {
+        const segment = segments.find(candidate => candidate.id === seatmap.segmentId);
+        const deck = (seatmap.decks || []).find(candidate => candidate.deckType === 'MAIN') || (seatmap.decks || [])[0];
+        if (!segment || !deck || !deck.seats || deck.seats.length === 0) {
+            return [];
+        }
+
+        const width = deck.deckConfiguration?.width || Math.max(...deck.seats.map(seat => seat.coordinates.y)) + 1;
+        const exitRows = deck.deckConfiguration?.exitRowsX || [];
+        const columns = Array.from({ length: width }, (_, y) => {
+            const seat = deck.seats.find(candidate => candidate.coordinates.y === y);
+            return seat ? seat.number.replace(/^\d+/, '') : null;
+        });
+
+        const rowsByX = new Map();
+        for (const seat of deck.seats) {
+            const x = seat.coordinates.x;
+            if (!rowsByX.has(x)) {
+                rowsByX.set(x, { number: seat.number.match(/^\d+/)?.[0] || '', exit: exitRows.includes(x), seats: Array(width).fill(null) });
+            }
+            rowsByX.get(x).seats[seat.coordinates.y] = {
+                number: seat.number,
+                features: (seat.characteristicsCodes || []).filter(code => SEAT_FEATURES[code]).map(code => SEAT_FEATURES[code]),
+                travelers: Object.fromEntries((seat.travelerPricing || []).map(pricing => [pricing.travelerId, {
+                    available: pricing.seatAvailabilityStatus === 'AVAILABLE',
+                    price: amount(pricing.price)
+                }]))
+            };
+        }
+
+        return [{
+            segmentId: seatmap.segmentId,
+            carrierCode: segment.carrierCode,
+            number: segment.number,
+            from: segment.departure.iataCode,
+            to: segment.arrival.iataCode,
+            currency: deck.seats.flatMap(seat => seat.travelerPricing || []).find(pricing => pricing.price)?.price.currency || flightOffer.price.currency,
+            columns,
+            rows: [...rowsByX.entries()].sort(([a], [b]) => a - b).map(([, row]) => row)
+        }];
+    });
+}
+
+// PRIORITY_BOARDING -> "Priority boarding"
+function serviceLabel(name) {
+    const words = String(name || '').toLowerCase().replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Extra checked bags and other services the fare sells, from the pricing response's
+// `included`: { bagGroups: [{ key, segmentIds, options: [{ quantity, price, travelerIds }] }],
+// services: [{ id, name, label, price, segmentIds, travelerIds }] }. Bags are sold for a group
+// of segments (usually one itinerary), so each group gets its own choice.
+export function ancillaryOptions(pricing, currency) {
+    const included = pricing?.included || {};
+    const bagGroups = [];
+
+    for (const bag of Object.values(included.bags || {})) {
+        const quantity = Number(bag.quantity) || 0;
+        if (quantity <= 0 || bag.name !== 'CHECKED_BAG') {
+            continue;
+        }
+
+        const segmentIds = [...(bag.segmentIds || [])].sort();
+        const key = segmentIds.join('-');
+        let group = bagGroups.find(candidate => candidate.key === key);
+        if (!group) {
+            group = { key, segmentIds, options: [] };
+            bagGroups.push(group);
+        }
+        group.options.push({ quantity, price: amount(bag.price), travelerIds: bag.travelerIds || [] });
+    }
+    bagGroups.forEach(group => group.options.sort((a, b) => a.quantity - b.quantity));
+
+    const services = Object.entries(included['other-services'] || {}).map(([id, service]) => ({
+        id,
+        name: service.name,
+        label: serviceLabel(service.name),
+        price: amount(service.price),
+        segmentIds: service.segmentIds || [],
+        travelerIds: service.travelerIds || []
+    }));
+
+    return { currency: Object.values(included.bags || {})[0]?.price?.currencyCode || currency, bagGroups, services };
+}
+
+function offeredTo(option, travelerId) {
+    return option.travelerIds.length === 0 || option.travelerIds.includes(travelerId);
+}
+
+// Choices are posted as "segmentId:travelerId:seat" (seats[]), "travelerId:groupKey:quantity"
+// (bags[]) and "travelerId:serviceId" (services[]) strings: ids are numbers, which
+// would be read as array indexes in field names like seats[1][2]
+function postedChoices(value) {
+    return new Map([].concat(value || []).map(String).filter(Boolean).map(choice => {
+        const parts = choice.split(':');
+        return [parts.slice(0, -1).join(':'), parts.at(-1)];
+    }));
+}
+
+// Normalize the posted choices into { extras, errors }, keeping only what the catalog
+// offers. `extras` is { seats: { [segmentId]: { [travelerId]: seat } }, bags: { [travelerId]:
+// { [groupKey]: quantity } }, services: { [travelerId]: [serviceId] } }, built in catalog
+// order so two of them compare as JSON. Errors are keyed like the choices they are about.
+export function parseFlightExtras(body, flightOffer, catalog) {
+    const errors = {};
+    const extras = { seats: {}, bags: {}, services: {} };
+    const seats = postedChoices(body.seats);
+    const bags = postedChoices(body.bags);
+    const chosenServices = [].concat(body.services || []).map(String);
+
+    for (const seatMap of catalog?.seatMaps || []) {
+        const taken = new Set();
+        for (const traveler of seatedTravelers(flightOffer)) {
+            const key = `${seatMap.segmentId}:${traveler.travelerId}`;
+            const number = String(seats.get(key) || '').trim().toUpperCase();
+            if (!number) {
+                continue;
+            }
+
+            const seat = seatMap.rows.flatMap(row => row.seats).find(candidate => candidate && candidate.number === number);
+            if (!seat || !seat.travelers[traveler.travelerId]?.available) {
+                errors[`seats:${key}`] = `Seat ${number} is not available on ${seatMap.from}-${seatMap.to}. Choose another seat.`;
+            } else if (taken.has(number)) {
+                errors[`seats:${key}`] = `Seat ${number} is already chosen for another traveler.`;
+            } else {
+                taken.add(number);
+                extras.seats[seatMap.segmentId] = { ...extras.seats[seatMap.segmentId], [traveler.travelerId]: number };
+            }
+        }
+    }
+
+    for (const traveler of flightOffer.travelerPricings) {
+        for (const group of catalog?.bagGroups || []) {
+            const key = `${traveler.travelerId}:${group.key}`;
+            const quantity = Number(bags.get(key)) || 0;
+            if (quantity === 0) {
+                continue;
+            }
+            if (!group.options.some(option => option.quantity === quantity && offeredTo(option, traveler.travelerId))) {
+                errors[`bags:${key}`] = 'Choose one of the bag options offered.';
+                continue;
+            }
+            extras.bags[traveler.travelerId] = { ...extras.bags[traveler.travelerId], [group.key]: quantity };
+        }
+
+        const serviceIds = (catalog?.services || [])
+            .filter(service => chosenServices.includes(`${traveler.travelerId}:${service.id}`) && offeredTo(service, traveler.travelerId))
+            .map(service => service.id);
+        if (serviceIds.length > 0) {
+            extras.services[traveler.travelerId] = serviceIds;
+        }
+    }
+
+    return { extras, errors };
+}
+
+export function hasExtras(extras) {
+    return Boolean(extras) && Object.values(extras).some(choices => Object.keys(choices).length > 0);
+}
+
+// Copy of `flightOffer` carrying the chosen extras as additionalServices, ready for
+// amadeus.priceFlightOffers and, once priced, amadeus.createFlightOrder
+export function applyFlightExtras(flightOffer, extras, catalog) {
+    const offer = structuredClone(flightOffer);
+
+    for (const pricing of offer.travelerPricings) {
+        const travelerId = pricing.travelerId;
+        const serviceIds = extras.services[travelerId] || [];
+
+        for (const fare of pricing.fareDetailsBySegment) {
+            const additionalServices = {};
+
+            const seat = extras.seats[fare.segmentId]?.[travelerId];
+            if (seat) {
+                additionalServices.chargeableSeatNumber = seat;
+            }
+
+            const group = (catalog?.bagGroups || []).find(candidate => candidate.segmentIds.includes(fare.segmentId));
+            const bags = group && extras.bags[travelerId]?.[group.key];
+            if (bags) {
+                additionalServices.chargeableCheckedBags = { quantity: bags };
+            }
+
+            const otherServices = (catalog?.services || [])
+                .filter(service => serviceIds.includes(service.id))
+                .filter(service => service.segmentIds.length === 0 || service.segmentIds.includes(fare.segmentId))
+                .map(service => service.name);
+            if (otherServices.length > 0) {
+                additionalServices.otherServices = otherServices;
+            }
+
+            if (Object.keys(additionalServices).length > 0) {
+                fare.additionalServices = additionalServices;
+            } else {
+                delete fare.additionalServices;
+            }
+        }
+    }
+
+    return offer;
+}
+
+// Chosen seats per traveler of a booked offer, e.g. { '1': ['MAD-JFK 12A'] }
+export function bookedSeats(flightOffer) {
+    const segments = flightOffer.itineraries.flatMap(itinerary => itinerary.segments);
+    const seats = {};
+
+    for (const pricing of flightOffer.travelerPricings || []) {
+        for (const fare of pricing.fareDetailsBySegment || []) {
+            const number = fare.additionalServices?.chargeableSeatNumber;
+            const segment = segments.find(candidate => candidate.id === fare.segmentId);
+            if (number && segment) {
+                seats[pricing.travelerId] = [...(seats[pricing.travelerId] || []), `${segment.departure.iataCode}-${segment.arrival.iataCode} ${number}`];
+            }
+        }
+    }
+    return seats;
+}
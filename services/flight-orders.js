@@ -0,0 +1,107 @@
+// Managing booked flights from "My Trips". The visitor's trip row proves they own
+// the order (only the server writes trips), Amadeus holds the live order, and each
+// cancellation is recorded in the Supabase `flight_cancellations` table with the
+// service-role client (see supabase/migrations).
+
+// The signed-in user's flight trip for an Amadeus order id, or null
+export async function getFlightTrip(supabase, userId, orderId) {
+    const { data, error } = await supabase
+        .from('trips')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('kind', 'flight')
+        .eq('reference', orderId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not load flight trip ${orderId}: ${error.message}`);
+    }
+    return data;
+}
+
+export async function getFlightCancellation(supabase, orderId) {
+    const { data, error } = await supabase
+        .from('flight_cancellations')
+        .select('*')
+        .eq('order_id', orderId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not load cancellation of ${orderId}: ${error.message}`);
+    }
+    return data;
+}
+
+// The `flight_cancellations` row for a cancelled order and its refund
+export function flightCancellationRow({ trip, userId, reason, payment, refund }) {
+    return {
+        order_id: trip.reference,
+        trip_id: trip.id,
+        user_id: userId,
+        reason: reason || null,
+        payment_intent_id: payment ? payment.intent_id : null,
+        refund_amount: refund ? refund.amount : null,
+        refund_currency: refund ? refund.currency : null,
+        refund_status: refund ? 'refunded' : (payment && payment.status === 'paid' ? 'failed' : 'not_paid')
+    };
+}
+
+// Mark the trip cancelled and keep a record of the cancellation and its refund.
+// `supabase` must be the service-role client.
+export async function recordFlightCancellation(supabase, { trip, userId, reason, payment, refund }) {
+    const { error: tripError } = await supabase
+        .from('trips')
+        .update({ status: 'cancelled' })
+        .eq('id', trip.id)
+        .eq('user_id', userId);
+
+    if (tripError) {
+        throw new Error(`Could not cancel trip ${trip.id}: ${tripError.message}`);
+    }
+
+    const { data, error } = await supabase
+        .from('flight_cancellations')
+        .insert(flightCancellationRow({ trip, userId, reason, payment, refund }))
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Could not record cancellation of ${trip.reference}: ${error.message}`);
+    }
+    return data;
+}
+
+// Plain-text itinerary and e-ticket summary of a flight trip, for download
+export function flightItineraryText(trip, { travelers, locations = {} } = {}) {
+    const details = trip.details || {};
+    const place = code => (locations[code] ? `${locations[code].city} (${code})` : code);
+    const lines = [
+        'TRAVIX ITINERARY',
+        '',
+        `Booking reference: ${details.recordLocator || trip.reference}`,
+        `Order: ${trip.reference}`,
+        `Status: ${trip.status.toUpperCase()}`,
+        ''
+    ];
+
+    lines.push('TRAVELERS');
+    (travelers || details.travelers || []).forEach((traveler, index) => {
+        lines.push(`  ${index + 1}. ${traveler.lastName}/${traveler.firstName}`);
+    });
+
+    (details.itineraries || []).forEach((itinerary, index) => {
+        lines.push('', details.itineraries.length > 1 ? `FLIGHT ${index + 1}` : 'FLIGHT');
+        itinerary.segments.forEach(segment => {
+            lines.push(
+                `  ${segment.carrierCode} ${segment.number}  ${place(segment.from)} -> ${place(segment.to)}`,
+                `    Departs ${segment.departureAt.replace('T', ' ').slice(0, 16)}  Arrives ${segment.arrivalAt.replace('T', ' ').slice(0, 16)}`
+            );
+        });
+    });
+
+    if (trip.total) {
+        lines.push('', `Total paid: ${trip.total} ${trip.currency}`);
+    }
+    lines.push('', 'Times are local to each airport. Check in at least 3 hours before an international departure.', '');
+    return lines.join('\n');
+}
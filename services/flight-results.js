@@ -0,0 +1,203 @@
+// Sorting, filtering and paging of the offers returned by one flight search. The
+// options live in the query string next to the search itself, so every results
+// page can be shared and bookmarked.
+
+export const FLIGHT_SORTS = {
+    price: 'Cheapest first',
+    duration: 'Shortest first',
+    departure: 'Earliest departure',
+    stops: 'Fewest stops'
+};
+
+// Stop filter values; '2' stands for two or more
+export const STOP_OPTIONS = { 0: 'Non-stop', 1: '1 stop', 2: '2+ stops' };
+
+// Time-of-day windows for the first flight's departure and arrival, in local hours [from, to)
+export const TIME_WINDOWS = {
+    night: { label: 'Night (00:00–06:00)', from: 0, to: 6 },
+    morning: { label: 'Morning (06:00–12:00)', from: 6, to: 12 },
+    afternoon: { label: 'Afternoon (12:00–18:00)', from: 12, to: 18 },
+    evening: { label: 'Evening (18:00–24:00)', from: 18, to: 24 }
+};
+
+export const RESULTS_PAGE_SIZE = 10;
+
+const AIRLINE_CODE = /^[A-Z0-9]{2}$/;
+
+// Query values may arrive once (string) or repeated (array)
+function toList(value) {
+    if (value === undefined || value === '') {
+        return [];
+    }
+    return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+function toPrice(value) {
+    const price = Number(value);
+    return Number.isFinite(price) && price >= 0 ? price : NaN;
+}
+
+// "PT11H40M" -> 700
+function durationMinutes(duration) {
+    const match = /PT(?:(\d+)H)?(?:(\d+)M)?/.exec(duration || '');
+    return match ? Number(match[1] || 0) * 60 + Number(match[2] || 0) : 0;
+}
+
+function stopsOf(itinerary) {
+    return itinerary.segments.length - 1 + itinerary.segments.reduce((count, segment) => count + (segment.numberOfStops || 0), 0);
+}
+
+function inWindows(at, windows) {
+    if (windows.length === 0) {
+        return true;
+    }
+    const hour = Number(at.slice(11, 13));
+    return windows.some(name => hour >= TIME_WINDOWS[name].from && hour < TIME_WINDOWS[name].to);
+}
+
+// Normalize the result options from a query string into { options, errors }
+export function parseFlightResultOptions(query) {
+    const errors = [];
+    const options = {
+        sort: FLIGHT_SORTS[query.sort] ? query.sort : 'price',
+        airlines: toList(query.airlines).map(code => code.toUpperCase()).filter(code => AIRLINE_CODE.test(code)),
+        stops: toList(query.stops).filter(value => STOP_OPTIONS[value]),
+        departureTimes: toList(query.departureTimes).filter(name => TIME_WINDOWS[name]),
+        arrivalTimes: toList(query.arrivalTimes).filter(name => TIME_WINDOWS[name]),
+        priceMin: '',
+        priceMax: '',
+        page: Math.max(1, Number.parseInt(query.page, 10) || 1)
+    };
+
+    if (query.priceMin) {
+        options.priceMin = toPrice(query.priceMin);
+        if (Number.isNaN(options.priceMin)) {
+            errors.push('Minimum price must be a positive number.');
+            options.priceMin = '';
+        }
+    }
+    if (query.priceMax) {
+        options.priceMax = toPrice(query.priceMax);
+        if (Number.isNaN(options.priceMax)) {
+            errors.push('Maximum price must be a positive number.');
+            options.priceMax = '';
+        }
+    }
+    if (options.priceMin !== '' && options.priceMax !== '' && options.priceMin > options.priceMax) {
+        errors.push('Minimum price cannot be above the maximum price.');
+    }
+
+    return { options, errors };
+}
+
+// Query string for the result options; defaults are left out to keep URLs short
+export function flightResultParams(options) {
+    const params = new URLSearchParams();
+    if (options.sort !== 'price') {
+        params.set('sort', options.sort);
+    }
+    ['airlines', 'stops', 'departureTimes', 'arrivalTimes'].forEach(name => {
+        if (options[name].length > 0) {
+            params.set(name, options[name].join(','));
+        }
+    });
+    if (options.priceMin !== '') {
+        params.set('priceMin', options.priceMin);
+    }
+    if (options.priceMax !== '') {
+        params.set('priceMax', options.priceMax);
+    }
+    if (options.page > 1) {
+        params.set('page', options.page);
+    }
+    return params;
+}
+
+// What sorting and filtering look at for one offer
+export function describeFlightResult(offer) {
+    const first = offer.itineraries[0].segments;
+    return {
+        price: Number(offer.price.total),
+        durationMinutes: offer.itineraries.reduce((sum, itinerary) => sum + durationMinutes(itinerary.duration), 0),
+        departureAt: first[0].departure.at,
+        arrivalAt: first[first.length - 1].arrival.at,
+        stops: Math.max(...offer.itineraries.map(stopsOf)),
+        carrierCodes: [...new Set(offer.itineraries.flatMap(itinerary => itinerary.segments.map(segment => segment.carrierCode)))]
+    };
+}
+
+const COMPARE = {
+    price: (a, b) => a.price - b.price,
+    duration: (a, b) => a.durationMinutes - b.durationMinutes,
+    departure: (a, b) => a.departureAt.localeCompare(b.departureAt),
+    stops: (a, b) => a.stops - b.stops
+};
+
+// Filter, sort and page the offers. Facets (airlines, stop counts, price range)
+// are counted over all offers so the filter panel never hides its own choices.
+export function applyFlightResultOptions(offers, options) {
+    const described = offers.map(offer => ({ offer, ...describeFlightResult(offer) }));
+
+    const matches = described.filter(result =>
+        (options.airlines.length === 0 || result.carrierCodes.some(code => options.airlines.includes(code))) &&
+        (options.stops.length === 0 || options.stops.includes(String(Math.min(result.stops, 2)))) &&
+        inWindows(result.departureAt, options.departureTimes) &&
+        inWindows(result.arrivalAt, options.arrivalTimes) &&
+        (options.priceMin === '' || result.price >= options.priceMin) &&
+        (options.priceMax === '' || result.price <= options.priceMax)
+    );
+
+    // Ties fall back to price, then to the order Amadeus returned
+    matches.sort((a, b) => COMPARE[options.sort](a, b) || a.price - b.price);
+
+    const pageCount = Math.max(1, Math.ceil(matches.length / RESULTS_PAGE_SIZE));
+    const page = Math.min(options.page, pageCount);
+    const prices = described.map(result => result.price);
+
+    const airlines = {};
+    described.forEach(result => result.carrierCodes.forEach(code => {
+        airlines[code] = airlines[code] || { code, count: 0, minPrice: Infinity };
+        airlines[code].count++;
+        airlines[code].minPrice = Math.min(airlines[code].minPrice, result.price);
+    }));
+
+    return {
+        flights: matches.slice((page - 1) * RESULTS_PAGE_SIZE, page * RESULTS_PAGE_SIZE).map(result => result.offer),
+        total: offers.length,
+        matched: matches.length,
+        page,
+        pageCount,
+        facets: {
+            airlines: Object.values(airlines).sort((a, b) => a.minPrice - b.minPrice),
+            stops: Object.keys(STOP_OPTIONS).map(value => ({
+                value,
+                count: described.filter(result => String(Math.min(result.stops, 2)) === value).length
+            })),
+            priceRange: prices.length > 0 ? { min: Math.min(...prices), max: Math.max(...prices) } : null
+        }
+    };
+}
+
+// Cabin, fare brand and baggage of the first traveler's fare, for the result card
+export function describeFare(offer) {
+    const fare = offer.travelerPricings?.[0]?.fareDetailsBySegment?.[0] || {};
+    const bags = fare.includedCheckedBags || {};
+
+    let checkedBags = null;
+    if (bags.quantity !== undefined) {
+        checkedBags = bags.quantity === 0 ? 'No checked bag' : `${bags.quantity} checked bag${bags.quantity > 1 ? 's' : ''}`;
+    } else if (bags.weight) {
+        checkedBags = `${bags.weight} ${(bags.weightUnit || 'KG').toLowerCase()} checked baggage`;
+    }
+
+    return {
+        cabin: fare.cabin ? fare.cabin.replace(/_/g, ' ').toLowerCase() : null,
+        cabinCode: fare.cabin || null,
+        brandedFare: fare.brandedFareLabel || fare.brandedFare || null,
+        checkedBags,
+        // Pieces of checked baggage, null when the allowance is by weight or unknown
+        checkedBagCount: bags.quantity ?? null,
+        seatsLeft: offer.numberOfBookableSeats,
+        lastTicketingDate: offer.lastTicketingDate
+    };
+}
@@ -0,0 +1,259 @@
+// Parsing and execution of flight searches: one-way, round-trip and multi-city,
+// with adult/child/infant counts, the optional search filters and the currency
+// offers are priced in (Amadeus' default when none is asked for).
+
+export const TRIP_TYPES = ['oneway', 'roundtrip', 'multicity'];
+export const TRAVEL_CLASSES = ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'];
+export const MAX_LEGS = 6;
+export const MAX_SEATED_TRAVELERS = 9;
+
+const IATA_CODE = /^[A-Z]{3}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+function toCount(value, fallback) {
+    const count = Number.parseInt(value, 10);
+    return Number.isNaN(count) ? fallback : count;
+}
+
+function toCode(value) {
+    return String(value || '').trim().toUpperCase();
+}
+
+// Form values like legs[0][originCode] arrive as an array, or as an object when indices skip
+function toLegList(legs) {
+    if (!legs) {
+        return [];
+    }
+    return Array.isArray(legs) ? legs : Object.values(legs);
+}
+
+// Normalize the search form/query string into { search, errors }
+export function parseFlightSearch(query) {
+    const errors = [];
+    const tripType = TRIP_TYPES.includes(query.tripType)
+        ? query.tripType
+        : (query.returnDate ? 'roundtrip' : 'oneway');
+
+    let legs;
+    if (tripType === 'multicity') {
+        legs = toLegList(query.legs).map(leg => ({
+            origin: leg.origin || '',
+            originCode: toCode(leg.originCode),
+            destination: leg.destination || '',
+            destinationCode: toCode(leg.destinationCode),
+            departureDate: leg.departureDate || ''
+        }));
+    } else {
+        legs = [{
+            origin: query.origin || '',
+            originCode: toCode(query.originCode),
+            destination: query.destination || '',
+            destinationCode: toCode(query.destinationCode),
+            departureDate: query.departureDate || ''
+        }];
+
+        if (tripType === 'roundtrip') {
+            legs.push({
+                origin: legs[0].destination,
+                originCode: legs[0].destinationCode,
+                destination: legs[0].origin,
+                destinationCode: legs[0].originCode,
+                departureDate: query.returnDate || ''
+            });
+        }
+    }
+
+    if (legs.length === 0) {
+        errors.push('Add at least one flight to search.');
+    } else if (legs.length > MAX_LEGS) {
+        errors.push(`A multi-city search can have at most ${MAX_LEGS} flights.`);
+    }
+
+    legs.forEach((leg, index) => {
+        const label = legs.length > 1 ? `Flight ${index + 1}: ` : '';
+        if (!IATA_CODE.test(leg.originCode)) {
+            errors.push(`${label}choose an origin from the suggestions.`);
+        }
+        if (!IATA_CODE.test(leg.destinationCode)) {
+            errors.push(`${label}choose a destination from the suggestions.`);
+        }
+        if (leg.originCode && leg.originCode === leg.destinationCode) {
+            errors.push(`${label}origin and destination must be different.`);
+        }
+        if (!ISO_DATE.test(leg.departureDate)) {
+            errors.push(tripType === 'roundtrip' && index === 1 ? 'Choose a return date.' : `${label}choose a departure date.`);
+        } else if (index > 0 && leg.departureDate < legs[index - 1].departureDate) {
+            errors.push(tripType === 'roundtrip'
+                ? 'The return date cannot be before the departure date.'
+                : `${label}the date cannot be before the previous flight.`);
+        }
+    });
+
+    const adults = toCount(query.adults, 1);
+    const children = toCount(query.children, 0);
+    const infants = toCount(query.infants, 0);
+
+    if (adults < 1) {
+        errors.push('At least one adult must travel.');
+    }
+    if (children < 0 || infants < 0) {
+        errors.push('Passenger counts cannot be negative.');
+    }
+    if (adults + children > MAX_SEATED_TRAVELERS) {
+        errors.push(`At most ${MAX_SEATED_TRAVELERS} adults and children can be booked together.`);
+    }
+    if (infants > adults) {
+        errors.push('Each infant must travel on the lap of an adult.');
+    }
+
+    const travelClass = TRAVEL_CLASSES.includes(toCode(query.travelClass)) ? toCode(query.travelClass) : '';
+    const nonStop = query.nonStop === 'true' || query.nonStop === 'on';
+
+    let maxPrice = '';
+    if (query.maxPrice) {
+        maxPrice = toCount(query.maxPrice, NaN);
+        if (!(maxPrice > 0)) {
+            errors.push('Maximum price must be a positive whole number.');
+            maxPrice = '';
+        }
+    }
+
+    const currencyCode = CURRENCY_CODE.test(toCode(query.currencyCode)) ? toCode(query.currencyCode) : '';
+
+    return {
+        search: { tripType, legs, adults, children, infants, travelClass, nonStop, maxPrice, currencyCode },
+        errors
+    };
+}
+
+// Request body for the Amadeus flight-offers search (POST)
+export function buildOfferSearchBody(search) {
+    const travelers = [];
+    for (let i = 0; i < search.adults; i++) {
+        travelers.push({ id: String(travelers.length + 1), travelerType: 'ADULT' });
+    }
+    for (let i = 0; i < search.children; i++) {
+        travelers.push({ id: String(travelers.length + 1), travelerType: 'CHILD' });
+    }
+    for (let i = 0; i < search.infants; i++) {
+        // Each infant sits on the lap of a different adult
+        travelers.push({ id: String(travelers.length + 1), travelerType: 'HELD_INFANT', associatedAdultId: String(i + 1) });
+    }
+
+    const originDestinationIds = search.legs.map((leg, index) => String(index + 1));
+    const flightFilters = {};
+    if (search.travelClass) {
+        flightFilters.cabinRestrictions = [{ cabin: search.travelClass, coverage: 'MOST_SEGMENTS', originDestinationIds }];
+    }
+    if (search.nonStop) {
+        flightFilters.connectionRestriction = { maxNumberOfConnections: 0 };
+    }
+
+    const searchCriteria = { maxFlightOffers: 50, flightFilters };
+    if (search.maxPrice) {
+        searchCriteria.maxPrice = search.maxPrice;
+    }
+
+    const body = {
+        originDestinations: search.legs.map((leg, index) => ({
+            id: originDestinationIds[index],
+            originLocationCode: leg.originCode,
+            destinationLocationCode: leg.destinationCode,
+            departureDateTimeRange: { date: leg.departureDate }
+        })),
+        travelers,
+        sources: ['GDS'],
+        searchCriteria
+    };
+    if (search.currencyCode) {
+        body.currencyCode = search.currencyCode;
+    }
+    return body;
+}
+
+export function searchFlightOffers(amadeus, search) {
+    return amadeus.searchFlightOffersPost(buildOfferSearchBody(search));
+}
+
+// Query string that reproduces a search, for links and hidden form fields
+export function flightSearchParams(search) {
+    const params = new URLSearchParams({ tripType: search.tripType });
+
+    if (search.tripType === 'multicity') {
+        search.legs.forEach((leg, index) => {
+            params.set(`legs[${index}][origin]`, leg.origin);
+            params.set(`legs[${index}][originCode]`, leg.originCode);
+            params.set(`legs[${index}][destination]`, leg.destination);
+            params.set(`legs[${index}][destinationCode]`, leg.destinationCode);
+            params.set(`legs[${index}][departureDate]`, leg.departureDate);
+        });
+    } else {
+        const [outbound, inbound] = search.legs;
+        params.set('origin', outbound.origin);
+        params.set('originCode', outbound.originCode);
+        params.set('destination', outbound.destination);
+        params.set('destinationCode', outbound.destinationCode);
+        params.set('departureDate', outbound.departureDate);
+        if (inbound) {
+            params.set('returnDate', inbound.departureDate);
+        }
+    }
+
+    params.set('adults', search.adults);
+    params.set('children', search.children);
+    params.set('infants', search.infants);
+    if (search.travelClass) {
+        params.set('travelClass', search.travelClass);
+    }
+    if (search.nonStop) {
+        params.set('nonStop', 'true');
+    }
+    if (search.maxPrice) {
+        params.set('maxPrice', search.maxPrice);
+    }
+    if (search.currencyCode) {
+        params.set('currencyCode', search.currencyCode);
+    }
+
+    return params;
+}
+
+function minutesBetween(from, to) {
+    return Math.round((new Date(to) - new Date(from)) / (1000 * 60));
+}
+
+// "PT11H40M" -> "11h 40m"
+export function formatDuration(duration) {
+    const match = /PT(?:(\d+)H)?(?:(\d+)M)?/.exec(duration || '');
+    if (!match) {
+        return duration || '';
+    }
+    return `${match[1] || 0}h ${match[2] || 0}m`;
+}
+
+export function formatMinutes(totalMinutes) {
+    return `${Math.floor(totalMinutes / 60)}h ${totalMinutes % 60}m`;
+}
+
+// Departure, arrival, stop count and layovers of one itinerary
+export function summarizeItinerary(itinerary) {
+    const segments = itinerary.segments;
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+
+    const layovers = segments.slice(1).map((segment, index) => ({
+        iataCode: segment.departure.iataCode,
+        minutes: minutesBetween(segments[index].arrival.at, segment.departure.at)
+    }));
+    const technicalStops = segments.reduce((count, segment) => count + (segment.numberOfStops || 0), 0);
+
+    return {
+        departure: first.departure,
+        arrival: last.arrival,
+        duration: itinerary.duration,
+        stops: layovers.length + technicalStops,
+        layovers,
+        carrierCodes: [...new Set(segments.map(segment => segment.carrierCode))]
+    };
+}
@@ -0,0 +1,71 @@
+// Health of the app's dependencies for GET /healthz. Supabase and Redis are
+// reached with a short timeout; Amadeus is only reported (its token is fetched
+// on the first search, so an absent token is not a failure). The app counts as
+// healthy while Supabase is reachable and Redis, when configured, answers.
+
+const CHECK_TIMEOUT_MS = 3000;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function timed(check) {
+    const startedAt = Date.now();
+    try {
+        const details = await withTimeout(check(), CHECK_TIMEOUT_MS);
+        return { status: 'ok', latencyMs: Date.now() - startedAt, ...details };
+    } catch (error) {
+        return { status: 'down', latencyMs: Date.now() - startedAt, error: error.message };
+    }
+}
+
+export function createHealthCheck({ amadeus, redis, env = process.env }) {
+    function checkAmadeus() {
+        return { status: 'ok', provider: amadeus.provider, token: amadeus.tokenState() };
+    }
+
+    function checkSupabase() {
+        if (!env.SUPABASE_URL) {
+            return { status: 'down', error: 'SUPABASE_URL is not set' };
+        }
+
+        return timed(async () => {
+            const response = await fetch(`${env.SUPABASE_URL}/auth/v1/health`, {
+                headers: { apikey: env.SUPABASE_ANON_KEY || '' },
+                signal: AbortSignal.timeout(CHECK_TIMEOUT_MS)
+            });
+            if (!response.ok) {
+                throw new Error(`Auth health check answered ${response.status}`);
+            }
+            return {};
+        });
+    }
+
+    function checkRedis() {
+        if (!redis) {
+            return { status: 'disabled' };
+        }
+        if (!redis.isReady) {
+            return { status: 'down', error: 'Not connected' };
+        }
+
+        return timed(async () => {
+            await redis.ping();
+            return {};
+        });
+    }
+
+    return {
+        // { status: 'ok' | 'degraded', checks: { amadeus, supabase, redis } }
+        async check() {
+            const [supabase, redisCheck] = await Promise.all([checkSupabase(), checkRedis()]);
+            const checks = { amadeus: checkAmadeus(), supabase, redis: redisCheck };
+            const healthy = supabase.status === 'ok' && redisCheck.status !== 'down';
+            return { status: healthy ? 'ok' : 'degraded', time: new Date().toISOString(), checks };
+        }
+    };
+}
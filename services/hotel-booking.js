@@ -0,0 +1,79 @@
+import { parsePaymentCard } from './payments/card.js';
+
+// Validation of the hotel guest and payment form, and the Amadeus booking payload built from it.
+
+export const GUEST_TITLES = ['MR', 'MS', 'MRS'];
+export const CARD_VENDORS = { VI: 'Visa', CA: 'Mastercard', AX: 'American Express', DC: 'Diners Club' };
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE = /^\+?[0-9 ()-]{6,20}$/;
+
+// Normalize the posted form into { booking, errors }
+export function parseHotelBooking(body, today = new Date()) {
+    const errors = [];
+    const { card, errors: cardErrors } = parsePaymentCard(body, today);
+    const booking = {
+        offerId: String(body.offerId || '').trim(),
+        title: String(body.title || '').toUpperCase(),
+        firstName: String(body.firstName || '').trim(),
+        lastName: String(body.lastName || '').trim(),
+        email: String(body.email || '').trim(),
+        phone: String(body.phone || '').trim(),
+        cardVendor: String(body.cardVendor || '').toUpperCase(),
+        card
+    };
+
+    if (!booking.offerId) {
+        errors.push('Choose a room to book.');
+    }
+    if (!GUEST_TITLES.includes(booking.title)) {
+        booking.title = 'MR';
+    }
+    if (!booking.firstName || !booking.lastName) {
+        errors.push('Enter the guest\'s first and last name.');
+    }
+    if (!EMAIL.test(booking.email)) {
+        errors.push('Enter a valid email address.');
+    }
+    if (!PHONE.test(booking.phone)) {
+        errors.push('Enter a valid phone number, including the country code.');
+    }
+    if (!CARD_VENDORS[booking.cardVendor]) {
+        errors.push('Choose a card type.');
+    }
+    // The same card pays through the payment gateway and guarantees the room
+    errors.push(...Object.values(cardErrors));
+
+    return { booking, errors };
+}
+
+// The guarantee card entered again after a card challenge: { card, errors }. Only its
+// last four digits were kept while the challenge ran, and it must be the card that paid.
+export function parseGuaranteeCard(body, last4, today = new Date()) {
+    const { card, errors } = parsePaymentCard(body, today);
+    if (!errors.cardNumber && card.number.slice(-4) !== last4) {
+        errors.cardNumber = `Enter the card ending ${last4} that paid for the stay.`;
+    }
+    return { card, errors };
+}
+
+// Request for amadeus.createHotelBooking; `booking.card` is the full guarantee card
+export function buildHotelBookingPayload(booking) {
+    return {
+        offerId: booking.offerId,
+        guests: [{
+            id: 1,
+            name: { title: booking.title, firstName: booking.firstName, lastName: booking.lastName },
+            contact: { phone: booking.phone, email: booking.email }
+        }],
+        payments: [{
+            id: 1,
+            method: 'creditCard',
+            card: {
+                vendorCode: booking.cardVendor,
+                cardNumber: booking.card.number,
+                expiryDate: booking.card.expiry
+            }
+        }]
+    };
+}
@@ -0,0 +1,124 @@
+// Parsing and execution of hotel searches: a city, stay dates, guest/room counts
+// and the currency offers are priced in (the hotel's own when none is asked for).
+
+export const MAX_GUESTS = 9;
+export const MAX_HOTELS_PER_SEARCH = 20;
+
+const IATA_CODE = /^[A-Z]{3}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+function toCount(value, fallback) {
+    const count = Number.parseInt(value, 10);
+    return Number.isNaN(count) ? fallback : count;
+}
+
+export function nightsBetween(checkInDate, checkOutDate) {
+    return Math.round((Date.parse(`${checkOutDate}T00:00:00Z`) - Date.parse(`${checkInDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+// Normalize the hotel search form/query string into { search, errors }
+export function parseHotelSearch(query) {
+    const errors = [];
+    const search = {
+        searchQuery: String(query.searchQuery || '').trim(),
+        cityCode: String(query.cityCode || '').trim().toUpperCase(),
+        checkInDate: query.checkInDate || '',
+        checkOutDate: query.checkOutDate || '',
+        adults: toCount(query.adults, 1),
+        roomQuantity: toCount(query.roomQuantity, 1),
+        currencyCode: CURRENCY_CODE.test(String(query.currencyCode || '').toUpperCase()) ? String(query.currencyCode).toUpperCase() : ''
+    };
+
+    if (!search.searchQuery && !IATA_CODE.test(search.cityCode)) {
+        errors.push('Enter a city to search.');
+    }
+    if (!ISO_DATE.test(search.checkInDate)) {
+        errors.push('Choose a check-in date.');
+    }
+    if (!ISO_DATE.test(search.checkOutDate)) {
+        errors.push('Choose a check-out date.');
+    } else if (ISO_DATE.test(search.checkInDate) && nightsBetween(search.checkInDate, search.checkOutDate) < 1) {
+        errors.push('The check-out date must be after the check-in date.');
+    }
+    if (search.adults < 1 || search.adults > MAX_GUESTS) {
+        errors.push(`Choose between 1 and ${MAX_GUESTS} adults.`);
+    }
+    if (search.roomQuantity < 1 || search.roomQuantity > search.adults) {
+        errors.push('Each room needs at least one adult.');
+    }
+
+    return { search, errors };
+}
+
+// Query string that reproduces a hotel search, carried between result, details and booking pages
+export function hotelSearchParams(search) {
+    const params = new URLSearchParams({
+        searchQuery: search.searchQuery,
+        cityCode: search.cityCode,
+        checkInDate: search.checkInDate,
+        checkOutDate: search.checkOutDate,
+        adults: String(search.adults),
+        roomQuantity: String(search.roomQuantity)
+    });
+    if (search.currencyCode) {
+        params.set('currencyCode', search.currencyCode);
+    }
+    return params;
+}
+
+// Priced offers for the hotels in a city, cheapest first: [{ hotel, offer }]
+export async function searchHotelOffersByCity(amadeus, search) {
+    const hotelList = await amadeus.listHotelsByCity(search.cityCode);
+    const hotelIds = (hotelList.data || []).slice(0, MAX_HOTELS_PER_SEARCH).map(hotel => hotel.hotelId);
+
+    if (hotelIds.length === 0) {
+        return [];
+    }
+
+    const params = {
+        hotelIds: hotelIds.join(','),
+        checkInDate: search.checkInDate,
+        checkOutDate: search.checkOutDate,
+        adults: search.adults,
+        roomQuantity: search.roomQuantity,
+        bestRateOnly: true
+    };
+    if (search.currencyCode) {
+        params.currency = search.currencyCode;
+    }
+    const response = await amadeus.searchHotelOffers(params);
+
+    return (response.data || [])
+        .filter(result => result.available !== false && result.offers && result.offers.length > 0)
+        .map(result => ({
+            hotel: result.hotel,
+            offer: result.offers.reduce((cheapest, offer) => Number(offer.price.total) < Number(cheapest.price.total) ? offer : cheapest)
+        }))
+        .sort((a, b) => Number(a.offer.price.total) - Number(b.offer.price.total));
+}
+
+// Flatten a hotel offer for the details and confirmation pages
+export function describeHotelOffer(offer) {
+    const room = offer.room || {};
+    const estimated = room.typeEstimated || {};
+    return {
+        id: offer.id,
+        checkInDate: offer.checkInDate,
+        checkOutDate: offer.checkOutDate,
+        nights: nightsBetween(offer.checkInDate, offer.checkOutDate),
+        currency: offer.price.currency,
+        price: offer.price.total,
+        basePrice: offer.price.base,
+        adults: offer.guests?.adults,
+        refundable: offer.policies?.refundable?.cancellationRefund !== 'NON_REFUNDABLE',
+        cancellationDeadline: offer.policies?.cancellations?.[0]?.deadline,
+        room: {
+            type: room.type,
+            description: room.description?.text || 'Room details unavailable',
+            category: (estimated.category || 'ROOM').replace(/_/g, ' ').toLowerCase(),
+            beds: estimated.beds,
+            bedType: estimated.bedType ? estimated.bedType.toLowerCase() : ''
+        }
+    };
+}
@@ -0,0 +1,379 @@
+// English, the fallback for every other catalog. Keys are grouped by the page or partial that uses them.
+export default {
+    // Header and navigation
+    'nav.flights': 'Flights',
+    'nav.hotels': 'Hotels',
+    'nav.cars': 'Cars',
+    'nav.explore': 'Explore',
+    'nav.trips': 'My Trips',
+    'nav.alerts': 'Price Alerts',
+    'nav.admin': 'Admin',
+    'nav.login': 'Login',
+    'nav.signUp': 'Sign Up',
+    'nav.logout': 'Logout',
+    'nav.language': 'Language',
+    'nav.currency': 'Currency',
+    'nav.savePreferences': 'Save',
+
+    // Footer
+    'footer.aboutTitle': 'About Travix',
+    'footer.about': 'Travix is your one-stop solution for booking flights, hotels, trains, and cars. With over 10,000 destinations and 1 million satisfied customers, we make your travel dreams come true.',
+    'footer.links': 'Useful Links',
+    'footer.privacy': 'Privacy Policy',
+    'footer.terms': 'Terms of Service',
+    'footer.support': 'Support',
+    'footer.contact': 'Contact Us',
+    'footer.newsletter': 'Subscribe to our Newsletter',
+    'footer.emailPlaceholder': 'Enter your email',
+    'footer.subscribe': 'Subscribe',
+    'footer.rights': '© 2024 Travix. All rights reserved.',
+    'footer.developedBy': 'Developed by',
+
+    // Home page
+    'home.title': 'Travix - Travel Booking',
+    'home.hero': 'Discover Your Next Adventure',
+    'home.whyTitle': 'Why Choose Travix?',
+    'home.why': 'Travix offers unbeatable deals on flights, hotels, and transportation around the world. With a user-friendly interface and a dedicated customer support team, booking your travel has never been easier.',
+    'home.statDestinations': 'Destinations Worldwide',
+    'home.statCustomers': 'Happy Customers',
+    'home.statSupport': 'Customer Support',
+    'home.featuresTitle': 'Our Features',
+    'home.easyBooking': 'Easy Booking',
+    'home.easyBookingText': 'Our platform makes it easy to book your entire trip in just a few clicks.',
+    'home.bestPrices': 'Best Prices',
+    'home.bestPricesText': 'We provide the best prices across flights, hotels, and transportation options.',
+    'home.support': '24/7 Support',
+    'home.supportText': 'Our customer support team is available around the clock to help you with any issues.',
+    'home.packagesTitle': 'Travel Packages',
+    'home.economy': 'Economy Package',
+    'home.economyText': 'Ideal for budget travelers who want the best deals on flights and hotels.',
+    'home.premium': 'Premium Package',
+    'home.premiumText': 'For those who want luxury travel experiences and top-tier services.',
+    'home.family': 'Family Package',
+    'home.familyText': 'The perfect choice for family vacations with added discounts for group bookings.',
+    'home.bookNow': 'Book Now',
+    'home.faqTitle': 'Frequently Asked Questions',
+    'home.faq.search.q': 'How do I search for flights?',
+    'home.faq.search.a': 'Simply enter your origin, destination, and travel dates in the search form and click \'Search Flights\'.',
+    'home.faq.payment.q': 'What payment methods are accepted?',
+    'home.faq.payment.a': 'We accept all major credit cards, PayPal, and bank transfers.',
+    'home.faq.cancel.q': 'Can I cancel or change my booking?',
+    'home.faq.cancel.a': 'Yes, you can cancel or change your booking depending on the airline\'s policies. Please refer to your booking confirmation for details.',
+    'home.faq.contact.q': 'How do I contact customer support?',
+    'home.faq.contact.a': 'You can reach our customer support team via email, phone, or live chat on our website.',
+    'home.faq.insurance.q': 'Does Travix offer travel insurance?',
+    'home.faq.insurance.a': 'Yes, we offer various travel insurance options to cover unexpected events. You can select an insurance plan during the booking process.',
+
+    // Sign in and registration
+    'auth.loginTitle': 'Login - Travix',
+    'auth.registerTitle': 'Sign Up - Travix',
+    'auth.loginHeading': 'Login to Your Account',
+    'auth.registerHeading': 'Create Your Account',
+    'auth.welcome': 'Welcome to Travix',
+    'auth.loginIntro': 'Please login to continue.',
+    'auth.registerIntro': 'Please fill in the details to create your account.',
+    'auth.email': 'Email',
+    'auth.password': 'Password',
+    'auth.login': 'Login',
+    'auth.register': 'Register',
+    'auth.google': 'Sign in with Google',
+
+    // Error page
+    'error.title.invalid_request': 'Please Check Your Details',
+    'error.title.unauthorized': 'Please Log In',
+    'error.title.payment_declined': 'Payment Not Completed',
+    'error.title.forbidden': 'Access Denied',
+    'error.title.not_found': 'Page Not Found',
+    'error.title.no_results': 'No Results',
+    'error.title.offer_expired': 'Offer Expired',
+    'error.title.rate_limited': 'Too Many Requests',
+    'error.title.internal_error': 'Something Went Wrong',
+    'error.title.upstream_error': 'Something Went Wrong',
+    'error.title.unavailable': 'Temporarily Unavailable',
+    'error.title.upstream_timeout': 'This Is Taking Too Long',
+    'error.tryAgain': 'Try Again',
+    'error.goHome': 'Go Home',
+    'error.status': 'Error {status}',
+
+    // Flight search page and fare calendar
+    'flights.searchTitle': 'Search Flights',
+    'flights.flexTitle': 'Flexible Dates',
+    'flights.calendarHeading': 'Lowest fares {origin} → {destination}',
+    'flights.calendarOneWay': 'One way.',
+    'flights.calendarRoundTrip': { one: 'Round trip, returning after {count} night.', other: 'Round trip, returning after {count} nights.' },
+    'flights.calendarNote': 'Prices are the lowest total for all travelers and may change when you search. Pick a day to see its flights.',
+    'flights.calendarNone': 'No fares were found for these dates. Try other dates or airports.',
+    'flights.cheapestDay': 'Cheapest day',
+    'flights.popular': 'Popular Destinations',
+    'flights.city.paris': 'Paris',
+    'flights.city.new-york': 'New York',
+    'flights.city.tokyo': 'Tokyo',
+    'flights.city.dubai': 'Dubai',
+    'flights.city.sydney': 'Sydney',
+    'flights.city.london': 'London',
+    'flights.city.rome': 'Rome',
+    'flights.city.berlin': 'Berlin',
+    'flights.inspireHeading': 'Not sure where to go?',
+    'flights.inspireText': 'Enter your city and a budget to see the cheapest places to fly to.',
+    'flights.classComparison': 'Flight Class Comparison',
+    'flights.class.economy': 'Economy Class',
+    'flights.class.business': 'Business Class',
+    'flights.class.first': 'First Class',
+    'flights.classText.economy': 'Comfortable seating at an affordable price.',
+    'flights.classText.business': 'Extra comfort and services for business travelers.',
+    'flights.classText.first': 'Luxury experience with top-notch amenities.',
+    'flights.learnMore': 'Learn More',
+    'flights.partners': 'Our Airline Partners',
+
+    // Flight search form
+    'search.oneWay': 'One way',
+    'search.roundTrip': 'Round trip',
+    'search.multiCity': 'Multi-city',
+    'search.origin': 'Origin',
+    'search.destination': 'Destination',
+    'search.originPlaceholder': 'e.g., Madrid',
+    'search.destinationPlaceholder': 'e.g., New York',
+    'search.departureDate': 'Departure Date',
+    'search.returnDate': 'Return Date',
+    'search.addLeg': '+ Add another flight',
+    'search.adults': 'Adults (12+)',
+    'search.children': 'Children (2-11)',
+    'search.infants': 'Infants (under 2)',
+    'search.cabinClass': 'Cabin Class',
+    'search.any': 'Any',
+    'search.class.ECONOMY': 'Economy',
+    'search.class.PREMIUM_ECONOMY': 'Premium Economy',
+    'search.class.BUSINESS': 'Business',
+    'search.class.FIRST': 'First',
+    'search.maxPrice': 'Max Price ({currency})',
+    'search.noLimit': 'No limit',
+    'search.flexibleDates': 'Flexible Dates',
+    'search.exactDates': 'Exact dates',
+    'search.flex.1': '± 1 day',
+    'search.flex.2': '± 2 days',
+    'search.flex.3': '± 3 days',
+    'search.flex.month': 'Whole month',
+    'search.nonStop': 'Non-stop only',
+    'search.searchFlights': 'Search Flights',
+    'search.from': 'From',
+    'search.to': 'To',
+    'search.date': 'Date',
+    'search.removeLeg': 'Remove flight',
+
+    // Flight results
+    'offers.title': 'Flight Offers',
+    'offers.outbound': 'Outbound',
+    'offers.return': 'Return',
+    'offers.flightNumber': 'Flight {number}',
+    'offers.stops': 'Stops',
+    'offers.stop.0': 'Non-stop',
+    'offers.stop.1': '1 stop',
+    'offers.stop.2': '2+ stops',
+    'offers.stopCount': { one: '{count} stop', other: '{count} stops' },
+    'offers.airlines': 'Airlines',
+    'offers.fromPrice': 'from {price}',
+    'offers.departureTime': 'Departure time',
+    'offers.arrivalTime': 'Arrival time',
+    'offers.firstFlight': '{heading} ({label})',
+    'offers.time.night': 'Night (00:00–06:00)',
+    'offers.time.morning': 'Morning (06:00–12:00)',
+    'offers.time.afternoon': 'Afternoon (12:00–18:00)',
+    'offers.time.evening': 'Evening (18:00–24:00)',
+    'offers.price': 'Price ({currency})',
+    'offers.apply': 'Apply',
+    'offers.clear': 'Clear',
+    'offers.available': 'Available Flights',
+    'offers.route': '{origin} to {destination}',
+    'offers.passengers': { one: '{count} passenger', other: '{count} passengers' },
+    'offers.matched': { one: '{matched} of {count} flight', other: '{matched} of {count} flights' },
+    'offers.sortBy': 'Sort by',
+    'offers.sort.price': 'Cheapest first',
+    'offers.sort.duration': 'Shortest first',
+    'offers.sort.departure': 'Earliest departure',
+    'offers.sort.stops': 'Fewest stops',
+    'offers.layover': 'Layover in {airport}: {duration}',
+    'offers.priceLabel': 'Price:',
+    'offers.forPassengers': { one: 'for {count} passenger', other: 'for {count} passengers' },
+    'offers.checkedBags': { one: '{count} checked bag', other: '{count} checked bags' },
+    'offers.noCheckedBag': 'No checked bag',
+    'offers.seatsLeft': { one: 'only {count} seat left', other: 'only {count} seats left' },
+    'offers.bookNow': 'Book Now',
+    'offers.pages': 'Result pages',
+    'offers.previous': '← Previous',
+    'offers.next': 'Next →',
+    'offers.noMatches': 'No flights match these filters.',
+    'offers.clearAll': 'Clear all filters',
+    'offers.none': 'No tickets available for the specified origin and destination.',
+
+    // Price alert form
+    'alertForm.title': 'Track this price',
+    'alertForm.lowest': 'The lowest price right now is {price}. We will check regularly and email you when it drops to your target.',
+    'alertForm.target': 'Target price ({currency})',
+    'alertForm.create': 'Create price alert',
+    'alertForm.logIn': 'Log in',
+    'alertForm.loginPrompt': 'to get an email when the price for this search drops.',
+
+    // Hotel search page
+    'hotels.searchTitle': 'Search Hotels',
+    'hotels.popular': 'Popular Hotel Properties',
+    'hotels.classComparison': 'Hotel Class Comparison',
+    'hotels.class.budget': 'Budget Class',
+    'hotels.class.luxury': 'Luxury Class',
+    'hotels.class.mid-range': 'Mid-range Class',
+    'hotels.classText.budget': 'Affordable accommodation with basic amenities.',
+    'hotels.classText.mid-range': 'Comfortable rooms with additional services.',
+    'hotels.classText.luxury': 'Premium facilities for a luxurious stay.',
+    'hotels.partners': 'Our Hotel Partners',
+    'hotels.partner': 'Hotel Partner {number}',
+    'hotels.faq.search.q': 'How do I search for hotels?',
+    'hotels.faq.search.a': 'Enter the city, check-in, and check-out dates, and number of guests, then click \'Search Hotels\'.',
+    'hotels.faq.cancel.a': 'You can cancel or change your booking depending on the hotel\'s policy. Refer to your booking confirmation for details.',
+    'hotels.faq.contact.a': 'You can contact our support team via email, phone, or live chat.',
+
+    // Hotel search form
+    'hotelSearch.city': 'City',
+    'hotelSearch.checkIn': 'Check-in Date',
+    'hotelSearch.checkOut': 'Check-out Date',
+    'hotelSearch.adults': 'Number of Adults',
+    'hotelSearch.rooms': 'Rooms',
+    'hotelSearch.submit': 'Search Hotels',
+
+    // Hotel results
+    'hotelOffers.title': 'Hotel Offers',
+    'hotelOffers.heading': 'Hotels in {city}',
+    'hotelOffers.stay': '{checkIn} to {checkOut}',
+    'hotelOffers.nights': { one: '{count} night', other: '{count} nights' },
+    'hotelOffers.adults': { one: '{count} adult', other: '{count} adults' },
+    'hotelOffers.rooms': { one: '{count} room', other: '{count} rooms' },
+    'hotelOffers.stars': '{count} stars',
+    'hotelOffers.from': 'From',
+    'hotelOffers.total': 'total',
+    'hotelOffers.viewRooms': 'View Rooms',
+    'hotelOffers.showMore': 'Show More',
+    'hotelOffers.none': 'No hotels have rooms available for these dates.',
+
+    // Aircraft checkout
+    'order.placeTitle': 'Place Order',
+    'order.successTitle': 'Order Successful',
+    'order.yourCart': 'Your Cart',
+    'order.line': '{name} × {quantity}',
+    'order.empty': 'Your cart is empty.',
+    'order.browse': 'Browse aircraft',
+    'order.total': 'Total: {total}',
+    'order.payment': 'Payment',
+    'order.receiptEmail': 'Email for your receipt',
+    'order.placeOrder': 'Place Order',
+    'order.thanks': 'Thank you for purchasing from Travix!',
+    'order.number': 'Order number',
+    'order.goHome': 'Go Home',
+
+    // Shared
+    'common.errorTryLater': 'An error occurred. Please try again later.',
+
+    // Card form
+    'card.holder': 'Name on Card',
+    'card.number': 'Card Number',
+    'card.expiry': 'Expiry Date',
+    'card.cvc': 'Security Code',
+    'card.sandbox': 'Test mode: no real charges are made. Use any future expiry date and security code with:',
+
+    // Hotel guarantee card after a card challenge
+    'guarantee.title': 'Guarantee Your Room',
+    'guarantee.heading': 'Guarantee your room at {hotel}',
+    'guarantee.text': 'Your payment of {amount} went through. Enter the card ending {last4} again so the hotel can guarantee your room. Card details are not stored by Travix.',
+    'guarantee.submit': 'Book the room',
+
+    // Payment status
+    'payment.label': 'Payment:',
+    'payment.status.processing': 'Processing',
+    'payment.status.paid': 'Paid',
+    'payment.status.failed': 'Failed',
+    'payment.status.refunded': 'Refunded',
+
+    // Aircraft catalog and cart
+    'explore.title': 'Search Explore',
+    'explore.filters': 'Filters',
+    'explore.price': 'Price',
+    'explore.anyPrice': 'Any price',
+    'explore.priceRange': '{from} – {to}',
+    'explore.priceAbove': 'More than {price}',
+    'explore.type': 'Type',
+    'explore.all': 'All',
+    'explore.aircraftType.helicopter': 'Helicopter',
+    'explore.manufacturer': 'Manufacturer',
+    'explore.heading': 'Explore Planes & Helicopters',
+    'explore.addToCart': 'Add to Cart',
+    'explore.none': 'No aircraft match these filters.',
+    'explore.clearCart': 'Clear Cart',
+    'explore.checkout': 'Checkout',
+    'explore.remove': 'Remove',
+    'explore.aircraftType.plane': 'Plane',
+
+    // My trips
+    'trips.title': 'My Trips',
+    'trips.upcoming': 'Upcoming',
+    'trips.noUpcoming': 'No upcoming trips.',
+    'trips.searchFlights': 'Search flights',
+    'trips.or': 'or',
+    'trips.findHotel': 'find a hotel',
+    'trips.planNext': 'to plan your next one.',
+    'trips.past': 'Past',
+    'trips.noPast': 'No past trips yet.',
+    'trips.kind.flight': 'Flight',
+    'trips.kind.hotel': 'Hotel',
+    'trips.kind.car': 'Car',
+    'trips.kind.aircraft': 'Aircraft order',
+    'trips.status.confirmed': 'Confirmed',
+    'trips.status.cancelled': 'Cancelled',
+    'trips.reference': 'Ref. {reference}',
+    'trips.view': 'View',
+    'trips.status.pending_payment': 'Awaiting payment',
+    'trips.status.paid': 'Paid',
+    'trips.status.payment_failed': 'Payment failed',
+    'trips.status.refunded': 'Refunded',
+
+    // Destination inspiration
+    'inspiration.title': 'Where Can I Go?',
+    'inspiration.heading': 'Find your next destination',
+    'inspiration.intro': 'Tell us where you fly from to see the cheapest destinations, within your budget and dates if you give them.',
+    'inspiration.origin': 'Flying from',
+    'inspiration.originPlaceholder': 'City or airport',
+    'inspiration.departureFrom': 'Earliest departure',
+    'inspiration.departureTo': 'Latest departure',
+    'inspiration.stayNights': 'Nights away',
+    'inspiration.anyStay': 'Any',
+    'inspiration.budget': 'Budget ({currency})',
+    'inspiration.search': 'Show destinations',
+    'inspiration.results': { one: '{count} destination from {origin}', other: '{count} destinations from {origin}' },
+    'inspiration.note': 'Cheapest recent fares for one adult, cheapest first. The price is confirmed when you search the flight.',
+    'inspiration.convertedNote': 'Fares marked ≈ are converted from {currency} and may differ slightly.',
+    'inspiration.none': 'No destinations found. Try a higher budget or other dates.',
+    'inspiration.fromPrice': 'from {price}',
+    'inspiration.oneWayOn': 'One way, {date}',
+    'inspiration.roundTripDates': '{departure} to {return}',
+    'inspiration.flights': 'Flights',
+    'inspiration.hotels': 'Hotels',
+
+    // Page titles for the booking, price alert and car pages
+    'challenge.title': 'Verify Your Card',
+    'flightDetails.title': 'Flight Details',
+    'flightConfirmation.title': 'Booking Confirmation',
+    'hotelDetails.title': 'Hotel Details',
+    'hotelConfirmation.title': 'Hotel Booking Confirmation',
+    'alerts.title': 'Price Alerts',
+    'manage.title': 'Manage Booking',
+    'cars.searchTitle': 'Search Cars',
+    'carOffers.title': 'Car Offers',
+    'carDetails.title': 'Car Details',
+    'carConfirmation.title': 'Car Booking Confirmation',
+
+    // Back office page titles
+    'admin.bookingsTitle': 'Bookings - Back Office',
+    'admin.bookingTitle': 'Booking {reference} - Back Office',
+    'admin.ordersTitle': 'Aircraft Orders - Back Office',
+    'admin.orderTitle': 'Order {orderNumber} - Back Office',
+    'admin.catalogTitle': 'Aircraft Catalog - Back Office',
+    'admin.addAircraftTitle': 'Add Aircraft - Back Office',
+    'admin.editAircraftTitle': 'Edit Aircraft - Back Office',
+    'admin.auditLogTitle': 'Audit Log - Back Office'
+};
@@ -0,0 +1,379 @@
+// Hindi. Keys are grouped by the page or partial that uses them.
+export default {
+    // Header and navigation
+    'nav.flights': 'फ़्लाइट',
+    'nav.hotels': 'होटल',
+    'nav.cars': 'कारें',
+    'nav.explore': 'एक्सप्लोर',
+    'nav.trips': 'मेरी यात्राएँ',
+    'nav.alerts': 'मूल्य अलर्ट',
+    'nav.admin': 'एडमिन',
+    'nav.login': 'लॉग इन',
+    'nav.signUp': 'साइन अप',
+    'nav.logout': 'लॉग आउट',
+    'nav.language': 'भाषा',
+    'nav.currency': 'मुद्रा',
+    'nav.savePreferences': 'सहेजें',
+
+    // Footer
+    'footer.aboutTitle': 'Travix के बारे में',
+    'footer.about': 'Travix फ़्लाइट, होटल, ट्रेन और कार बुक करने का आपका एक ही ठिकाना है। 10,000 से ज़्यादा गंतव्यों और 10 लाख संतुष्ट ग्राहकों के साथ, हम आपकी यात्रा के सपने सच करते हैं।',
+    'footer.links': 'उपयोगी लिंक',
+    'footer.privacy': 'गोपनीयता नीति',
+    'footer.terms': 'सेवा की शर्तें',
+    'footer.support': 'सहायता',
+    'footer.contact': 'संपर्क करें',
+    'footer.newsletter': 'हमारे न्यूज़लेटर की सदस्यता लें',
+    'footer.emailPlaceholder': 'अपना ईमेल दर्ज करें',
+    'footer.subscribe': 'सदस्यता लें',
+    'footer.rights': '© 2024 Travix. सर्वाधिकार सुरक्षित।',
+    'footer.developedBy': 'निर्माता',
+
+    // Home page
+    'home.title': 'Travix - यात्रा बुकिंग',
+    'home.hero': 'अपना अगला रोमांच खोजें',
+    'home.whyTitle': 'Travix ही क्यों चुनें?',
+    'home.why': 'Travix दुनिया भर में फ़्लाइट, होटल और परिवहन पर बेजोड़ सौदे देता है। आसान इंटरफ़ेस और समर्पित ग्राहक सहायता टीम के साथ, यात्रा बुक करना पहले कभी इतना आसान नहीं था।',
+    'home.statDestinations': 'दुनिया भर के गंतव्य',
+    'home.statCustomers': 'खुश ग्राहक',
+    'home.statSupport': 'ग्राहक सहायता',
+    'home.featuresTitle': 'हमारी विशेषताएँ',
+    'home.easyBooking': 'आसान बुकिंग',
+    'home.easyBookingText': 'हमारा प्लैटफ़ॉर्म कुछ ही क्लिक में पूरी यात्रा बुक करना आसान बनाता है।',
+    'home.bestPrices': 'सबसे अच्छी कीमतें',
+    'home.bestPricesText': 'हम फ़्लाइट, होटल और परिवहन विकल्पों पर सबसे अच्छी कीमतें देते हैं।',
+    'home.support': '24/7 सहायता',
+    'home.supportText': 'हमारी ग्राहक सहायता टीम किसी भी समस्या में आपकी मदद के लिए चौबीसों घंटे उपलब्ध है।',
+    'home.packagesTitle': 'यात्रा पैकेज',
+    'home.economy': 'इकॉनमी पैकेज',
+    'home.economyText': 'कम बजट वाले यात्रियों के लिए आदर्श, जो फ़्लाइट और होटल पर सबसे अच्छे सौदे चाहते हैं।',
+    'home.premium': 'प्रीमियम पैकेज',
+    'home.premiumText': 'उनके लिए जो शानदार यात्रा अनुभव और बेहतरीन सेवाएँ चाहते हैं।',
+    'home.family': 'फ़ैमिली पैकेज',
+    'home.familyText': 'पारिवारिक छुट्टियों के लिए सही विकल्प, समूह बुकिंग पर अतिरिक्त छूट के साथ।',
+    'home.bookNow': 'अभी बुक करें',
+    'home.faqTitle': 'अक्सर पूछे जाने वाले प्रश्न',
+    'home.faq.search.q': 'मैं फ़्लाइट कैसे खोजूँ?',
+    'home.faq.search.a': 'खोज फ़ॉर्म में अपना प्रस्थान स्थान, गंतव्य और यात्रा की तारीखें दर्ज करें और \'फ़्लाइट खोजें\' पर क्लिक करें।',
+    'home.faq.payment.q': 'कौन-से भुगतान तरीके स्वीकार किए जाते हैं?',
+    'home.faq.payment.a': 'हम सभी प्रमुख क्रेडिट कार्ड, PayPal और बैंक ट्रांसफ़र स्वीकार करते हैं।',
+    'home.faq.cancel.q': 'क्या मैं अपनी बुकिंग रद्द या बदल सकता/सकती हूँ?',
+    'home.faq.cancel.a': 'हाँ, एयरलाइन की नीतियों के अनुसार आप अपनी बुकिंग रद्द या बदल सकते हैं। विवरण के लिए अपनी बुकिंग पुष्टि देखें।',
+    'home.faq.contact.q': 'मैं ग्राहक सहायता से कैसे संपर्क करूँ?',
+    'home.faq.contact.a': 'आप ईमेल, फ़ोन या हमारी वेबसाइट पर लाइव चैट से हमारी ग्राहक सहायता टीम तक पहुँच सकते हैं।',
+    'home.faq.insurance.q': 'क्या Travix यात्रा बीमा देता है?',
+    'home.faq.insurance.a': 'हाँ, हम अप्रत्याशित घटनाओं के लिए कई यात्रा बीमा विकल्प देते हैं। बुकिंग के दौरान आप बीमा योजना चुन सकते हैं।',
+
+    // Sign in and registration
+    'auth.loginTitle': 'लॉग इन - Travix',
+    'auth.registerTitle': 'साइन अप - Travix',
+    'auth.loginHeading': 'अपने खाते में लॉग इन करें',
+    'auth.registerHeading': 'अपना खाता बनाएँ',
+    'auth.welcome': 'Travix में आपका स्वागत है',
+    'auth.loginIntro': 'जारी रखने के लिए कृपया लॉग इन करें।',
+    'auth.registerIntro': 'खाता बनाने के लिए कृपया विवरण भरें।',
+    'auth.email': 'ईमेल',
+    'auth.password': 'पासवर्ड',
+    'auth.login': 'लॉग इन',
+    'auth.register': 'रजिस्टर करें',
+    'auth.google': 'Google से साइन इन करें',
+
+    // Error page
+    'error.title.invalid_request': 'कृपया अपना विवरण जाँचें',
+    'error.title.unauthorized': 'कृपया लॉग इन करें',
+    'error.title.payment_declined': 'भुगतान पूरा नहीं हुआ',
+    'error.title.forbidden': 'पहुँच अस्वीकृत',
+    'error.title.not_found': 'पेज नहीं मिला',
+    'error.title.no_results': 'कोई परिणाम नहीं',
+    'error.title.offer_expired': 'ऑफ़र की अवधि समाप्त',
+    'error.title.rate_limited': 'बहुत ज़्यादा अनुरोध',
+    'error.title.internal_error': 'कुछ गलत हो गया',
+    'error.title.upstream_error': 'कुछ गलत हो गया',
+    'error.title.unavailable': 'अस्थायी रूप से उपलब्ध नहीं',
+    'error.title.upstream_timeout': 'इसमें बहुत समय लग रहा है',
+    'error.tryAgain': 'फिर से कोशिश करें',
+    'error.goHome': 'होम पर जाएँ',
+    'error.status': 'त्रुटि {status}',
+
+    // Flight search page and fare calendar
+    'flights.searchTitle': 'फ़्लाइट खोजें',
+    'flights.flexTitle': 'लचीली तारीखें',
+    'flights.calendarHeading': 'सबसे कम किराए {origin} → {destination}',
+    'flights.calendarOneWay': 'एक तरफ़ा।',
+    'flights.calendarRoundTrip': { one: 'राउंड ट्रिप, {count} रात बाद वापसी।', other: 'राउंड ट्रिप, {count} रातों बाद वापसी।' },
+    'flights.calendarNote': 'कीमतें सभी यात्रियों के लिए सबसे कम कुल राशि हैं और खोजने पर बदल सकती हैं। उस दिन की फ़्लाइट देखने के लिए एक दिन चुनें।',
+    'flights.calendarNone': 'इन तारीखों के लिए कोई किराया नहीं मिला। दूसरी तारीखें या हवाई अड्डे आज़माएँ।',
+    'flights.cheapestDay': 'सबसे सस्ता दिन',
+    'flights.popular': 'लोकप्रिय गंतव्य',
+    'flights.city.paris': 'पेरिस',
+    'flights.city.new-york': 'न्यूयॉर्क',
+    'flights.city.tokyo': 'टोक्यो',
+    'flights.city.dubai': 'दुबई',
+    'flights.city.sydney': 'सिडनी',
+    'flights.city.london': 'लंदन',
+    'flights.city.rome': 'रोम',
+    'flights.city.berlin': 'बर्लिन',
+    'flights.inspireHeading': 'कहाँ जाएँ, तय नहीं?',
+    'flights.inspireText': 'सबसे सस्ते गंतव्य देखने के लिए अपना शहर और बजट दर्ज करें।',
+    'flights.classComparison': 'फ़्लाइट क्लास की तुलना',
+    'flights.class.economy': 'इकॉनमी क्लास',
+    'flights.class.business': 'बिज़नेस क्लास',
+    'flights.class.first': 'फ़र्स्ट क्लास',
+    'flights.classText.economy': 'किफ़ायती कीमत पर आरामदायक सीटें।',
+    'flights.classText.business': 'बिज़नेस यात्रियों के लिए ज़्यादा आराम और सेवाएँ।',
+    'flights.classText.first': 'बेहतरीन सुविधाओं के साथ शानदार अनुभव।',
+    'flights.learnMore': 'और जानें',
+    'flights.partners': 'हमारे एयरलाइन साझेदार',
+
+    // Flight search form
+    'search.oneWay': 'एक तरफ़ा',
+    'search.roundTrip': 'राउंड ट्रिप',
+    'search.multiCity': 'मल्टी-सिटी',
+    'search.origin': 'प्रस्थान स्थान',
+    'search.destination': 'गंतव्य',
+    'search.originPlaceholder': 'जैसे, मैड्रिड',
+    'search.destinationPlaceholder': 'जैसे, न्यूयॉर्क',
+    'search.departureDate': 'प्रस्थान की तारीख',
+    'search.returnDate': 'वापसी की तारीख',
+    'search.addLeg': '+ एक और फ़्लाइट जोड़ें',
+    'search.adults': 'वयस्क (12+)',
+    'search.children': 'बच्चे (2-11)',
+    'search.infants': 'शिशु (2 से कम)',
+    'search.cabinClass': 'केबिन क्लास',
+    'search.any': 'कोई भी',
+    'search.class.ECONOMY': 'इकॉनमी',
+    'search.class.PREMIUM_ECONOMY': 'प्रीमियम इकॉनमी',
+    'search.class.BUSINESS': 'बिज़नेस',
+    'search.class.FIRST': 'फ़र्स्ट',
+    'search.maxPrice': 'अधिकतम कीमत ({currency})',
+    'search.noLimit': 'कोई सीमा नहीं',
+    'search.flexibleDates': 'लचीली तारीखें',
+    'search.exactDates': 'सटीक तारीखें',
+    'search.flex.1': '± 1 दिन',
+    'search.flex.2': '± 2 दिन',
+    'search.flex.3': '± 3 दिन',
+    'search.flex.month': 'पूरा महीना',
+    'search.nonStop': 'केवल नॉन-स्टॉप',
+    'search.searchFlights': 'फ़्लाइट खोजें',
+    'search.from': 'कहाँ से',
+    'search.to': 'कहाँ तक',
+    'search.date': 'तारीख',
+    'search.removeLeg': 'फ़्लाइट हटाएँ',
+
+    // Flight results
+    'offers.title': 'फ़्लाइट ऑफ़र',
+    'offers.outbound': 'जाने की फ़्लाइट',
+    'offers.return': 'वापसी',
+    'offers.flightNumber': 'फ़्लाइट {number}',
+    'offers.stops': 'स्टॉप',
+    'offers.stop.0': 'नॉन-स्टॉप',
+    'offers.stop.1': '1 स्टॉप',
+    'offers.stop.2': '2+ स्टॉप',
+    'offers.stopCount': { one: '{count} स्टॉप', other: '{count} स्टॉप' },
+    'offers.airlines': 'एयरलाइंस',
+    'offers.fromPrice': '{price} से',
+    'offers.departureTime': 'प्रस्थान का समय',
+    'offers.arrivalTime': 'आगमन का समय',
+    'offers.firstFlight': '{heading} ({label})',
+    'offers.time.night': 'रात (00:00–06:00)',
+    'offers.time.morning': 'सुबह (06:00–12:00)',
+    'offers.time.afternoon': 'दोपहर (12:00–18:00)',
+    'offers.time.evening': 'शाम (18:00–24:00)',
+    'offers.price': 'कीमत ({currency})',
+    'offers.apply': 'लागू करें',
+    'offers.clear': 'साफ़ करें',
+    'offers.available': 'उपलब्ध फ़्लाइट',
+    'offers.route': '{origin} से {destination}',
+    'offers.passengers': { one: '{count} यात्री', other: '{count} यात्री' },
+    'offers.matched': { one: '{count} में से {matched} फ़्लाइट', other: '{count} में से {matched} फ़्लाइट' },
+    'offers.sortBy': 'क्रमबद्ध करें',
+    'offers.sort.price': 'सबसे सस्ती पहले',
+    'offers.sort.duration': 'सबसे छोटी पहले',
+    'offers.sort.departure': 'सबसे पहले प्रस्थान',
+    'offers.sort.stops': 'सबसे कम स्टॉप',
+    'offers.layover': '{airport} में ठहराव: {duration}',
+    'offers.priceLabel': 'कीमत:',
+    'offers.forPassengers': { one: '{count} यात्री के लिए', other: '{count} यात्रियों के लिए' },
+    'offers.checkedBags': { one: '{count} चेक्ड बैग', other: '{count} चेक्ड बैग' },
+    'offers.noCheckedBag': 'कोई चेक्ड बैग नहीं',
+    'offers.seatsLeft': { one: 'केवल {count} सीट बची है', other: 'केवल {count} सीटें बची हैं' },
+    'offers.bookNow': 'अभी बुक करें',
+    'offers.pages': 'परिणाम पेज',
+    'offers.previous': '← पिछला',
+    'offers.next': 'अगला →',
+    'offers.noMatches': 'इन फ़िल्टर से कोई फ़्लाइट मेल नहीं खाती।',
+    'offers.clearAll': 'सभी फ़िल्टर हटाएँ',
+    'offers.none': 'चुने गए प्रस्थान स्थान और गंतव्य के लिए कोई टिकट उपलब्ध नहीं है।',
+
+    // Price alert form
+    'alertForm.title': 'इस कीमत पर नज़र रखें',
+    'alertForm.lowest': 'अभी सबसे कम कीमत {price} है। हम नियमित रूप से जाँच करेंगे और कीमत आपके लक्ष्य तक गिरने पर आपको ईमेल करेंगे।',
+    'alertForm.target': 'लक्षित कीमत ({currency})',
+    'alertForm.create': 'मूल्य अलर्ट बनाएँ',
+    'alertForm.logIn': 'लॉग इन करें',
+    'alertForm.loginPrompt': 'ताकि इस खोज की कीमत गिरने पर आपको ईमेल मिले।',
+
+    // Hotel search page
+    'hotels.searchTitle': 'होटल खोजें',
+    'hotels.popular': 'लोकप्रिय होटल',
+    'hotels.classComparison': 'होटल क्लास की तुलना',
+    'hotels.class.budget': 'बजट क्लास',
+    'hotels.class.luxury': 'लग्ज़री क्लास',
+    'hotels.class.mid-range': 'मिड-रेंज क्लास',
+    'hotels.classText.budget': 'बुनियादी सुविधाओं के साथ किफ़ायती ठहराव।',
+    'hotels.classText.mid-range': 'अतिरिक्त सेवाओं के साथ आरामदायक कमरे।',
+    'hotels.classText.luxury': 'शानदार ठहराव के लिए प्रीमियम सुविधाएँ।',
+    'hotels.partners': 'हमारे होटल साझेदार',
+    'hotels.partner': 'होटल साझेदार {number}',
+    'hotels.faq.search.q': 'मैं होटल कैसे खोजूँ?',
+    'hotels.faq.search.a': 'शहर, चेक-इन और चेक-आउट की तारीखें और मेहमानों की संख्या दर्ज करें, फिर \'होटल खोजें\' पर क्लिक करें।',
+    'hotels.faq.cancel.a': 'होटल की नीति के अनुसार आप अपनी बुकिंग रद्द या बदल सकते हैं। विवरण के लिए अपनी बुकिंग पुष्टि देखें।',
+    'hotels.faq.contact.a': 'आप ईमेल, फ़ोन या लाइव चैट से हमारी सहायता टीम से संपर्क कर सकते हैं।',
+
+    // Hotel search form
+    'hotelSearch.city': 'शहर',
+    'hotelSearch.checkIn': 'चेक-इन की तारीख',
+    'hotelSearch.checkOut': 'चेक-आउट की तारीख',
+    'hotelSearch.adults': 'वयस्कों की संख्या',
+    'hotelSearch.rooms': 'कमरे',
+    'hotelSearch.submit': 'होटल खोजें',
+
+    // Hotel results
+    'hotelOffers.title': 'होटल ऑफ़र',
+    'hotelOffers.heading': '{city} में होटल',
+    'hotelOffers.stay': '{checkIn} से {checkOut}',
+    'hotelOffers.nights': { one: '{count} रात', other: '{count} रातें' },
+    'hotelOffers.adults': { one: '{count} वयस्क', other: '{count} वयस्क' },
+    'hotelOffers.rooms': { one: '{count} कमरा', other: '{count} कमरे' },
+    'hotelOffers.stars': '{count} स्टार',
+    'hotelOffers.from': 'शुरुआती कीमत',
+    'hotelOffers.total': 'कुल',
+    'hotelOffers.viewRooms': 'कमरे देखें',
+    'hotelOffers.showMore': 'और दिखाएँ',
+    'hotelOffers.none': 'इन तारीखों के लिए किसी होटल में कमरे उपलब्ध नहीं हैं।',
+
+    // Aircraft checkout
+    'order.placeTitle': 'ऑर्डर करें',
+    'order.successTitle': 'ऑर्डर सफल रहा',
+    'order.yourCart': 'आपका कार्ट',
+    'order.line': '{name} × {quantity}',
+    'order.empty': 'आपका कार्ट खाली है।',
+    'order.browse': 'विमान देखें',
+    'order.total': 'कुल: {total}',
+    'order.payment': 'भुगतान',
+    'order.receiptEmail': 'रसीद के लिए ईमेल',
+    'order.placeOrder': 'ऑर्डर करें',
+    'order.thanks': 'Travix से ख़रीदारी करने के लिए धन्यवाद!',
+    'order.number': 'ऑर्डर नंबर',
+    'order.goHome': 'होम पर जाएँ',
+
+    // Shared
+    'common.errorTryLater': 'एक त्रुटि हुई। कृपया बाद में फिर से कोशिश करें।',
+
+    // Card form
+    'card.holder': 'कार्ड पर नाम',
+    'card.number': 'कार्ड नंबर',
+    'card.expiry': 'समाप्ति तिथि',
+    'card.cvc': 'सुरक्षा कोड',
+    'card.sandbox': 'टेस्ट मोड: कोई असली शुल्क नहीं लिया जाता। भविष्य की कोई भी समाप्ति तिथि और सुरक्षा कोड इनके साथ इस्तेमाल करें:',
+
+    // Hotel guarantee card after a card challenge
+    'guarantee.title': 'अपना कमरा पक्का करें',
+    'guarantee.heading': '{hotel} में अपना कमरा पक्का करें',
+    'guarantee.text': 'आपका {amount} का भुगतान हो गया है। होटल आपका कमरा पक्का कर सके, इसके लिए {last4} पर खत्म होने वाला कार्ड फिर से दर्ज करें। Travix कार्ड की जानकारी संग्रहीत नहीं करता।',
+    'guarantee.submit': 'कमरा बुक करें',
+
+    // Payment status
+    'payment.label': 'भुगतान:',
+    'payment.status.processing': 'प्रक्रिया में',
+    'payment.status.paid': 'भुगतान हो गया',
+    'payment.status.failed': 'विफल',
+    'payment.status.refunded': 'रिफ़ंड हो गया',
+
+    // Aircraft catalog and cart
+    'explore.title': 'एक्सप्लोर खोजें',
+    'explore.filters': 'फ़िल्टर',
+    'explore.price': 'कीमत',
+    'explore.anyPrice': 'कोई भी कीमत',
+    'explore.priceRange': '{from} – {to}',
+    'explore.priceAbove': '{price} से ज़्यादा',
+    'explore.type': 'प्रकार',
+    'explore.all': 'सभी',
+    'explore.aircraftType.helicopter': 'हेलिकॉप्टर',
+    'explore.manufacturer': 'निर्माता',
+    'explore.heading': 'हवाई जहाज़ और हेलिकॉप्टर देखें',
+    'explore.addToCart': 'कार्ट में जोड़ें',
+    'explore.none': 'इन फ़िल्टर से कोई विमान मेल नहीं खाता।',
+    'explore.clearCart': 'कार्ट खाली करें',
+    'explore.checkout': 'चेकआउट',
+    'explore.remove': 'हटाएँ',
+    'explore.aircraftType.plane': 'हवाई जहाज़',
+
+    // My trips
+    'trips.title': 'मेरी यात्राएँ',
+    'trips.upcoming': 'आने वाली',
+    'trips.noUpcoming': 'कोई आने वाली यात्रा नहीं।',
+    'trips.searchFlights': 'फ़्लाइट खोजें',
+    'trips.or': 'या',
+    'trips.findHotel': 'होटल ढूँढें',
+    'trips.planNext': 'और अपनी अगली यात्रा की योजना बनाएँ।',
+    'trips.past': 'पिछली',
+    'trips.noPast': 'अभी तक कोई पिछली यात्रा नहीं।',
+    'trips.kind.flight': 'फ़्लाइट',
+    'trips.kind.hotel': 'होटल',
+    'trips.kind.car': 'कार',
+    'trips.kind.aircraft': 'विमान ऑर्डर',
+    'trips.status.confirmed': 'कन्फ़र्म',
+    'trips.status.cancelled': 'रद्द',
+    'trips.reference': 'संदर्भ {reference}',
+    'trips.view': 'देखें',
+    'trips.status.pending_payment': 'भुगतान बाकी',
+    'trips.status.paid': 'भुगतान हो गया',
+    'trips.status.payment_failed': 'भुगतान विफल',
+    'trips.status.refunded': 'रिफ़ंड हो गया',
+
+    // Destination inspiration
+    'inspiration.title': 'मैं कहाँ जा सकता हूँ?',
+    'inspiration.heading': 'अपना अगला गंतव्य खोजें',
+    'inspiration.intro': 'बताएँ कि आप कहाँ से उड़ान भरते हैं और सबसे सस्ते गंतव्य देखें, चाहें तो अपने बजट और तारीखों के भीतर।',
+    'inspiration.origin': 'कहाँ से',
+    'inspiration.originPlaceholder': 'शहर या हवाई अड्डा',
+    'inspiration.departureFrom': 'सबसे पहले प्रस्थान',
+    'inspiration.departureTo': 'सबसे देर से प्रस्थान',
+    'inspiration.stayNights': 'कितनी रातें',
+    'inspiration.anyStay': 'कोई भी',
+    'inspiration.budget': 'बजट ({currency})',
+    'inspiration.search': 'गंतव्य दिखाएँ',
+    'inspiration.results': { one: '{origin} से {count} गंतव्य', other: '{origin} से {count} गंतव्य' },
+    'inspiration.note': 'एक वयस्क के लिए हाल के सबसे कम किराए, सबसे सस्ते पहले। फ़्लाइट खोजने पर कीमत की पुष्टि होती है।',
+    'inspiration.convertedNote': '≈ वाले किराए {currency} से बदले गए हैं और थोड़े अलग हो सकते हैं।',
+    'inspiration.none': 'कोई गंतव्य नहीं मिला। ज़्यादा बजट या दूसरी तारीखें आज़माएँ।',
+    'inspiration.fromPrice': '{price} से',
+    'inspiration.oneWayOn': 'एक तरफ़ा, {date}',
+    'inspiration.roundTripDates': '{departure} से {return} तक',
+    'inspiration.flights': 'फ़्लाइट',
+    'inspiration.hotels': 'होटल',
+
+    // Page titles for the booking, price alert and car pages
+    'challenge.title': 'अपना कार्ड सत्यापित करें',
+    'flightDetails.title': 'फ़्लाइट विवरण',
+    'flightConfirmation.title': 'बुकिंग की पुष्टि',
+    'hotelDetails.title': 'होटल विवरण',
+    'hotelConfirmation.title': 'होटल बुकिंग की पुष्टि',
+    'alerts.title': 'कीमत अलर्ट',
+    'manage.title': 'बुकिंग प्रबंधित करें',
+    'cars.searchTitle': 'कार खोजें',
+    'carOffers.title': 'कार ऑफ़र',
+    'carDetails.title': 'कार विवरण',
+    'carConfirmation.title': 'कार बुकिंग की पुष्टि',
+
+    // Back office page titles
+    'admin.bookingsTitle': 'बुकिंग - बैक ऑफ़िस',
+    'admin.bookingTitle': 'बुकिंग {reference} - बैक ऑफ़िस',
+    'admin.ordersTitle': 'विमान ऑर्डर - बैक ऑफ़िस',
+    'admin.orderTitle': 'ऑर्डर {orderNumber} - बैक ऑफ़िस',
+    'admin.catalogTitle': 'विमान कैटलॉग - बैक ऑफ़िस',
+    'admin.addAircraftTitle': 'विमान जोड़ें - बैक ऑफ़िस',
+    'admin.editAircraftTitle': 'विमान संपादित करें - बैक ऑफ़िस',
+    'admin.auditLogTitle': 'ऑडिट लॉग - बैक ऑफ़िस'
+};
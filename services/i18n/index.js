@@ -0,0 +1,137 @@
+import en from './en.js';
+import hi from './hi.js';
+
+// Interface languages and locale-aware formatting. Views call t('key', params)
+// with keys from the catalogs next to this file; a key missing from a catalog
+// falls back to English. A message can be { one, other } for counts, picked
+// with the locale's plural rules from params.count. `tag` is the locale dates,
+// numbers and prices are formatted in; `region` is the country preselected for
+// phone numbers when the browser does not say where the traveler is.
+export const LOCALES = {
+    en: { name: 'English', tag: 'en-US', region: 'US', catalog: en },
+    hi: { name: 'हिन्दी', tag: 'hi-IN', region: 'IN', catalog: hi }
+};
+export const DEFAULT_LOCALE = 'en';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function lookup(locale, key) {
+    return LOCALES[locale]?.catalog[key] ?? LOCALES[DEFAULT_LOCALE].catalog[key];
+}
+
+export function translate(locale, key, params = {}) {
+    let message = lookup(locale, key);
+    if (message === undefined) {
+        return key;
+    }
+    if (typeof message === 'object') {
+        const category = new Intl.PluralRules(LOCALES[locale]?.tag || 'en-US').select(Number(params.count) || 0);
+        message = message[category] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Dates without a time (2026-11-20) are calendar days and are formatted in UTC
+// so they never shift a day; anything else is formatted as given
+function toDate(value) {
+    return typeof value === 'string' && ISO_DATE.test(value) ? new Date(`${value}T00:00:00Z`) : new Date(value);
+}
+
+function dateOptions(value, options) {
+    return typeof value === 'string' && ISO_DATE.test(value) ? { ...options, timeZone: 'UTC' } : options;
+}
+
+// Formatting helpers for one locale, shared by the views
+export function createFormatters(locale) {
+    const tag = LOCALES[locale]?.tag || LOCALES[DEFAULT_LOCALE].tag;
+
+    return {
+        localeTag: tag,
+
+        formatNumber(value, options = {}) {
+            return new Intl.NumberFormat(tag, options).format(Number(value));
+        },
+
+        // 1234.5 EUR -> "€1,234.50"; unknown codes fall back to "1234.50 XYZ"
+        formatPrice(amount, currency, options = {}) {
+            try {
+                return new Intl.NumberFormat(tag, { style: 'currency', currency, ...options }).format(Number(amount));
+            } catch {
+                return `${Number(amount).toFixed(2)} ${currency}`;
+            }
+        },
+
+        formatDate(value, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+            return value ? toDate(value).toLocaleDateString(tag, dateOptions(value, options)) : '';
+        },
+
+        formatDateTime(value, options = { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: 'numeric' }) {
+            return value ? toDate(value).toLocaleString(tag, dateOptions(value, options)) : '';
+        },
+
+        // "November 2026" for the first day of a month
+        formatMonth(value) {
+            return toDate(value).toLocaleDateString(tag, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+        },
+
+        // Short weekday names, Monday first
+        weekdayNames() {
+            return Array.from({ length: 7 }, (_, index) => new Date(Date.UTC(2024, 0, 1 + index))
+                .toLocaleDateString(tag, { weekday: 'short', timeZone: 'UTC' }));
+        }
+    };
+}
+
+// The locale and currency a traveler picked, keeping only supported values
+export function parsePreferences(body, currencies) {
+    const preferences = {};
+    if (LOCALES[body.locale]) {
+        preferences.locale = body.locale;
+    }
+    if (currencies.includes(body.currency)) {
+        preferences.currency = body.currency;
+    }
+    return preferences;
+}
+
+// Country of the browser's first Accept-Language entry that names one (en-GB -> GB)
+function regionFromHeader(header) {
+    const tags = String(header || '').split(',').map(entry => entry.split(';')[0].trim());
+    const withRegion = tags.map(tag => tag.match(/^[a-z]{2,3}-([a-z]{2})$/i)).find(Boolean);
+    return withRegion ? withRegion[1].toUpperCase() : null;
+}
+
+// Everything views use to show text, dates and prices in `locale` and `currency`
+export function localeLocals({ locale, currency, converter, region = null }) {
+    const formatters = createFormatters(locale);
+
+    return {
+        ...formatters,
+        locale,
+        locales: LOCALES,
+        currency,
+        currencies: converter.currencies,
+        region: region || LOCALES[locale].region,
+        t: (key, params) => translate(locale, key, params),
+        // A price we set ourselves (e.g. 25000 INR), shown in the traveler's currency
+        localPrice: (amount, from, options) => formatters.formatPrice(converter.convert(amount, from, currency), currency, options)
+    };
+}
+
+// Locale, currency and formatting helpers for every view. The traveler's choice
+// is kept in the session (see POST /preferences); until they make one the
+// language follows Accept-Language and the currency is the converter's default.
+export function localize({ converter }) {
+    return (req, res, next) => {
+        const preferences = req.session?.preferences || {};
+        const locale = LOCALES[preferences.locale]
+            ? preferences.locale
+            : (req.acceptsLanguages(...Object.keys(LOCALES)) || DEFAULT_LOCALE);
+        const currency = converter.isSupported(preferences.currency) ? preferences.currency : converter.defaultCurrency;
+
+        Object.assign(res.locals, localeLocals({ locale, currency, converter, region: regionFromHeader(req.get('Accept-Language')) }));
+        // Where the header's language and currency form sends the traveler back to
+        res.locals.currentPage = req.method === 'GET' ? req.originalUrl : '/';
+        next();
+    };
+}
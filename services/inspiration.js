@@ -0,0 +1,238 @@
+import { flightSearchParams } from './flight-search.js';
+import { hotelSearchParams } from './hotel-search.js';
+import { logger } from './logger.js';
+
+// Destination inspiration: the cheapest places to fly to from an origin, from
+// Amadeus' flight inspiration search (GET /v1/shopping/flight-destinations). It
+// only answers from Amadeus' cache of recent fares, in the origin's currency and
+// for one adult, so fares are converted to the traveler's currency with the local
+// exchange rates and are a guide; each destination links to a live search.
+
+export const INSPIRATION_TRIP_TYPES = ['roundtrip', 'oneway'];
+export const MAX_STAY_NIGHTS = 15;
+export const MAX_WINDOW_DAYS = 180;
+export const MAX_DESTINATIONS = 24;
+// Nights booked at the destination when a one-way fare leads to the hotel search
+export const ONE_WAY_HOTEL_NIGHTS = 3;
+// Cities with a photo in public/images/popular-destinations, in carousel order
+export const POPULAR_DESTINATIONS = [
+    { code: 'PAR', city: 'paris' },
+    { code: 'NYC', city: 'new-york' },
+    { code: 'TYO', city: 'tokyo' },
+    { code: 'DXB', city: 'dubai' },
+    { code: 'SYD', city: 'sydney' },
+    { code: 'LON', city: 'london' },
+    { code: 'ROM', city: 'rome' },
+    { code: 'BER', city: 'berlin' }
+];
+
+const IATA_CODE = /^[A-Z]{3}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// "NEW YORK" or "NEW YORK/US" -> "New York"
+function cityName(detailedName, code) {
+    if (!detailedName) {
+        return code;
+    }
+    return detailedName.split('/')[0].toLowerCase().replace(/(^|[\s-])\p{L}/gu, letter => letter.toUpperCase());
+}
+
+// Normalize the inspiration form/query string into { search, errors }. Dates and
+// budget are optional: without dates Amadeus looks at its upcoming fares.
+export function parseInspirationSearch(query, today = new Date()) {
+    const errors = [];
+    const tomorrow = addDays(today.toISOString().slice(0, 10), 1);
+
+    const search = {
+        origin: String(query.origin || '').trim(),
+        originCode: String(query.originCode || '').trim().toUpperCase(),
+        tripType: INSPIRATION_TRIP_TYPES.includes(query.tripType) ? query.tripType : 'roundtrip',
+        departureFrom: String(query.departureFrom || '').trim(),
+        departureTo: String(query.departureTo || '').trim(),
+        stayNights: '',
+        maxPrice: '',
+        currencyCode: /^[A-Z]{3}$/.test(query.currencyCode) ? query.currencyCode : ''
+    };
+
+    if (!IATA_CODE.test(search.originCode)) {
+        errors.push('Choose your departure city from the suggestions.');
+    }
+
+    if (search.departureFrom && !ISO_DATE.test(search.departureFrom)) {
+        errors.push('Choose a valid earliest departure date.');
+    } else if (search.departureFrom && search.departureFrom < tomorrow) {
+        errors.push('The earliest departure date must be in the future.');
+    }
+    if (search.departureTo && !ISO_DATE.test(search.departureTo)) {
+        errors.push('Choose a valid latest departure date.');
+    } else if (search.departureTo && !search.departureFrom) {
+        search.departureFrom = tomorrow;
+    }
+    if (search.departureFrom && search.departureTo && ISO_DATE.test(search.departureTo)) {
+        if (search.departureTo < search.departureFrom) {
+            errors.push('The latest departure date cannot be before the earliest one.');
+        } else if (daysBetween(search.departureFrom, search.departureTo) > MAX_WINDOW_DAYS) {
+            errors.push(`Departure dates can span at most ${MAX_WINDOW_DAYS} days.`);
+        }
+    }
+
+    if (search.tripType === 'roundtrip' && query.stayNights) {
+        const nights = Number.parseInt(query.stayNights, 10);
+        if (nights >= 1 && nights <= MAX_STAY_NIGHTS) {
+            search.stayNights = nights;
+        } else {
+            errors.push(`Choose a stay between 1 and ${MAX_STAY_NIGHTS} nights.`);
+        }
+    }
+
+    if (query.maxPrice) {
+        const maxPrice = Number.parseInt(query.maxPrice, 10);
+        if (maxPrice > 0) {
+            search.maxPrice = maxPrice;
+        } else {
+            errors.push('Budget must be a positive whole number.');
+        }
+    }
+
+    return { search, errors };
+}
+
+// The inspiration search as a query string, for links back to it
+export function inspirationParams(search) {
+    const params = new URLSearchParams({ origin: search.origin, originCode: search.originCode, tripType: search.tripType });
+    ['departureFrom', 'departureTo', 'stayNights', 'maxPrice', 'currencyCode'].forEach(key => {
+        if (search[key]) {
+            params.set(key, search[key]);
+        }
+    });
+    return params;
+}
+
+// Prefilled flight and hotel searches for a destination: { flights, hotels }
+export function destinationLinks(destination, search) {
+    const outbound = {
+        origin: search.origin,
+        originCode: search.originCode,
+        destination: destination.name,
+        destinationCode: destination.code,
+        departureDate: destination.departureDate
+    };
+    const legs = destination.returnDate
+        ? [outbound, { origin: destination.name, originCode: destination.code, destination: search.origin, destinationCode: search.originCode, departureDate: destination.returnDate }]
+        : [outbound];
+
+    const flights = flightSearchParams({
+        tripType: destination.returnDate ? 'roundtrip' : 'oneway',
+        legs,
+        adults: 1,
+        children: 0,
+        infants: 0,
+        currencyCode: search.currencyCode
+    });
+    const hotels = hotelSearchParams({
+        searchQuery: destination.name,
+        cityCode: destination.code,
+        checkInDate: destination.departureDate,
+        checkOutDate: destination.returnDate || addDays(destination.departureDate, ONE_WAY_HOTEL_NIGHTS),
+        adults: 1,
+        roomQuantity: 1,
+        currencyCode: search.currencyCode
+    });
+
+    return { flights: `/flight-offers?${flights}`, hotels: `/hotel-offers?${hotels}` };
+}
+
+export function createInspiration({ amadeus, cache, converter, ttlSeconds = 6 * 60 * 60 }) {
+    // The budget is applied after conversion, so it is not part of the cached request
+    function cacheKey(search) {
+        return `destinations:${[search.originCode, search.tripType, search.departureFrom, search.departureTo, search.stayNights].join(':')}`;
+    }
+
+    // Cheapest fare per destination, as Amadeus answered: { fares, currency }
+    async function cheapestFares(search) {
+        const key = cacheKey(search);
+        const cached = await cache.get(key);
+        if (cached) {
+            return cached;
+        }
+
+        const params = { origin: search.originCode, oneWay: search.tripType === 'oneway', viewBy: 'DESTINATION' };
+        if (search.departureFrom) {
+            params.departureDate = search.departureTo && search.departureTo !== search.departureFrom
+                ? `${search.departureFrom},${search.departureTo}`
+                : search.departureFrom;
+        }
+        if (search.stayNights) {
+            params.duration = search.stayNights;
+        }
+
+        let response;
+        try {
+            response = await amadeus.searchFlightDestinations(params);
+        } catch (error) {
+            // Origins Amadeus has no cached fares for answer 404
+            if (error.response?.status === 404) {
+                logger.info('No inspiration fares for origin', { origin: search.originCode });
+                response = { data: [] };
+            } else {
+                throw error;
+            }
+        }
+
+        const locations = response.dictionaries?.locations || {};
+        const result = {
+            currency: response.meta?.currency || null,
+            fares: (response.data || []).map(entry => ({
+                code: entry.destination,
+                name: cityName(locations[entry.destination]?.detailedName, entry.destination),
+                departureDate: entry.departureDate,
+                returnDate: entry.returnDate || null,
+                price: Number(entry.price.total)
+            }))
+        };
+        await cache.set(key, result, ttlSeconds);
+        return result;
+    }
+
+    return {
+        // Destinations within budget, cheapest first: [{ code, name, departureDate,
+        // returnDate, price, currency, fareCurrency, converted, image, links }].
+        // `converted` marks fares turned into the traveler's currency with the local
+        // exchange rates from `fareCurrency`, the one Amadeus answered in.
+        async destinations(search) {
+            const { fares, currency } = await cheapestFares(search);
+            const target = search.currencyCode && converter.isSupported(search.currencyCode) && converter.isSupported(currency)
+                ? search.currencyCode
+                : currency;
+
+            return fares
+                .map(fare => ({
+                    ...fare,
+                    price: target === currency ? fare.price : converter.convert(fare.price, currency, target),
+                    currency: target,
+                    fareCurrency: currency,
+                    converted: target !== currency
+                }))
+                .filter(fare => fare.code !== search.originCode && (!search.maxPrice || fare.price <= search.maxPrice))
+                .sort((a, b) => a.price - b.price)
+                .slice(0, MAX_DESTINATIONS)
+                .map(fare => {
+                    const popular = POPULAR_DESTINATIONS.find(destination => destination.code === fare.code);
+                    return {
+                        ...fare,
+                        image: popular ? `/images/popular-destinations/${popular.city}.jpg` : null,
+                        links: destinationLinks(fare, search)
+                    };
+                });
+        }
+    };
+}
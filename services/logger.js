@@ -0,0 +1,125 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Structured logging. Every entry is one JSON line on stdout:
+// { time, level, msg, requestId, ...fields }. Entries written while a request is
+// handled carry its requestId automatically (see services/tracing.js), so services
+// log through the shared `logger` without being handed the request. Fields are
+// redacted before they are written: traveler, contact and card details and
+// credentials never reach the logs.
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Keys whose values are replaced wherever they appear in logged fields (compared lowercased)
+const REDACTED_KEYS = new Set([
+    'firstname', 'middlename', 'lastname', 'dateofbirth', 'gender',
+    'email', 'emailaddress', 'receiptemail', 'notify_email', 'phone', 'phones', 'countrycallingcode',
+    'documents', 'passportnumber', 'frequentflyernumber', 'loyaltyprograms',
+    'cardnumber', 'cardcvc', 'cvc', 'securitycode', 'cardexpiry', 'expirydate', 'cardholder', 'holdername',
+    'password', 'authorization', 'cookie', 'access_token', 'refresh_token', 'client_secret', 'apikey'
+]);
+
+const MAX_DEPTH = 8;
+
+// A copy of `value` with PII and secrets replaced by '[REDACTED]'
+export function redact(value, depth = 0) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = REDACTED_KEYS.has(key.toLowerCase()) ? '[REDACTED]' : redact(item, depth + 1);
+    }
+    return copy;
+}
+
+// Errors as plain fields: upstream failures keep their status and (redacted)
+// response body, our own errors keep their stack
+function serializeError(error) {
+    const fields = { name: error.name, message: error.message };
+    if (error.code !== undefined) {
+        fields.code = error.code;
+    }
+    if (error.response) {
+        fields.status = error.response.status;
+        fields.response = redact(error.response.data, 1);
+    } else if (error.status !== undefined) {
+        fields.status = error.status;
+    }
+    if (!error.response && error.stack) {
+        fields.stack = error.stack;
+    }
+    if (error.cause instanceof Error) {
+        fields.cause = serializeError(error.cause);
+    }
+    return fields;
+}
+
+// The request being handled, set by the tracing middleware for everything it calls
+const requestContext = new AsyncLocalStorage();
+
+export function runWithRequestId(requestId, callback) {
+    return requestContext.run({ requestId }, callback);
+}
+
+export function currentRequestId() {
+    return requestContext.getStore()?.requestId || null;
+}
+
+function defaultLevel(env) {
+    return env.LOG_LEVEL || (env.NODE_ENV === 'production' ? 'info' : 'debug');
+}
+
+// `level` defaults to LOG_LEVEL, read on every entry so a .env loaded after this
+// module still applies; `bindings` are added to every entry of this logger
+export function createLogger({ level = null, bindings = {}, stream = process.stdout, env = process.env } = {}) {
+    function write(entryLevel, msg, fields = {}) {
+        const threshold = LOG_LEVELS[level || defaultLevel(env)] ?? LOG_LEVELS.info;
+        if (LOG_LEVELS[entryLevel] < threshold) {
+            return;
+        }
+
+        const requestId = currentRequestId();
+        const entry = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg,
+            ...(requestId ? { requestId } : {}),
+            ...bindings,
+            ...redact(fields instanceof Error ? { error: fields } : fields)
+        };
+
+        try {
+            stream.write(`${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            stream.write(`${JSON.stringify({ time: entry.time, level: entryLevel, msg, logError: error.message })}\n`);
+        }
+    }
+
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+
+        // A logger adding `extra` to every entry, e.g. { component: 'mailer' }
+        child(extra) {
+            return createLogger({ level, bindings: { ...bindings, ...extra }, stream, env });
+        }
+    };
+}
+
+// The application logger
+export const logger = createLogger();
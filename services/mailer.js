@@ -0,0 +1,94 @@
+import path from 'path';
+import ejs from 'ejs';
+import { logger } from './logger.js';
+
+// Transactional email. Each message is an EJS template pair in views/emails
+// (<name>.html.ejs and <name>.text.ejs) sent through a notifier transport
+// (see services/notifier). send() only queues the message, so a slow or failing
+// mail server never holds up the request that triggered it; failed deliveries
+// are retried with exponential backoff and dropped after `maxAttempts`.
+
+// Subject line of each template
+export const EMAIL_SUBJECTS = {
+    welcome: () => 'Welcome to Travix',
+    'booking-confirmation': ({ trip }) => `Booking confirmed: ${trip.title}`,
+    cancellation: ({ trip }) => `Booking cancelled: ${trip.title}`,
+    'order-receipt': ({ order }) => `Your receipt for order ${order.order_number}`,
+    'price-alert': ({ alert, price, currency }) => `Price alert: ${alert.title} is now ${price.toFixed(2)} ${currency}`
+};
+
+export function createMailer({ transport, viewsDir, baseUrl, maxAttempts = 5, retryDelayMs = 30 * 1000 }) {
+    const queue = [];
+    let timer = null;
+    let draining = false;
+
+    async function render(template, data) {
+        const locals = { ...data, baseUrl };
+        const [html, text] = await Promise.all([
+            ejs.renderFile(path.join(viewsDir, 'emails', `${template}.html.ejs`), locals),
+            ejs.renderFile(path.join(viewsDir, 'emails', `${template}.text.ejs`), locals)
+        ]);
+        return { subject: EMAIL_SUBJECTS[template](data), html, text };
+    }
+
+    function schedule() {
+        clearTimeout(timer);
+        if (queue.length === 0) {
+            timer = null;
+            return;
+        }
+        const delay = Math.max(0, Math.min(...queue.map(job => job.nextAttemptAt)) - Date.now());
+        timer = setTimeout(drain, delay);
+        timer.unref();
+    }
+
+    async function drain() {
+        if (draining) {
+            return;
+        }
+        draining = true;
+
+        try {
+            const due = queue.filter(job => job.nextAttemptAt <= Date.now());
+            for (const job of due) {
+                queue.splice(queue.indexOf(job), 1);
+                job.attempts++;
+                try {
+                    await transport.send({ to: job.to, ...job.message });
+                } catch (error) {
+                    if (job.attempts >= maxAttempts) {
+                        logger.error('Giving up on email', { template: job.template, attempts: job.attempts, error });
+                        continue;
+                    }
+                    logger.warn('Error sending email', { template: job.template, attempts: job.attempts, error });
+                    job.nextAttemptAt = Date.now() + retryDelayMs * 2 ** (job.attempts - 1);
+                    queue.push(job);
+                }
+            }
+        } finally {
+            draining = false;
+            schedule();
+        }
+    }
+
+    return {
+        // Render and queue a message; never throws, so callers need not wait on or guard it
+        send(template, to, data = {}) {
+            if (!to) {
+                return;
+            }
+
+            render(template, data)
+                .then(message => {
+                    queue.push({ template, to, message, attempts: 0, nextAttemptAt: Date.now() });
+                    schedule();
+                })
+                .catch(error => logger.error('Error rendering email', { template, error }));
+        },
+
+        // Messages still waiting to be delivered
+        get pending() {
+            return queue.length;
+        }
+    };
+}
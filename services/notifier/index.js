@@ -0,0 +1,32 @@
+import { createSmtpNotifier } from './smtp.js';
+import { createLogNotifier, createFileNotifier } from './local.js';
+
+// Every notifier implements:
+//   name
+//   send({ to, subject, text, html }) -> resolves once the message was handed over, throws otherwise
+// `html` is optional; transports that cannot show it use `text`.
+// Pick one from the environment: NOTIFIER=smtp sends email, NOTIFIER=file appends
+// messages to NOTIFIER_FILE, and the default writes them to the server log.
+export function createNotifier(env = process.env) {
+    const notifier = env.NOTIFIER || 'log';
+
+    if (notifier === 'smtp') {
+        return createSmtpNotifier({
+            host: env.SMTP_HOST,
+            port: Number(env.SMTP_PORT) || 587,
+            secure: env.SMTP_SECURE === 'true',
+            user: env.SMTP_USER,
+            password: env.SMTP_PASSWORD,
+            from: env.NOTIFY_FROM || 'Travix <no-reply@travix.local>'
+        });
+    }
+    if (notifier === 'file') {
+        return createFileNotifier({ file: env.NOTIFIER_FILE || 'logs/notifications.log' });
+    }
+    if (notifier === 'log') {
+        return createLogNotifier();
+    }
+    throw new Error(`Unknown NOTIFIER "${notifier}"`);
+}
+
+export { createSmtpNotifier, createLogNotifier, createFileNotifier };
@@ -0,0 +1,29 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../logger.js';
+
+// Notifiers for local runs: nothing leaves the machine. The log notifier writes
+// only the (redacted) recipient and the subject, since bodies name the traveler
+// and their bookings; use the file notifier to read whole messages.
+
+export function createLogNotifier() {
+    return {
+        name: 'log',
+
+        async send({ to, subject }) {
+            logger.debug('Notification', { email: to, subject });
+        }
+    };
+}
+
+// One JSON line per message, so the file can be tailed or parsed
+export function createFileNotifier({ file }) {
+    return {
+        name: 'file',
+
+        async send({ to, subject, text, html }) {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.appendFile(file, JSON.stringify({ sentAt: new Date().toISOString(), to, subject, text, html }) + '\n');
+        }
+    };
+}
@@ -0,0 +1,23 @@
+import nodemailer from 'nodemailer';
+
+// Email through any SMTP server, as HTML with a plain-text alternative when given both
+export function createSmtpNotifier({ host, port, secure, user, password, from }) {
+    if (!host) {
+        throw new Error('SMTP_HOST is required when NOTIFIER=smtp');
+    }
+
+    const transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user ? { auth: { user, pass: password } } : {})
+    });
+
+    return {
+        name: 'smtp',
+
+        async send({ to, subject, text, html }) {
+            await transport.sendMail({ from, to, subject, text, ...(html ? { html } : {}) });
+        }
+    };
+}
@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+
+// Flight offers returned by a search, kept server-side so details, pricing and
+// booking work from the exact offer the user picked. Each offer is addressed by
+// a signed token "<searchId>.<offerId>.<signature>" that is safe to put in URLs.
+// Searches are shared between travelers, so the confirmed price and the chosen
+// extras are kept per `pricing`: the owner of one pricing (a session, or one
+// details page in it) that nobody else can read or overwrite.
+export function createOfferCache({ cache, secret, ttlSeconds = 30 * 60 }) {
+    function sign(value) {
+        return crypto.createHmac('sha256', secret).update(value).digest('base64url').slice(0, 22);
+    }
+
+    function tokenFor(searchId, offerId) {
+        const value = `${searchId}.${offerId}`;
+        return `${value}.${sign(value)}`;
+    }
+
+    function parseToken(token) {
+        const parts = String(token || '').split('.');
+        if (parts.length !== 3) {
+            return null;
+        }
+
+        const [searchId, offerId, signature] = parts;
+        const expected = Buffer.from(sign(`${searchId}.${offerId}`));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+        return { searchId, offerId };
+    }
+
+    return {
+        ttlSeconds,
+
+        // Store a search's offers and return one token per offer, in the same order
+        async save(search, offers) {
+            const searchId = crypto.randomBytes(12).toString('base64url');
+            await cache.set(`search:${searchId}`, { search, offers, savedAt: new Date().toISOString() }, ttlSeconds);
+            return offers.map(offer => tokenFor(searchId, offer.id));
+        },
+
+        // Resolve a token to { status: 'ok' | 'invalid' | 'expired', offer, pricedOffer, extras, search },
+        // with the priced offer and extras of `pricing` (null without one)
+        async load(token, pricing = null) {
+            const ids = parseToken(token);
+            if (!ids) {
+                return { status: 'invalid' };
+            }
+
+            const entry = await cache.get(`search:${ids.searchId}`);
+            const offer = entry && entry.offers.find(candidate => candidate.id === ids.offerId);
+            if (!offer) {
+                return { status: 'expired' };
+            }
+
+            const [pricedOffer, extras] = pricing
+                ? await Promise.all([
+                    cache.get(`priced:${pricing}:${ids.searchId}.${ids.offerId}`),
+                    cache.get(`extras:${pricing}:${ids.searchId}.${ids.offerId}`)
+                ])
+                : [null, null];
+            return { status: 'ok', offer, pricedOffer, extras, search: entry.search, savedAt: entry.savedAt };
+        },
+
+        // Remember the confirmed price so booking uses exactly what the user saw
+        async savePriced(token, pricing, pricedOffer) {
+            const ids = parseToken(token);
+            if (ids) {
+                await cache.set(`priced:${pricing}:${ids.searchId}.${ids.offerId}`, pricedOffer, ttlSeconds);
+            }
+        },
+
+        // The seats and extras on sale for the offer and the ones its priced offer
+        // includes: { catalog, selection, baseTotal } (see services/flight-extras.js)
+        async saveExtras(token, pricing, extras) {
+            const ids = parseToken(token);
+            if (ids) {
+                await cache.set(`extras:${pricing}:${ids.searchId}.${ids.offerId}`, extras, ttlSeconds);
+            }
+        }
+    };
+}
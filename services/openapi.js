@@ -0,0 +1,413 @@
+import { ERROR_STATUSES } from './errors.js';
+import { TRIP_TYPES, TRAVEL_CLASSES } from './flight-search.js';
+import { FLIGHT_SORTS, STOP_OPTIONS, TIME_WINDOWS } from './flight-results.js';
+import { TRAVELER_GENDERS, TRAVELER_TYPE_LABELS } from './flight-booking.js';
+import { GUEST_TITLES, CARD_VENDORS } from './hotel-booking.js';
+
+// OpenAPI 3.1 description of /api/v1, served at /api/v1/openapi.json. Enums come
+// from the services that validate them so the document cannot drift from the API.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const queryParam = (name, schema, description = null, required = false) => ({ name, in: 'query', required, schema, ...(description ? { description } : {}) });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const ok = (description, schema) => ({ description, ...json(schema) });
+const errorResponse = description => ({ description, ...json(ref('Error')) });
+// Every operation needs a signed-in session and may also be rate limited, time out upstream or fail unexpectedly
+const errors = (...codes) => Object.fromEntries([...codes, 'unauthorized', 'rate_limited', 'internal_error', 'upstream_timeout']
+    .map(code => [String(ERROR_STATUSES[code]), { $ref: `#/components/responses/${code}` }]));
+
+const dataOf = (schema, meta) => ({
+    type: 'object',
+    required: ['data'],
+    properties: { data: schema, ...(meta ? { meta } : {}) }
+});
+
+const money = { type: 'object', properties: { amount: { type: 'string' }, currency: { type: 'string' } } };
+const iataCode = { type: 'string', pattern: '^[A-Z]{3}$' };
+const isoDate = { type: 'string', format: 'date' };
+const currencyCode = queryParam('currencyCode', { type: 'string', pattern: '^[A-Z]{3}$' }, 'ISO 4217 currency to price offers in; Amadeus\' default when omitted');
+
+const flightSearchParams = [
+    queryParam('tripType', { type: 'string', enum: TRIP_TYPES }, 'Defaults to roundtrip when returnDate is given, oneway otherwise'),
+    queryParam('originCode', iataCode, 'Airport or city code (one-way and round trips)'),
+    queryParam('destinationCode', iataCode, 'Airport or city code (one-way and round trips)'),
+    queryParam('departureDate', isoDate),
+    queryParam('returnDate', isoDate, 'Round trips only'),
+    { name: 'legs', in: 'query', style: 'deepObject', explode: true, schema: { type: 'array', items: { type: 'object', properties: { originCode: iataCode, destinationCode: iataCode, departureDate: isoDate } } }, description: 'Multi-city legs as legs[0][originCode]=…' },
+    queryParam('adults', { type: 'integer', minimum: 1, default: 1 }),
+    queryParam('children', { type: 'integer', minimum: 0, default: 0 }),
+    queryParam('infants', { type: 'integer', minimum: 0, default: 0 }),
+    queryParam('travelClass', { type: 'string', enum: TRAVEL_CLASSES }),
+    queryParam('nonStop', { type: 'boolean' }),
+    queryParam('maxPrice', { type: 'integer', minimum: 1 }),
+    currencyCode
+];
+
+const flightResultParams = [
+    queryParam('sort', { type: 'string', enum: Object.keys(FLIGHT_SORTS), default: 'price' }),
+    queryParam('airlines', { type: 'string' }, 'Comma-separated carrier codes'),
+    queryParam('stops', { type: 'string', enum: Object.keys(STOP_OPTIONS) }, 'Number of stops, 2 meaning two or more; comma-separate for several'),
+    queryParam('departureTimes', { type: 'string', enum: Object.keys(TIME_WINDOWS) }, 'Comma-separate for several'),
+    queryParam('arrivalTimes', { type: 'string', enum: Object.keys(TIME_WINDOWS) }, 'Comma-separate for several'),
+    queryParam('priceMin', { type: 'number', minimum: 0 }),
+    queryParam('priceMax', { type: 'number', minimum: 0 }),
+    queryParam('page', { type: 'integer', minimum: 1, default: 1 })
+];
+
+const hotelSearchParams = [
+    queryParam('cityCode', iataCode, 'City code from /locations; or give searchQuery'),
+    queryParam('searchQuery', { type: 'string' }, 'City name, resolved to the first matching city'),
+    queryParam('checkInDate', isoDate, null, true),
+    queryParam('checkOutDate', isoDate, null, true),
+    queryParam('adults', { type: 'integer', minimum: 1, default: 1 }),
+    queryParam('roomQuantity', { type: 'integer', minimum: 1, default: 1 }),
+    currencyCode
+];
+
+const cardFields = {
+    cardNumber: { type: 'string' },
+    cardExpiry: { type: 'string', description: 'MM/YY' },
+    cardCvc: { type: 'string' },
+    cardHolder: { type: 'string' }
+};
+
+export const openApiDocument = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Travix API',
+        version: '1.0.0',
+        description: 'Flight and hotel search, pricing and booking. Bookings are paid first and booked once the payment succeeds; ' +
+            'a 202 response means the card needs a challenge: open `nextActionUrl`, then poll `/checkouts/{checkoutId}`. ' +
+            'Once paid, a flight answers `requires_confirmation`: POST to `/checkouts/{checkoutId}` to book it. ' +
+            'A hotel paid after a challenge answers `requires_card`: POST the same card to `/checkouts/{checkoutId}` to book it. ' +
+            'Requests are tied to a cookie session, which is also what lets a client read back its bookings. ' +
+            'The session must be signed in (POST /login on the website); without one every call answers 401.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ session: [] }],
+    paths: {
+        '/locations': {
+            get: {
+                summary: 'Airport and city suggestions',
+                parameters: [
+                    queryParam('keyword', { type: 'string', minLength: 2 }, null, true),
+                    queryParam('type', { type: 'string', enum: ['airport', 'city'] }, 'Both when omitted')
+                ],
+                responses: { 200: ok('Matching locations', dataOf({ type: 'array', items: ref('Location') })), ...errors('invalid_request', 'upstream_error') }
+            }
+        },
+        '/flights/offers': {
+            get: {
+                summary: 'Search flight offers',
+                parameters: [...flightSearchParams, ...flightResultParams],
+                responses: {
+                    200: ok('One page of offers', dataOf({ type: 'array', items: ref('FlightOffer') }, ref('FlightResultsMeta'))),
+                    ...errors('invalid_request', 'upstream_error')
+                }
+            }
+        },
+        '/flights/pricing': {
+            post: {
+                summary: 'Confirm the current price of an offer',
+                description: 'The price is kept for this session only; /flights/bookings from the same session books the offer at it.',
+                requestBody: { required: true, ...json({ type: 'object', required: ['offerToken'], properties: { offerToken: { type: 'string' } } }) },
+                responses: {
+                    200: ok('The priced offer', dataOf(ref('FlightOffer'), {
+                        type: 'object',
+                        properties: {
+                            priceChange: { type: ['object', 'null'], properties: { from: { type: 'string' }, to: { type: 'string' }, currency: { type: 'string' } } },
+                            loyaltyCarriers: { type: 'array', items: { type: 'string' } }
+                        }
+                    })),
+                    ...errors('invalid_request', 'offer_expired', 'upstream_error')
+                }
+            }
+        },
+        '/flights/bookings': {
+            post: {
+                summary: 'Pay for and book a priced offer',
+                requestBody: { required: true, ...json(ref('FlightBookingRequest')) },
+                responses: {
+                    201: ok('Paid and booked', dataOf(ref('Checkout'))),
+                    202: ok('The card needs a challenge', dataOf(ref('Checkout'))),
+                    ...errors('invalid_request', 'payment_declined', 'offer_expired', 'upstream_error', 'unavailable')
+                }
+            }
+        },
+        '/flights/bookings/{reference}': {
+            get: {
+                summary: 'A flight booking made by this session or its signed-in user',
+                parameters: [{ name: 'reference', in: 'path', required: true, schema: { type: 'string' } }],
+                responses: { 200: ok('The booking', dataOf(ref('FlightBooking'))), ...errors('not_found', 'upstream_error') }
+            }
+        },
+        '/hotels/offers': {
+            get: {
+                summary: 'Cheapest offer of each hotel in a city',
+                parameters: hotelSearchParams,
+                responses: {
+                    200: ok('Hotels, cheapest first', dataOf({ type: 'array', items: ref('HotelResult') }, {
+                        type: 'object',
+                        properties: { cityCode: { type: 'string' }, cityName: { type: 'string' }, nights: { type: 'integer' }, searchParams: { type: 'string' } }
+                    })),
+                    ...errors('invalid_request', 'not_found', 'upstream_error')
+                }
+            }
+        },
+        '/hotels/{hotelId}/offers': {
+            get: {
+                summary: 'Every room offer of one hotel',
+                parameters: [{ name: 'hotelId', in: 'path', required: true, schema: { type: 'string' } }, ...hotelSearchParams],
+                responses: {
+                    200: ok('The hotel and its rooms', dataOf({
+                        type: 'object',
+                        properties: { hotel: ref('Hotel'), offers: { type: 'array', items: ref('HotelOffer') } }
+                    })),
+                    ...errors('invalid_request', 'not_found', 'upstream_error')
+                }
+            }
+        },
+        '/hotels/bookings': {
+            post: {
+                summary: 'Pay for and book a room offer',
+                parameters: hotelSearchParams.map(param => ({ ...param, required: false })),
+                requestBody: { required: true, ...json(ref('HotelBookingRequest')) },
+                responses: {
+                    201: ok('Paid and booked', dataOf(ref('Checkout'))),
+                    202: ok('The card needs a challenge', dataOf(ref('Checkout'))),
+                    ...errors('invalid_request', 'payment_declined', 'offer_expired', 'upstream_error', 'unavailable')
+                }
+            }
+        },
+        '/hotels/bookings/{reference}': {
+            get: {
+                summary: 'A hotel booking made by this session or its signed-in user',
+                parameters: [{ name: 'reference', in: 'path', required: true, schema: { type: 'string' } }],
+                responses: { 200: ok('The booking', dataOf(ref('HotelBooking'))), ...errors('not_found', 'upstream_error') }
+            }
+        },
+        '/checkouts/{checkoutId}': {
+            get: {
+                summary: 'Status of a booking after the card challenge; never books',
+                parameters: [{ name: 'checkoutId', in: 'path', required: true, schema: { type: 'string' } }],
+                responses: {
+                    200: ok('Booked, still waiting for the challenge, failed, or paid and waiting to be booked (requires_confirmation, or requires_card for a hotel)', dataOf(ref('Checkout'))),
+                    ...errors('not_found')
+                }
+            },
+            post: {
+                summary: 'Book a checkout paid after the card challenge. A hotel needs its guarantee card (the card that paid), which is not kept during the challenge; a flight needs no body',
+                parameters: [{ name: 'checkoutId', in: 'path', required: true, schema: { type: 'string' } }],
+                requestBody: { required: false, ...json({ type: 'object', properties: cardFields }) },
+                responses: {
+                    200: ok('Already booked, or still waiting for the challenge', dataOf(ref('Checkout'))),
+                    201: ok('Booked by this request', dataOf(ref('Checkout'))),
+                    ...errors('invalid_request', 'not_found', 'payment_declined', 'upstream_error')
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            session: { type: 'apiKey', in: 'cookie', name: 'travix.sid', description: 'Session cookie of a signed-in account' }
+        },
+        responses: Object.fromEntries(Object.keys(ERROR_STATUSES).map(code => [code, errorResponse(code.replace(/_/g, ' '))])),
+        schemas: {
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: {
+                        type: 'object',
+                        required: ['status', 'code', 'message'],
+                        properties: {
+                            status: { type: 'integer' },
+                            code: { type: 'string', enum: Object.keys(ERROR_STATUSES) },
+                            message: { type: 'string' },
+                            fields: { type: 'object', additionalProperties: { type: 'string' }, description: 'Message per request field, e.g. travelers[0][firstName]' }
+                        }
+                    }
+                }
+            },
+            Location: {
+                type: 'object',
+                properties: {
+                    iataCode: { type: 'string' },
+                    type: { type: 'string', enum: ['airport', 'city'] },
+                    name: { type: 'string' },
+                    cityName: { type: ['string', 'null'] },
+                    cityCode: { type: ['string', 'null'] },
+                    countryCode: { type: ['string', 'null'] }
+                }
+            },
+            FlightSegment: {
+                type: 'object',
+                properties: {
+                    carrier: { type: 'object', properties: { code: { type: 'string' }, name: { type: 'string' } } },
+                    flightNumber: { type: 'string' },
+                    aircraft: { type: ['string', 'null'] },
+                    departure: { type: 'object', properties: { iataCode: { type: 'string' }, terminal: { type: ['string', 'null'] }, at: { type: 'string' } } },
+                    arrival: { type: 'object', properties: { iataCode: { type: 'string' }, terminal: { type: ['string', 'null'] }, at: { type: 'string' } } },
+                    duration: { type: 'string', description: 'ISO 8601 duration' },
+                    stops: { type: 'integer' }
+                }
+            },
+            FlightOffer: {
+                type: 'object',
+                properties: {
+                    offerToken: { type: ['string', 'null'], description: 'Pass to /flights/pricing and /flights/bookings' },
+                    price: { type: 'object', properties: { total: { type: 'string' }, base: { type: 'string' }, taxes: { type: ['string', 'null'] }, currency: { type: 'string' } } },
+                    stops: { type: 'integer' },
+                    durationMinutes: { type: 'integer' },
+                    fare: {
+                        type: 'object',
+                        properties: {
+                            cabin: { type: ['string', 'null'] },
+                            brandedFare: { type: ['string', 'null'] },
+                            cabinCode: { type: ['string', 'null'], enum: [...TRAVEL_CLASSES, null] },
+                            checkedBags: { type: ['string', 'null'] },
+                            checkedBagCount: { type: ['integer', 'null'] },
+                            seatsLeft: { type: ['integer', 'null'] },
+                            lastTicketingDate: { type: ['string', 'null'] }
+                        }
+                    },
+                    validatingAirlines: { type: 'array', items: { type: 'object', properties: { code: { type: 'string' }, name: { type: 'string' } } } },
+                    itineraries: {
+                        type: 'array',
+                        items: { type: 'object', properties: { duration: { type: 'string' }, segments: { type: 'array', items: ref('FlightSegment') } } }
+                    },
+                    travelers: {
+                        type: 'array',
+                        items: { type: 'object', properties: { id: { type: 'string' }, type: { type: 'string', enum: Object.keys(TRAVELER_TYPE_LABELS) }, price: money } }
+                    }
+                }
+            },
+            FlightResultsMeta: {
+                type: 'object',
+                properties: {
+                    total: { type: 'integer' },
+                    matched: { type: 'integer' },
+                    page: { type: 'integer' },
+                    pageCount: { type: 'integer' },
+                    facets: { type: 'object' },
+                    originCity: { type: 'string' },
+                    destinationCity: { type: 'string' },
+                    searchParams: { type: 'string' }
+                }
+            },
+            FlightBookingRequest: {
+                type: 'object',
+                required: ['offerToken', 'travelers', ...Object.keys(cardFields)],
+                properties: {
+                    offerToken: { type: 'string' },
+                    travelers: {
+                        type: 'array',
+                        description: 'One per priced traveler, in the order of the offer\'s travelers',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                firstName: { type: 'string' },
+                                middleName: { type: 'string' },
+                                lastName: { type: 'string' },
+                                dateOfBirth: isoDate,
+                                gender: { type: 'string', enum: Object.keys(TRAVELER_GENDERS) },
+                                email: { type: 'string' },
+                                countryCallingCode: { type: 'string' },
+                                phone: { type: 'string' },
+                                passportNumber: { type: 'string' },
+                                passportExpiry: isoDate,
+                                nationality: { type: 'string', description: 'ISO country code' },
+                                frequentFlyerAirline: { type: 'string' },
+                                frequentFlyerNumber: { type: 'string' }
+                            }
+                        }
+                    },
+                    ...cardFields
+                }
+            },
+            HotelBookingRequest: {
+                type: 'object',
+                required: ['offerId', 'firstName', 'lastName', 'email', 'phone', 'cardVendor', ...Object.keys(cardFields)],
+                properties: {
+                    offerId: { type: 'string' },
+                    title: { type: 'string', enum: GUEST_TITLES },
+                    firstName: { type: 'string' },
+                    lastName: { type: 'string' },
+                    email: { type: 'string' },
+                    phone: { type: 'string' },
+                    cardVendor: { type: 'string', enum: Object.keys(CARD_VENDORS) },
+                    ...cardFields
+                }
+            },
+            Checkout: {
+                type: 'object',
+                properties: {
+                    status: { type: 'string', enum: ['booked', 'requires_action', 'requires_confirmation', 'requires_card', 'failed'] },
+                    checkoutId: { type: 'string' },
+                    kind: { type: 'string', enum: ['flight', 'hotel'] },
+                    reference: { type: ['string', 'null'], description: 'Booking reference, once booked; null when the booking is only listed in My Trips' },
+                    nextActionUrl: { type: ['string', 'null'], description: 'Card challenge page, while status is requires_action' }
+                }
+            },
+            Payment: {
+                type: ['object', 'null'],
+                properties: { status: { type: 'string' }, amount: money, refunded: money, paidAt: { type: ['string', 'null'] } }
+            },
+            FlightBooking: {
+                type: 'object',
+                properties: {
+                    reference: { type: 'string' },
+                    bookingId: { type: 'string' },
+                    recordLocator: { type: ['string', 'null'] },
+                    contact: { type: 'object', properties: { email: { type: 'string' }, phone: { type: 'string' } } },
+                    travelers: { type: 'array', items: { type: 'object' } },
+                    flights: { type: 'array', items: ref('FlightOffer') },
+                    payment: ref('Payment')
+                }
+            },
+            Hotel: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    cityCode: { type: ['string', 'null'] },
+                    cityName: { type: 'string' },
+                    rating: { type: ['string', 'null'] },
+                    address: { type: ['object', 'null'] }
+                }
+            },
+            HotelOffer: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    checkInDate: isoDate,
+                    checkOutDate: isoDate,
+                    nights: { type: 'integer' },
+                    currency: { type: 'string' },
+                    price: { type: 'string' },
+                    basePrice: { type: ['string', 'null'] },
+                    adults: { type: ['integer', 'null'] },
+                    refundable: { type: 'boolean' },
+                    cancellationDeadline: { type: ['string', 'null'] },
+                    room: { type: 'object' }
+                }
+            },
+            HotelResult: {
+                type: 'object',
+                properties: { hotel: ref('Hotel'), offer: ref('HotelOffer') }
+            },
+            HotelBooking: {
+                type: 'object',
+                properties: {
+                    reference: { type: 'string' },
+                    bookingId: { type: 'string' },
+                    providerConfirmationId: { type: ['string', 'null'] },
+                    guest: { type: 'object', properties: { name: { type: 'string' }, email: { type: 'string' }, phone: { type: 'string' } } },
+                    hotel: ref('Hotel'),
+                    offer: ref('HotelOffer'),
+                    payment: ref('Payment')
+                }
+            }
+        }
+    }
+};
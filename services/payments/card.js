@@ -0,0 +1,48 @@
+// Card fields posted by the checkout forms. Errors are keyed by field name so
+// forms can show them next to the inputs.
+
+const CARD_EXPIRY = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Luhn checksum, catches most mistyped card numbers before they reach the provider
+export function isValidCardNumber(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// Normalize cardNumber, cardExpiry (YYYY-MM), cardCvc and cardHolder into { card, errors }
+export function parsePaymentCard(body, today = new Date()) {
+    const errors = {};
+    const card = {
+        number: String(body.cardNumber || '').replace(/[\s-]/g, ''),
+        expiry: String(body.cardExpiry || '').trim(),
+        cvc: String(body.cardCvc || '').trim(),
+        holder: String(body.cardHolder || '').trim()
+    };
+
+    if (!/^\d{13,19}$/.test(card.number) || !isValidCardNumber(card.number)) {
+        errors.cardNumber = 'Enter a valid card number.';
+    }
+    if (!CARD_EXPIRY.test(card.expiry)) {
+        errors.cardExpiry = 'Enter the card expiry date.';
+    } else if (card.expiry < today.toISOString().slice(0, 7)) {
+        errors.cardExpiry = 'The card has expired.';
+    }
+    if (!/^\d{3,4}$/.test(card.cvc)) {
+        errors.cardCvc = 'Enter the 3 or 4 digit security code.';
+    }
+    if (!card.holder) {
+        errors.cardHolder = 'Enter the name on the card.';
+    }
+
+    return { card, errors };
+}
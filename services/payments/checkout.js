@@ -0,0 +1,71 @@
+import { recordPayment } from './ledger.js';
+
+// Pay-then-book checkouts. What to book once the payment succeeds is kept
+// server-side under the intent id, only for as long as a card challenge may take,
+// and can only be resumed by the session that started it.
+export function createCheckout({ provider, admin, cache, ttlSeconds = 15 * 60 }) {
+    return {
+        // Create, record and confirm an intent. The returned intent is 'succeeded',
+        // 'failed' or 'requires_action' (send the buyer to intent.nextAction.url).
+        async pay(req, res, { kind, amount, currency, reference, description, card, pending }) {
+            const intent = await provider.createIntent({ amount, currency, reference, description, metadata: { kind } });
+            await recordPayment(admin, { intent, kind, reference, userId: res.locals.user ? res.locals.user.id : null });
+
+            await cache.set(`checkout:${intent.id}`, { kind, pending }, ttlSeconds);
+            req.session.checkouts = [...(req.session.checkouts || []), intent.id].slice(-10);
+
+            return provider.confirmIntent(intent.id, { card, returnUrl: `/payments/return?intent=${encodeURIComponent(intent.id)}` });
+        },
+
+        // { intent, kind, pending } for a checkout started in this session, or
+        // { intent, kind, reference, redirect } once it was booked; null when unknown
+        async resume(req, intentId) {
+            if (!(req.session.checkouts || []).includes(intentId)) {
+                return null;
+            }
+
+            const checkout = await cache.get(`checkout:${intentId}`);
+            if (!checkout) {
+                return null;
+            }
+            return { ...checkout, intent: await provider.getIntent(intentId) };
+        },
+
+        // Make this caller the one that books a succeeded payment. False when another
+        // request (the return redirect, an API poll, a double click) already claimed it.
+        // The claim is kept after a failed booking, so a refunded payment is never booked.
+        claim(intentId) {
+            return cache.claim(`claim:${intentId}`, true, ttlSeconds);
+        },
+
+        // Forget what was booked and remember only its reference and where to send the buyer
+        async finish(intentId, kind, { reference, redirect }) {
+            await cache.set(`checkout:${intentId}`, { kind, reference, redirect }, ttlSeconds);
+        },
+
+        // Note that booking failed, for the requests waiting on the claim
+        async fail(intentId, { refunded }) {
+            const checkout = await cache.get(`checkout:${intentId}`);
+            if (checkout) {
+                await cache.set(`checkout:${intentId}`, { ...checkout, failed: { refunded } }, ttlSeconds);
+            }
+        },
+
+        // { reference, redirect } once the request holding the claim has booked;
+        // rejects when that booking failed or does not finish within timeoutMs
+        async waitForResult(intentId, { timeoutMs = 30 * 1000, intervalMs = 500 } = {}) {
+            const deadline = Date.now() + timeoutMs;
+            while (Date.now() < deadline) {
+                const checkout = await cache.get(`checkout:${intentId}`);
+                if (checkout && checkout.redirect) {
+                    return { reference: checkout.reference, redirect: checkout.redirect };
+                }
+                if (checkout && checkout.failed) {
+                    throw Object.assign(new Error('Booking failed in another request'), { refunded: checkout.failed.refunded });
+                }
+                await new Promise(resolve => setTimeout(resolve, intervalMs));
+            }
+            throw new Error(`Checkout ${intentId} is still being booked`);
+        }
+    };
+}
@@ -0,0 +1,24 @@
+import { createSandboxPaymentProvider, SANDBOX_CARDS } from './sandbox.js';
+
+// Every payment provider implements:
+//   createIntent({ amount, currency, reference, description, metadata }) -> intent
+//   getIntent(intentId) -> intent
+//   confirmIntent(intentId, { card, returnUrl }) -> intent with status
+//       'succeeded', 'failed' (see intent.failure) or 'requires_action' (see intent.nextAction)
+//   refund(intentId, { amount, reason }) -> refund
+//   verifyWebhook(rawBody, headers) -> event { id, type, data }, throws when the signature is wrong
+// Events: payment_intent.succeeded, payment_intent.payment_failed, charge.refunded.
+export function createPaymentProvider({ cache, env = process.env }) {
+    const provider = env.PAYMENT_PROVIDER || 'sandbox';
+
+    if (provider === 'sandbox') {
+        return createSandboxPaymentProvider({
+            cache,
+            webhookSecret: env.PAYMENT_WEBHOOK_SECRET || env.SESSION_SECRET || 'travix-dev-secret',
+            webhookUrl: `${env.BASE_URL || 'http://localhost:3000'}/payments/webhook`
+        });
+    }
+    throw new Error(`Unknown PAYMENT_PROVIDER "${provider}"`);
+}
+
+export { createSandboxPaymentProvider, SANDBOX_CARDS };
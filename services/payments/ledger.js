@@ -0,0 +1,145 @@
+// Payments in the Supabase `payments` table, written with the service-role client.
+// A payment only becomes "paid" through applyPaymentEvent(), i.e. from a webhook
+// whose signature the provider verified.
+
+const EVENT_STATUSES = {
+    'payment_intent.succeeded': 'paid',
+    'payment_intent.payment_failed': 'failed',
+    'charge.refunded': 'refunded'
+};
+
+// What the paid thing becomes for each payment status
+const ORDER_STATUSES = { paid: 'paid', failed: 'payment_failed', refunded: 'refunded' };
+
+// Statuses each event may move a payment from. Events can arrive out of order, so a
+// late "succeeded" never turns a refund back into a payment; reapplying the same
+// status is allowed so a redelivered event can finish what a failed attempt started.
+const PREVIOUS_STATUSES = {
+    paid: ['pending', 'failed', 'paid'],
+    failed: ['pending', 'failed'],
+    refunded: ['pending', 'failed', 'paid', 'refunded']
+};
+
+export async function recordPayment(admin, { intent, kind, reference, userId }) {
+    const { data, error } = await admin
+        .from('payments')
+        .insert({
+            intent_id: intent.id,
+            kind,
+            reference,
+            user_id: userId,
+            amount: intent.amount,
+            currency: intent.currency,
+            status: 'pending'
+        })
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Could not record payment ${intent.id}: ${error.message}`);
+    }
+    return data;
+}
+
+// Point a payment at the booking it paid for once that booking exists
+export async function setPaymentReference(admin, intentId, reference) {
+    const { error } = await admin
+        .from('payments')
+        .update({ reference, updated_at: new Date().toISOString() })
+        .eq('intent_id', intentId);
+
+    if (error) {
+        throw new Error(`Could not update payment ${intentId}: ${error.message}`);
+    }
+}
+
+export async function getPayment(admin, intentId) {
+    const { data, error } = await admin
+        .from('payments')
+        .select('*')
+        .eq('intent_id', intentId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not load payment ${intentId}: ${error.message}`);
+    }
+    return data;
+}
+
+// Apply a verified provider event once; repeated deliveries of the same event are
+// ignored. The event is recorded only after the payment (and its order) are
+// updated, so an update that fails is retried when the provider redelivers.
+export async function applyPaymentEvent(admin, event) {
+    const status = EVENT_STATUSES[event.type];
+    if (!status) {
+        return null;
+    }
+
+    const { data: applied, error: lookupError } = await admin
+        .from('payment_events')
+        .select('id')
+        .eq('id', event.id)
+        .maybeSingle();
+    if (lookupError) {
+        throw new Error(`Could not load payment event ${event.id}: ${lookupError.message}`);
+    }
+    if (applied) {
+        return null;
+    }
+
+    const { data: payment, error } = await admin
+        .from('payments')
+        .update({
+            status,
+            amount_refunded: event.data.amountRefunded,
+            ...(status === 'paid' ? { paid_at: event.created } : {}),
+            updated_at: new Date().toISOString()
+        })
+        .eq('intent_id', event.data.id)
+        .in('status', PREVIOUS_STATUSES[status])
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not update payment ${event.data.id}: ${error.message}`);
+    }
+
+    // Orders cancelled from the back office stay cancelled when their refund comes through
+    if (payment && payment.kind === 'aircraft') {
+        const { error: orderError } = await admin
+            .from('aircraft_orders')
+            .update({ status: ORDER_STATUSES[status], ...(status === 'paid' ? { paid_at: event.created } : {}) })
+            .eq('order_number', payment.reference)
+            .is('cancelled_at', null);
+
+        if (orderError) {
+            throw new Error(`Could not update aircraft order ${payment.reference}: ${orderError.message}`);
+        }
+    }
+
+    // Stale events (the payment has moved past them) are recorded too, so they are not retried
+    const { error: recordError } = await admin
+        .from('payment_events')
+        .insert({ id: event.id, intent_id: event.data.id, type: event.type, payload: event });
+    if (recordError && recordError.code !== '23505') {
+        throw new Error(`Could not record payment event ${event.id}: ${recordError.message}`);
+    }
+    return payment;
+}
+
+// The payment made for a booking, once the booking reference was set on it
+export async function findPaymentByReference(admin, kind, reference) {
+    const { data, error } = await admin
+        .from('payments')
+        .select('*')
+        .eq('kind', kind)
+        .eq('reference', reference)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not load payment for ${kind} ${reference}: ${error.message}`);
+    }
+    return data;
+}
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { logger } from '../logger.js';
+import { traceHttp } from '../tracing.js';
+
+// Local payment provider for development and tests. These card numbers decide
+// the outcome; any other valid number succeeds.
+export const SANDBOX_CARDS = {
+    '4242424242424242': 'succeed',
+    '4000000000000002': 'decline',
+    '4000000000009995': 'insufficient_funds',
+    '4000000000003220': 'challenge'
+};
+
+const DECLINES = {
+    decline: { code: 'card_declined', message: 'Your card was declined.' },
+    insufficient_funds: { code: 'insufficient_funds', message: 'Your card has insufficient funds.' },
+    challenge_failed: { code: 'authentication_failed', message: 'Card authentication failed.' }
+};
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Intents live in the given cache, and events are delivered to `webhookUrl`
+// signed with `webhookSecret`, the way a hosted provider would call back. Deliveries
+// carry the id of the request that triggered them, so their handling shows up with it.
+export function createSandboxPaymentProvider({ cache, webhookSecret, webhookUrl, ttlSeconds = 7 * 24 * 60 * 60 }) {
+    const http = traceHttp(axios.create(), 'payment-webhooks');
+
+    function sign(timestamp, payload) {
+        return crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.${payload}`).digest('hex');
+    }
+
+    async function saveIntent(intent) {
+        await cache.set(`intent:${intent.id}`, intent, ttlSeconds);
+        return intent;
+    }
+
+    async function loadIntent(intentId) {
+        const intent = await cache.get(`intent:${intentId}`);
+        if (!intent) {
+            throw new Error(`Payment intent ${intentId} not found`);
+        }
+        return intent;
+    }
+
+    // Deliver in the background with a few retries; the caller never waits on it
+    function emit(type, data) {
+        const payload = JSON.stringify({ id: `evt_${crypto.randomBytes(12).toString('hex')}`, type, created: new Date().toISOString(), data });
+
+        const deliver = async attempt => {
+            const timestamp = Math.floor(Date.now() / 1000);
+            try {
+                await http.post(webhookUrl, payload, {
+                    headers: { 'Content-Type': 'application/json', 'Sandbox-Signature': `t=${timestamp},v1=${sign(timestamp, payload)}` },
+                    timeout: 5000
+                });
+            } catch (error) {
+                if (attempt < 3) {
+                    setTimeout(() => deliver(attempt + 1), attempt * 1000).unref();
+                } else {
+                    logger.error('Error delivering webhook', { type, attempts: attempt, error: { status: error.response?.status, message: error.message } });
+                }
+            }
+        };
+        setImmediate(() => deliver(1));
+    }
+
+    async function fail(intent, decline) {
+        intent.status = 'failed';
+        intent.failure = decline;
+        intent.nextAction = null;
+        await saveIntent(intent);
+        emit('payment_intent.payment_failed', intent);
+        return intent;
+    }
+
+    async function succeed(intent) {
+        intent.status = 'succeeded';
+        intent.nextAction = null;
+        await saveIntent(intent);
+        emit('payment_intent.succeeded', intent);
+        return intent;
+    }
+
+    return {
+        name: 'sandbox',
+
+        async createIntent({ amount, currency, reference, description, metadata = {} }) {
+            return saveIntent({
+                id: `pi_${crypto.randomBytes(12).toString('hex')}`,
+                status: 'requires_payment_method',
+                amount: Number(amount).toFixed(2),
+                currency,
+                reference,
+                description,
+                metadata,
+                paymentMethod: null,
+                amountRefunded: '0.00',
+                createdAt: new Date().toISOString()
+            });
+        },
+
+        async getIntent(intentId) {
+            return loadIntent(intentId);
+        },
+
+        // Only the last four digits of the card are kept with the intent
+        async confirmIntent(intentId, { card, returnUrl }) {
+            const intent = await loadIntent(intentId);
+            if (intent.status !== 'requires_payment_method') {
+                throw new Error(`Payment intent ${intentId} cannot be confirmed in status ${intent.status}`);
+            }
+
+            intent.paymentMethod = { type: 'card', last4: card.number.slice(-4), expiry: card.expiry };
+            const outcome = SANDBOX_CARDS[card.number] || 'succeed';
+
+            if (outcome === 'challenge') {
+                intent.status = 'requires_action';
+                intent.returnUrl = returnUrl;
+                intent.nextAction = { type: 'redirect', url: `/payments/sandbox/challenge/${intent.id}` };
+                return saveIntent(intent);
+            }
+            if (DECLINES[outcome]) {
+                return fail(intent, DECLINES[outcome]);
+            }
+            return succeed(intent);
+        },
+
+        // Answer of the simulated 3-D Secure page
+        async completeChallenge(intentId, approved) {
+            const intent = await loadIntent(intentId);
+            if (intent.status !== 'requires_action') {
+                return intent;
+            }
+            return approved ? succeed(intent) : fail(intent, DECLINES.challenge_failed);
+        },
+
+        async refund(intentId, { amount, reason } = {}) {
+            const intent = await loadIntent(intentId);
+            if (intent.status !== 'succeeded') {
+                throw new Error(`Payment intent ${intentId} has not succeeded and cannot be refunded`);
+            }
+
+            const refundable = Number(intent.amount) - Number(intent.amountRefunded);
+            const value = amount === undefined ? refundable : Number(amount);
+            if (!(value > 0) || value > refundable + 0.001) {
+                throw new Error(`Refund of ${value} exceeds the refundable ${refundable.toFixed(2)} ${intent.currency}`);
+            }
+
+            intent.amountRefunded = (Number(intent.amountRefunded) + value).toFixed(2);
+            await saveIntent(intent);
+
+            const refund = { id: `re_${crypto.randomBytes(12).toString('hex')}`, intentId, amount: value.toFixed(2), currency: intent.currency, reason, status: 'succeeded' };
+            emit('charge.refunded', { ...intent, refund });
+            return refund;
+        },
+
+        // Check the signature of a delivered event and return the parsed event
+        verifyWebhook(rawBody, headers) {
+            const header = String(headers['sandbox-signature'] || '');
+            const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+            const timestamp = Number(parts.t);
+
+            if (!timestamp || !parts.v1) {
+                throw new Error('Missing webhook signature');
+            }
+            if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+                throw new Error('Webhook signature is too old');
+            }
+
+            const expected = Buffer.from(sign(timestamp, rawBody.toString('utf8')));
+            const actual = Buffer.from(parts.v1);
+            if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+                throw new Error('Invalid webhook signature');
+            }
+            return JSON.parse(rawBody.toString('utf8'));
+        }
+    };
+}
@@ -0,0 +1,66 @@
+import { listDueAlerts, lookupLowestPrice, expirePriceAlert, recordPriceCheck, shouldNotify, priceAlertUrl } from './price-alerts.js';
+import { logger } from './logger.js';
+
+// Background checker for price alerts, run on a timer inside the app. Each run
+// re-searches the alerts that were not checked for `recheckAfterMs`, one at a time
+// to stay within the Amadeus rate limits, records the lowest price and notifies
+// the traveler (see services/mailer.js) when it reaches their target.
+export function createPriceAlertWorker({ admin, amadeus, mailer, intervalMs = 15 * 60 * 1000, recheckAfterMs = 6 * 60 * 60 * 1000, batchSize = 20 }) {
+    let timer = null;
+    let running = false;
+
+    async function checkAlert(alert) {
+        const result = await lookupLowestPrice(amadeus, alert);
+        if (result.expired) {
+            await expirePriceAlert(admin, alert.id);
+            return;
+        }
+
+        // Queued messages are retried by the mailer, so queuing counts as notified
+        const notified = Boolean(alert.notify_email) && shouldNotify(alert, result);
+        if (notified) {
+            mailer.send('price-alert', alert.notify_email, { alert, ...result, offersUrl: priceAlertUrl(alert) });
+        }
+
+        await recordPriceCheck(admin, alert, result, notified);
+    }
+
+    async function runOnce() {
+        if (running) {
+            return;
+        }
+        running = true;
+
+        try {
+            const alerts = await listDueAlerts(admin, { checkedBefore: new Date(Date.now() - recheckAfterMs), limit: batchSize });
+            for (const alert of alerts) {
+                try {
+                    await checkAlert(alert);
+                } catch (error) {
+                    logger.error('Error checking price alert', { alertId: alert.id, error });
+                }
+            }
+        } catch (error) {
+            logger.error('Error running price alerts', { error });
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        runOnce,
+
+        start() {
+            if (!timer) {
+                timer = setInterval(runOnce, intervalMs);
+                timer.unref();
+                setTimeout(runOnce, 0).unref();
+            }
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
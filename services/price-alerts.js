@@ -0,0 +1,251 @@
+import { parseFlightSearch, searchFlightOffers, flightSearchParams } from './flight-search.js';
+import { parseHotelSearch, searchHotelOffersByCity, hotelSearchParams } from './hotel-search.js';
+
+// Price alerts: a saved flight or hotel search with a target price, stored in the
+// Supabase `price_alerts` table with one `price_alert_checks` row per re-run (see
+// supabase/migrations). Travelers manage their alerts through their own client;
+// the price alert worker reads and updates every alert with the service-role client.
+
+export const ALERT_KINDS = ['flight', 'hotel'];
+export const MAX_ALERTS_PER_USER = 20;
+export const HISTORY_LENGTH = 30;
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CURRENCY = /^[A-Z]{3}$/;
+
+// The search behind an alert, parsed the same way as on the results pages
+function parseAlertSearch(kind, params) {
+    const query = Object.fromEntries(new URLSearchParams(params));
+    return kind === 'flight' ? parseFlightSearch(query) : parseHotelSearch(query);
+}
+
+function alertTitle(kind, search) {
+    if (kind === 'hotel') {
+        return `Hotels in ${search.searchQuery || search.cityCode}, ${search.checkInDate} to ${search.checkOutDate}`;
+    }
+    const [outbound, inbound] = search.legs;
+    const travelers = search.adults + search.children + search.infants;
+    return `${outbound.originCode} to ${outbound.destinationCode}, ${outbound.departureDate}` +
+        (inbound ? ` to ${inbound.departureDate}` : '') +
+        `, ${travelers} traveler${travelers > 1 ? 's' : ''}`;
+}
+
+// First day of the trip; the alert expires once it has passed
+function startDate(kind, search) {
+    return kind === 'flight' ? search.legs[0].departureDate : search.checkInDate;
+}
+
+// Normalize the "Track this price" form into { alert, errors }. The search is
+// re-serialized so only the parameters the search itself understands are kept.
+export function parsePriceAlert(body, today = new Date()) {
+    const errors = [];
+    const kind = ALERT_KINDS.includes(body.kind) ? body.kind : null;
+    const targetPrice = Number(body.targetPrice);
+    const currency = String(body.currency || '').toUpperCase();
+
+    if (!kind) {
+        return { alert: null, errors: ['Choose a flight or hotel search to track.'] };
+    }
+
+    const { search, errors: searchErrors } = parseAlertSearch(kind, body.searchParams || '');
+    if (searchErrors.length > 0) {
+        return { alert: null, errors: searchErrors };
+    }
+    if (kind === 'flight' && search.tripType === 'multicity') {
+        errors.push('Price alerts are available for one-way and round-trip flights.');
+    }
+    if (startDate(kind, search) <= today.toISOString().slice(0, 10)) {
+        errors.push('Price alerts need a trip that starts after today.');
+    }
+    if (!Number.isFinite(targetPrice) || targetPrice <= 0) {
+        errors.push('Enter the price you want to be alerted at.');
+    }
+    if (!CURRENCY.test(currency)) {
+        errors.push('The alert currency is missing. Please search again.');
+    }
+
+    return {
+        alert: {
+            kind,
+            title: alertTitle(kind, search),
+            search_params: (kind === 'flight' ? flightSearchParams(search) : hotelSearchParams(search)).toString(),
+            target_price: Math.round(targetPrice * 100) / 100,
+            currency
+        },
+        errors
+    };
+}
+
+export async function createPriceAlert(supabase, userId, alert, { email = null } = {}) {
+    const { count, error: countError } = await supabase
+        .from('price_alerts')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId);
+
+    if (countError) {
+        throw new Error(`Could not count price alerts: ${countError.message}`);
+    }
+    if (count >= MAX_ALERTS_PER_USER) {
+        return { alert: null, errors: [`You can keep up to ${MAX_ALERTS_PER_USER} price alerts. Delete one to add another.`] };
+    }
+
+    const { data, error } = await supabase
+        .from('price_alerts')
+        .insert({ user_id: userId, notify_email: email, ...alert })
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Could not save price alert: ${error.message}`);
+    }
+    return { alert: data, errors: [] };
+}
+
+// The user's alerts, newest first, each with its recent checks (oldest first)
+export async function listPriceAlerts(supabase, userId) {
+    const { data: alerts, error } = await supabase
+        .from('price_alerts')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw new Error(`Could not load price alerts: ${error.message}`);
+    }
+    if (alerts.length === 0) {
+        return [];
+    }
+
+    const { data: checks, error: checksError } = await supabase
+        .from('price_alert_checks')
+        .select('alert_id, price, currency, checked_at')
+        .in('alert_id', alerts.map(alert => alert.id))
+        .order('checked_at', { ascending: false })
+        .limit(alerts.length * HISTORY_LENGTH);
+
+    if (checksError) {
+        throw new Error(`Could not load price history: ${checksError.message}`);
+    }
+
+    return alerts.map(alert => ({
+        ...alert,
+        checks: checks.filter(check => check.alert_id === alert.id).slice(0, HISTORY_LENGTH).reverse()
+    }));
+}
+
+// false when the alert does not exist or belongs to someone else
+export async function deletePriceAlert(supabase, userId, alertId) {
+    if (!UUID.test(alertId)) {
+        return false;
+    }
+
+    const { data, error } = await supabase
+        .from('price_alerts')
+        .delete()
+        .eq('user_id', userId)
+        .eq('id', alertId)
+        .select('id');
+
+    if (error) {
+        throw new Error(`Could not delete price alert ${alertId}: ${error.message}`);
+    }
+    return data.length > 0;
+}
+
+// Link back to the results for an alert's search
+export function priceAlertUrl(alert) {
+    return `${alert.kind === 'flight' ? '/flight-offers' : '/hotel-offers'}?${alert.search_params}`;
+}
+
+// Worker side (service-role client)
+
+// Active alerts not checked since `checkedBefore`, least recently checked first
+export async function listDueAlerts(admin, { checkedBefore, limit }) {
+    const { data, error } = await admin
+        .from('price_alerts')
+        .select('*')
+        .eq('status', 'active')
+        .or(`last_checked_at.is.null,last_checked_at.lt.${checkedBefore.toISOString()}`)
+        .order('last_checked_at', { ascending: true, nullsFirst: true })
+        .limit(limit);
+
+    if (error) {
+        throw new Error(`Could not load due price alerts: ${error.message}`);
+    }
+    return data;
+}
+
+// Re-run an alert's search: { expired } once the trip has started, otherwise
+// { price, currency } for the lowest offer, or a null price when nothing is offered
+export async function lookupLowestPrice(amadeus, alert, today = new Date()) {
+    const { search, errors } = parseAlertSearch(alert.kind, alert.search_params);
+    if (errors.length > 0 || startDate(alert.kind, search) <= today.toISOString().slice(0, 10)) {
+        return { expired: true };
+    }
+
+    if (alert.kind === 'flight') {
+        const response = await searchFlightOffers(amadeus, search);
+        const offers = response.data || [];
+        if (offers.length === 0) {
+            return { price: null, currency: null };
+        }
+        const cheapest = offers.reduce((best, offer) => (Number(offer.price.total) < Number(best.price.total) ? offer : best));
+        return { price: Number(cheapest.price.total), currency: cheapest.price.currency };
+    }
+
+    // Hotel results come back cheapest first
+    const [cheapest] = await searchHotelOffersByCity(amadeus, search);
+    return cheapest
+        ? { price: Number(cheapest.offer.price.total), currency: cheapest.offer.price.currency }
+        : { price: null, currency: null };
+}
+
+export async function expirePriceAlert(admin, alertId) {
+    const { error } = await admin
+        .from('price_alerts')
+        .update({ status: 'expired', last_checked_at: new Date().toISOString() })
+        .eq('id', alertId);
+
+    if (error) {
+        throw new Error(`Could not expire price alert ${alertId}: ${error.message}`);
+    }
+}
+
+// Append a check to the price history and update the alert's latest price
+export async function recordPriceCheck(admin, alert, { price, currency }, notified = false) {
+    const checkedAt = new Date().toISOString();
+
+    const { error: checkError } = await admin
+        .from('price_alert_checks')
+        .insert({ alert_id: alert.id, price, currency, checked_at: checkedAt });
+
+    if (checkError) {
+        throw new Error(`Could not record price check for alert ${alert.id}: ${checkError.message}`);
+    }
+
+    const update = { last_price: price, last_checked_at: checkedAt };
+    if (notified) {
+        update.notified_price = price;
+        update.notified_at = checkedAt;
+    } else if (price === null || price > Number(alert.target_price)) {
+        // Back above the target: the next drop is worth another notification
+        update.notified_price = null;
+    }
+
+    const { error } = await admin
+        .from('price_alerts')
+        .update(update)
+        .eq('id', alert.id);
+
+    if (error) {
+        throw new Error(`Could not update price alert ${alert.id}: ${error.message}`);
+    }
+}
+
+// Notify when the price reaches the target, and again only if it keeps falling
+export function shouldNotify(alert, { price, currency }) {
+    return price !== null &&
+        currency === alert.currency &&
+        price <= Number(alert.target_price) &&
+        (alert.notified_price === null || price < Number(alert.notified_price));
+}
@@ -0,0 +1,20 @@
+import { createClient } from 'redis';
+import { logger } from './logger.js';
+
+// Connect to Redis when REDIS_URL is set. Returns null otherwise so callers can
+// fall back to in-memory storage for local runs.
+export function createRedis(env = process.env) {
+    if (!env.REDIS_URL) {
+        return null;
+    }
+
+    const client = createClient({ url: env.REDIS_URL });
+    client.on('error', error => {
+        logger.error('Redis error', { error });
+    });
+    client.connect().catch(error => {
+        logger.error('Error connecting to Redis', { error });
+    });
+
+    return client;
+}
@@ -0,0 +1,192 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../logger.js';
+
+const datasetDir = path.dirname(fileURLToPath(import.meta.url));
+
+function loadDataset(name) {
+    return JSON.parse(fs.readFileSync(path.join(datasetDir, `${name}.json`), 'utf8'));
+}
+
+// Flatten an Amadeus location resource to the fields the app uses
+function toLocation(item) {
+    return {
+        iataCode: item.iataCode,
+        subType: item.subType,
+        name: item.name,
+        cityCode: item.address?.cityCode || item.iataCode,
+        cityName: item.address?.cityName || item.name,
+        countryCode: item.address?.countryCode
+    };
+}
+
+// Airports, cities and airlines by IATA code. Answers come from the bundled
+// dataset when `offline` is set, then from the cache, then from Amadeus.
+// Concurrent lookups of the same code share one upstream request, and airline
+// codes missing from the cache are fetched in a single batched call.
+export function createReferenceData({ amadeus, cache, ttlSeconds = 24 * 60 * 60, offline = false }) {
+    const inflight = new Map();
+    const offlineLocations = new Map();
+    const offlineAirlines = new Map();
+
+    if (offline) {
+        // Airports first so a code used by both (e.g. MAD) resolves to the airport
+        const airports = loadDataset('airports').sort((a, b) => (a.subType === 'AIRPORT' ? 0 : 1) - (b.subType === 'AIRPORT' ? 0 : 1));
+        for (const location of airports) {
+            if (!offlineLocations.has(location.iataCode)) {
+                offlineLocations.set(location.iataCode, location);
+            }
+        }
+        for (const airline of loadDataset('airlines')) {
+            offlineAirlines.set(airline.iataCode, airline.name);
+        }
+    }
+
+    // Read-through cache with one shared promise per key while it loads.
+    // Values are wrapped so "not found" (null) is cached too.
+    function remember(key, loader) {
+        if (inflight.has(key)) {
+            return inflight.get(key);
+        }
+
+        const pending = (async () => {
+            const hit = await cache.get(key);
+            if (hit) {
+                return hit.value;
+            }
+            const value = await loader();
+            await cache.set(key, { value }, ttlSeconds);
+            return value;
+        })().finally(() => inflight.delete(key));
+
+        inflight.set(key, pending);
+        return pending;
+    }
+
+    async function getLocation(iataCode) {
+        const code = String(iataCode || '').toUpperCase();
+        if (offlineLocations.has(code)) {
+            return offlineLocations.get(code);
+        }
+
+        return remember(`location:${code}`, async () => {
+            const response = await amadeus.searchLocations({ keyword: code, subType: 'AIRPORT,CITY' });
+            const match = response.data.find(item => item.iataCode === code) || response.data[0];
+            return match ? toLocation(match) : null;
+        });
+    }
+
+    async function getRelatedAirportCodes(cityCode) {
+        const code = String(cityCode || '').toUpperCase();
+        if (offlineLocations.has(code)) {
+            return [...offlineLocations.values()]
+                .filter(location => location.subType === 'AIRPORT' && (location.cityCode === code || location.iataCode === code))
+                .map(location => location.iataCode);
+        }
+
+        return remember(`airports:${code}`, async () => {
+            const response = await amadeus.searchLocations({ keyword: code, subType: 'AIRPORT' });
+            return response.data.map(airport => airport.iataCode);
+        });
+    }
+
+    // Resolve airline codes; every code not cached or in flight goes into one request
+    function loadAirlines(codes) {
+        const fresh = codes.filter(code => !inflight.has(`airline:${code}`));
+
+        if (fresh.length > 0) {
+            const batch = (async () => {
+                const names = new Map();
+                const missing = [];
+
+                for (const code of fresh) {
+                    const hit = await cache.get(`airline:${code}`);
+                    if (hit) {
+                        names.set(code, hit.value);
+                    } else {
+                        missing.push(code);
+                    }
+                }
+
+                if (missing.length > 0) {
+                    const response = await amadeus.getAirlines(missing);
+                    for (const airline of response.data) {
+                        names.set(airline.iataCode, airline.commonName || airline.businessName || airline.officialName);
+                    }
+                    await Promise.all(missing.map(code => cache.set(`airline:${code}`, { value: names.get(code) || null }, ttlSeconds)));
+                }
+                return names;
+            })();
+
+            for (const code of fresh) {
+                const key = `airline:${code}`;
+                const pending = batch.then(names => names.get(code) || null).finally(() => {
+                    if (inflight.get(key) === pending) {
+                        inflight.delete(key);
+                    }
+                });
+                inflight.set(key, pending);
+            }
+        }
+
+        return Promise.all(codes.map(code => inflight.get(`airline:${code}`)));
+    }
+
+    return {
+        getLocation,
+        getRelatedAirportCodes,
+
+        async getCityName(iataCode) {
+            try {
+                const location = await getLocation(iataCode);
+                return location?.cityName || iataCode;
+            } catch (error) {
+                logger.error('Error fetching city name', { iataCode, error });
+                return iataCode; // Fallback to IATA code if there's an error
+            }
+        },
+
+        async getCityAndAirportName(iataCode) {
+            try {
+                const location = await getLocation(iataCode);
+                return {
+                    city: location?.cityName || iataCode,
+                    airport: location?.name || 'Unknown Airport'
+                };
+            } catch (error) {
+                logger.error('Error fetching city and airport name', { iataCode, error });
+                return { city: iataCode, airport: 'Unknown Airport' };
+            }
+        },
+
+        // { [iataCode]: { city, airport } } for every distinct code, looked up concurrently
+        async getCityAndAirportNames(iataCodes) {
+            const codes = [...new Set(iataCodes)];
+            const names = await Promise.all(codes.map(code => this.getCityAndAirportName(code)));
+            return Object.fromEntries(codes.map((code, index) => [code, names[index]]));
+        },
+
+        // [{ code, name }] for the codes that could be resolved
+        async getAirlines(carrierCodes) {
+            const codes = [...new Set(carrierCodes.filter(Boolean).map(code => code.toUpperCase()))];
+            const airlines = codes.filter(code => offlineAirlines.has(code)).map(code => ({ code, name: offlineAirlines.get(code) }));
+            const remaining = codes.filter(code => !offlineAirlines.has(code));
+
+            if (remaining.length > 0) {
+                try {
+                    const names = await loadAirlines(remaining);
+                    remaining.forEach((code, index) => {
+                        if (names[index]) {
+                            airlines.push({ code, name: names[index] });
+                        }
+                    });
+                } catch (error) {
+                    logger.error('Error fetching airlines', { carrierCodes: remaining, error });
+                }
+            }
+
+            return airlines;
+        }
+    };
+}
@@ -0,0 +1,79 @@
+import session from 'express-session';
+import { RedisStore } from 'connect-redis';
+import { createClient } from '@supabase/supabase-js';
+import { logger } from './logger.js';
+import { tracedFetch } from './tracing.js';
+
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Cookie-based sessions, stored in Redis when a client is given and in memory otherwise
+export function createSessionMiddleware({ redis, env = process.env }) {
+    if (!env.SESSION_SECRET) {
+        logger.warn('SESSION_SECRET is not set; using an insecure development secret');
+    }
+
+    const store = redis
+        ? new RedisStore({ client: redis, prefix: 'travix:sess:', ttl: SESSION_TTL_SECONDS })
+        : new session.MemoryStore();
+
+    return session({
+        name: 'travix.sid',
+        store,
+        secret: env.SESSION_SECRET || 'travix-dev-secret',
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: env.NODE_ENV === 'production',
+            maxAge: SESSION_TTL_SECONDS * 1000
+        }
+    });
+}
+
+// Supabase auth storage backed by the visitor's own session, so tokens and the
+// PKCE code verifier never leave the server or leak between visitors
+function sessionStorage(req) {
+    return {
+        getItem(key) {
+            return req.session.supabase?.[key] ?? null;
+        },
+        setItem(key, value) {
+            req.session.supabase = { ...req.session.supabase, [key]: value };
+        },
+        removeItem(key) {
+            if (req.session.supabase) {
+                const { [key]: removed, ...rest } = req.session.supabase;
+                req.session.supabase = rest;
+            }
+        }
+    };
+}
+
+// Create a Supabase client bound to the current request's session
+export function createSupabaseForRequest(req, env = process.env) {
+    return createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY, {
+        auth: {
+            flowType: 'pkce',
+            storage: sessionStorage(req),
+            persistSession: true,
+            autoRefreshToken: false,
+            detectSessionInUrl: false
+        },
+        global: { fetch: tracedFetch('supabase') }
+    });
+}
+
+// Server-only Supabase client with the service role, for writes that must not be
+// possible with the public anon key. null when SUPABASE_SERVICE_ROLE_KEY is unset.
+export function createSupabaseAdmin(env = process.env) {
+    if (!env.SUPABASE_SERVICE_ROLE_KEY) {
+        logger.warn('SUPABASE_SERVICE_ROLE_KEY is not set; payments and aircraft orders are disabled');
+        return null;
+    }
+
+    return createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, {
+        auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false },
+        global: { fetch: tracedFetch('supabase') }
+    });
+}
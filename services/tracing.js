@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import { logger, runWithRequestId, currentRequestId } from './logger.js';
+
+// Request tracing. Each request gets an id (the caller's X-Request-Id when it
+// sends a sensible one), returned in the X-Request-Id response header and carried
+// by every log entry and upstream call made while handling it. Upstream calls to
+// Amadeus, Supabase and the payment webhooks are logged with their status and timing.
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,100}$/;
+
+// Paths polled by load balancers and monitors, logged at debug level only
+const QUIET_PATHS = ['/healthz'];
+
+function levelForStatus(status) {
+    if (status >= 500) {
+        return 'error';
+    }
+    return status >= 400 ? 'warn' : 'info';
+}
+
+// Assign the request id and log each request once it has been answered.
+// The query string is left out of the log, it can hold booking references.
+export function requestTracing() {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.setHeader('X-Request-Id', req.id);
+
+        const startedAt = process.hrtime.bigint();
+        res.on('finish', () => {
+            const level = QUIET_PATHS.includes(req.path) ? 'debug' : levelForStatus(res.statusCode);
+            logger[level]('request completed', {
+                requestId: req.id,
+                method: req.method,
+                path: req.path,
+                status: res.statusCode,
+                durationMs: elapsedMs(startedAt),
+                userId: res.locals.user?.id || null
+            });
+        });
+
+        runWithRequestId(req.id, next);
+    };
+}
+
+function elapsedMs(startedAt) {
+    return Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+}
+
+// Path of an upstream URL, without the query string (it can hold search details)
+function upstreamPath(url) {
+    try {
+        return new URL(url).pathname;
+    } catch {
+        return String(url).split('?')[0];
+    }
+}
+
+function logUpstream(upstream, { method, url, status, startedAt, error }) {
+    const fields = {
+        upstream,
+        method: String(method || 'get').toUpperCase(),
+        path: upstreamPath(url),
+        status: status ?? null,
+        durationMs: elapsedMs(startedAt)
+    };
+
+    if (error && !status) {
+        logger.warn('upstream call failed', { ...fields, error: { code: error.code, message: error.message } });
+    } else {
+        logger[status >= 500 ? 'warn' : 'debug']('upstream call', fields);
+    }
+}
+
+// Time and log every request made through an axios instance, sending the current
+// request id in `requestIdHeader` (Amadeus echoes ama-client-ref in its own logs)
+export function traceHttp(http, upstream, { requestIdHeader = 'X-Request-Id' } = {}) {
+    http.interceptors.request.use(config => {
+        config.metadata = { startedAt: process.hrtime.bigint() };
+        const requestId = currentRequestId();
+        if (requestId) {
+            config.headers[requestIdHeader] = requestId;
+        }
+        return config;
+    });
+
+    http.interceptors.response.use(
+        response => {
+            const { config } = response;
+            logUpstream(upstream, { method: config.method, url: config.url, status: response.status, startedAt: config.metadata.startedAt });
+            return response;
+        },
+        error => {
+            const config = error.config || {};
+            if (config.metadata) {
+                logUpstream(upstream, { method: config.method, url: config.url, status: error.response?.status, startedAt: config.metadata.startedAt, error });
+            }
+            return Promise.reject(error);
+        }
+    );
+
+    return http;
+}
+
+// A fetch for clients that take one (supabase-js) that times, logs and tags each call
+export function tracedFetch(upstream, baseFetch = fetch) {
+    return async (input, init = {}) => {
+        const startedAt = process.hrtime.bigint();
+        const url = typeof input === 'string' || input instanceof URL ? String(input) : input.url;
+        const method = init.method || (typeof input === 'object' && input.method) || 'GET';
+
+        const requestId = currentRequestId();
+        const headers = new Headers(init.headers || (typeof input === 'object' ? input.headers : undefined));
+        if (requestId) {
+            headers.set('X-Request-Id', requestId);
+        }
+
+        try {
+            const response = await baseFetch(input, { ...init, headers });
+            logUpstream(upstream, { method, url, status: response.status, startedAt });
+            return response;
+        } catch (error) {
+            logUpstream(upstream, { method, url, startedAt, error });
+            throw error;
+        }
+    };
+}
@@ -0,0 +1,163 @@
+// "My Trips": confirmed bookings stored per user in the Supabase `trips` table
+// (see supabase/migrations). Trips prove who owns a booking, so only the server
+// writes them: recordTrip takes the service-role client, as travelers have no
+// insert or update policy. Reads go through the visitor's own Supabase client,
+// so row-level security limits them to their rows.
+
+export const TRIP_KINDS = ['flight', 'hotel', 'car', 'aircraft'];
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export async function recordTrip(admin, userId, trip) {
+    const { data, error } = await admin
+        .from('trips')
+        .insert({ user_id: userId, ...trip })
+        .select()
+        .single();
+
+    if (error) {
+        throw new Error(`Could not record ${trip.kind} trip ${trip.reference}: ${error.message}`);
+    }
+    return data;
+}
+
+export async function listTrips(supabase, userId) {
+    const { data, error } = await supabase
+        .from('trips')
+        .select('*')
+        .eq('user_id', userId)
+        .order('starts_at', { ascending: true });
+
+    if (error) {
+        throw new Error(`Could not load trips: ${error.message}`);
+    }
+    return data;
+}
+
+// null when the trip does not exist or belongs to someone else
+export async function getTrip(supabase, userId, tripId) {
+    if (!UUID.test(tripId)) {
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from('trips')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('id', tripId)
+        .maybeSingle();
+
+    if (error) {
+        throw new Error(`Could not load trip ${tripId}: ${error.message}`);
+    }
+    return data;
+}
+
+// Trips still to come (or under way) first, soonest first; past trips most recent first
+export function splitTrips(trips, now = new Date()) {
+    const upcoming = [];
+    const past = [];
+    for (const trip of trips) {
+        const end = trip.ends_at || trip.starts_at;
+        if (!end || new Date(end) >= now) {
+            upcoming.push(trip);
+        } else {
+            past.push(trip);
+        }
+    }
+    past.reverse();
+    return { upcoming, past };
+}
+
+// Row for a confirmed Amadeus flight order
+export function flightTrip(order, { search } = {}) {
+    const offer = order.flightOffers[0];
+    const itineraries = offer.itineraries.map(itinerary => ({
+        duration: itinerary.duration,
+        segments: itinerary.segments.map(segment => ({
+            from: segment.departure.iataCode,
+            to: segment.arrival.iataCode,
+            departureAt: segment.departure.at,
+            arrivalAt: segment.arrival.at,
+            carrierCode: segment.carrierCode,
+            number: segment.number,
+            duration: segment.duration
+        }))
+    }));
+    const firstSegment = itineraries[0].segments[0];
+    const outbound = itineraries[0].segments;
+    const lastItinerary = itineraries[itineraries.length - 1].segments;
+    const tripType = search ? search.tripType : (itineraries.length === 2 ? 'roundtrip' : 'oneway');
+
+    return {
+        kind: 'flight',
+        reference: order.id,
+        title: `${firstSegment.from} → ${outbound[outbound.length - 1].to}${tripType === 'roundtrip' ? ' (round trip)' : tripType === 'multicity' ? ' (multi-city)' : ''}`,
+        starts_at: firstSegment.departureAt,
+        ends_at: lastItinerary[lastItinerary.length - 1].arrivalAt,
+        total: offer.price.grandTotal || offer.price.total,
+        currency: offer.price.currency,
+        details: {
+            tripType,
+            recordLocator: order.associatedRecords?.[0]?.reference,
+            itineraries,
+            travelers: (order.travelers || []).map(traveler => ({
+                firstName: traveler.name.firstName,
+                lastName: traveler.name.lastName
+            }))
+        }
+    };
+}
+
+// Row for a confirmed hotel booking; `offer` is the describeHotelOffer() shape
+export function hotelTrip(confirmation, { hotel, offer, guest }) {
+    return {
+        kind: 'hotel',
+        reference: confirmation.id,
+        title: hotel.name,
+        starts_at: offer.checkInDate,
+        ends_at: offer.checkOutDate,
+        total: offer.price,
+        currency: offer.currency,
+        details: {
+            providerConfirmationId: confirmation.providerConfirmationId,
+            hotel: { hotelId: hotel.hotelId, name: hotel.name, address: hotel.address },
+            offer,
+            guest: { firstName: guest.firstName, lastName: guest.lastName }
+        }
+    };
+}
+
+// Row for a confirmed car rental or transfer
+export function carTrip(booking, { offer, driver }) {
+    return {
+        kind: 'car',
+        reference: booking.id,
+        title: `${offer.vehicle.category} with ${offer.provider.name}`,
+        starts_at: offer.pickup.at,
+        ends_at: offer.dropoff.at || offer.pickup.at,
+        total: offer.price.total,
+        currency: offer.price.currency,
+        details: {
+            providerReference: booking.reference,
+            offer,
+            driver: { firstName: driver.firstName, lastName: driver.lastName }
+        }
+    };
+}
+
+// Row for a placed aircraft order
+export function aircraftTrip(order) {
+    const count = order.items.reduce((sum, item) => sum + item.quantity, 0);
+    return {
+        kind: 'aircraft',
+        reference: order.order_number,
+        title: count === 1 ? order.items[0].name : `${count} aircraft`,
+        starts_at: order.created_at,
+        ends_at: order.created_at,
+        total: order.total,
+        currency: order.currency,
+        status: order.status,
+        details: { items: order.items }
+    };
+}
@@ -0,0 +1,29 @@
+-- Confirmed bookings (flights, hotels, cars, aircraft orders) shown in "My Trips"
+create table if not exists public.trips (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    kind text not null check (kind in ('flight', 'hotel', 'car', 'aircraft')),
+    reference text not null,
+    title text not null,
+    starts_at timestamptz,
+    ends_at timestamptz,
+    total numeric(14, 2),
+    currency text,
+    status text not null default 'confirmed',
+    details jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now(),
+    unique (kind, reference)
+);
+
+create index if not exists trips_user_id_starts_at_idx on public.trips (user_id, starts_at);
+
+alter table public.trips enable row level security;
+
+create policy "Travelers read their own trips" on public.trips
+    for select using (auth.uid() = user_id);
+
+create policy "Travelers record their own trips" on public.trips
+    for insert with check (auth.uid() = user_id);
+
+create policy "Travelers update their own trips" on public.trips
+    for update using (auth.uid() = user_id);
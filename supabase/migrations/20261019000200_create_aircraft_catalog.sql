@@ -0,0 +1,58 @@
+-- Planes and helicopters sold on the Explore marketplace
+create table if not exists public.aircraft (
+    id bigint generated by default as identity primary key,
+    name text not null,
+    type text not null check (type in ('plane', 'helicopter')),
+    manufacturer text not null,
+    price numeric(14, 2) not null check (price > 0),
+    currency text not null default 'USD',
+    image_url text,
+    active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists aircraft_type_manufacturer_idx on public.aircraft (type, manufacturer);
+
+alter table public.aircraft enable row level security;
+
+-- Anyone can browse the catalog; changes go through the service role
+create policy "Everyone reads active aircraft" on public.aircraft
+    for select using (active);
+
+insert into public.aircraft (id, name, type, manufacturer, price, image_url) overriding system value values
+    (1, 'Boeing 747', 'plane', 'Boeing', 5000000, '/images/boeing747.jpg'),
+    (2, 'Airbus A380', 'plane', 'Airbus', 4500000, '/images/airbusa380.jpg'),
+    (3, 'Bell 407', 'helicopter', 'Bell', 1200000, '/images/bell407.jpg'),
+    (4, 'Cessna Citation X', 'plane', 'Cessna', 3500000, '/images/cessnax.jpg'),
+    (5, 'Boeing 737', 'plane', 'Boeing', 3000000, '/images/boeing737.jpg'),
+    (6, 'Sikorsky S-76', 'helicopter', 'Sikorsky', 2200000, '/images/sikorskys76.jpg'),
+    (7, 'Airbus H160', 'helicopter', 'Airbus', 1400000, '/images/airbush160.jpg'),
+    (8, 'Bombardier Global 7500', 'plane', 'Bombardier', 6000000, '/images/global7500.jpg'),
+    (9, 'Gulfstream G700', 'plane', 'Gulfstream', 7000000, '/images/gulfstreamg700.jpg'),
+    (10, 'Robinson R44', 'helicopter', 'Robinson', 500000, '/images/robinsonr44.jpg'),
+    (11, 'Leonardo AW139', 'helicopter', 'Leonardo', 3500000, '/images/leonardoaw139.jpg'),
+    (12, 'Dassault Falcon 8X', 'plane', 'Dassault', 6800000, '/images/dassault8x.jpg')
+on conflict (id) do nothing;
+
+select setval(pg_get_serial_sequence('public.aircraft', 'id'), (select max(id) from public.aircraft));
+
+-- Orders placed from the session cart. Rows are written by the server with the
+-- service role after prices are checked against the catalog.
+create table if not exists public.aircraft_orders (
+    id uuid primary key default gen_random_uuid(),
+    order_number text not null unique,
+    user_id uuid references auth.users (id) on delete set null,
+    status text not null default 'placed',
+    items jsonb not null,
+    total numeric(14, 2) not null,
+    currency text not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists aircraft_orders_user_id_idx on public.aircraft_orders (user_id, created_at);
+
+alter table public.aircraft_orders enable row level security;
+
+create policy "Buyers read their own aircraft orders" on public.aircraft_orders
+    for select using (auth.uid() = user_id);
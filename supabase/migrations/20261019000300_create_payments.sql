@@ -0,0 +1,38 @@
+-- Payments taken through the payment module, one row per provider intent.
+-- Only the server (service role) writes here; status changes come from verified webhooks.
+create table if not exists public.payments (
+    intent_id text primary key,
+    kind text not null check (kind in ('flight', 'hotel', 'aircraft')),
+    reference text,
+    user_id uuid references auth.users (id) on delete set null,
+    amount numeric(14, 2) not null,
+    amount_refunded numeric(14, 2) not null default 0,
+    currency text not null,
+    status text not null default 'pending' check (status in ('pending', 'paid', 'failed', 'refunded')),
+    paid_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists payments_kind_reference_idx on public.payments (kind, reference);
+
+-- Every webhook event applied, so redelivered events are ignored
+create table if not exists public.payment_events (
+    id text primary key,
+    intent_id text not null references public.payments (intent_id) on delete cascade,
+    type text not null,
+    payload jsonb not null,
+    received_at timestamptz not null default now()
+);
+
+alter table public.payments enable row level security;
+alter table public.payment_events enable row level security;
+
+create policy "Travelers read their own payments" on public.payments
+    for select using (auth.uid() = user_id);
+
+-- Aircraft orders wait for payment before they count as paid
+alter table public.aircraft_orders
+    alter column status set default 'pending_payment',
+    add column if not exists payment_intent_id text references public.payments (intent_id),
+    add column if not exists paid_at timestamptz;
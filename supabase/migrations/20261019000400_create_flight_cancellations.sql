@@ -0,0 +1,22 @@
+-- Flight orders cancelled through the Amadeus flight-orders DELETE endpoint,
+-- with the refund (if any) that went back to the traveler's card
+create table if not exists public.flight_cancellations (
+    id uuid primary key default gen_random_uuid(),
+    order_id text not null unique,
+    trip_id uuid references public.trips (id) on delete set null,
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    reason text,
+    payment_intent_id text,
+    refund_amount numeric(14, 2),
+    refund_currency text,
+    refund_status text not null check (refund_status in ('refunded', 'not_paid', 'failed')),
+    cancelled_at timestamptz not null default now()
+);
+
+alter table public.flight_cancellations enable row level security;
+
+create policy "Travelers read their own cancellations" on public.flight_cancellations
+    for select using (auth.uid() = user_id);
+
+create policy "Travelers record their own cancellations" on public.flight_cancellations
+    for insert with check (auth.uid() = user_id);
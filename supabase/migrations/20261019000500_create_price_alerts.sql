@@ -0,0 +1,48 @@
+-- Saved flight and hotel searches with a target price. The price alert worker
+-- re-runs each search with the service-role client, appends the lowest price it
+-- found to price_alert_checks and notifies the traveler when it reaches the target.
+create table if not exists public.price_alerts (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    kind text not null check (kind in ('flight', 'hotel')),
+    title text not null,
+    search_params text not null,
+    target_price numeric(14, 2) not null check (target_price > 0),
+    currency text not null,
+    notify_email text,
+    status text not null default 'active' check (status in ('active', 'expired')),
+    last_price numeric(14, 2),
+    last_checked_at timestamptz,
+    notified_price numeric(14, 2),
+    notified_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists price_alerts_due_idx on public.price_alerts (status, last_checked_at);
+
+create table if not exists public.price_alert_checks (
+    id bigint generated always as identity primary key,
+    alert_id uuid not null references public.price_alerts (id) on delete cascade,
+    price numeric(14, 2),
+    currency text,
+    checked_at timestamptz not null default now()
+);
+
+create index if not exists price_alert_checks_alert_idx on public.price_alert_checks (alert_id, checked_at desc);
+
+alter table public.price_alerts enable row level security;
+alter table public.price_alert_checks enable row level security;
+
+create policy "Travelers read their own price alerts" on public.price_alerts
+    for select using (auth.uid() = user_id);
+
+create policy "Travelers create their own price alerts" on public.price_alerts
+    for insert with check (auth.uid() = user_id);
+
+create policy "Travelers delete their own price alerts" on public.price_alerts
+    for delete using (auth.uid() = user_id);
+
+create policy "Travelers read the price history of their alerts" on public.price_alert_checks
+    for select using (
+        exists (select 1 from public.price_alerts alert where alert.id = alert_id and alert.user_id = auth.uid())
+    );
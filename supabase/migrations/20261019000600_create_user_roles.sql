@@ -0,0 +1,16 @@
+-- Account roles: traveler (the default for accounts without a row), agent and
+-- admin. Roles are granted with the service role or from the SQL editor, e.g.
+--   insert into public.user_roles (user_id, role) values ('<user id>', 'admin')
+--   on conflict (user_id) do update set role = excluded.role, updated_at = now();
+create table if not exists public.user_roles (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    role text not null default 'traveler' check (role in ('traveler', 'agent', 'admin')),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+alter table public.user_roles enable row level security;
+
+-- Read-only for the account itself, so nobody can grant themselves a role
+create policy "Users read their own role" on public.user_roles
+    for select using (auth.uid() = user_id);
@@ -0,0 +1,22 @@
+-- What staff did in the back office (/admin): one row per action, written by the
+-- server with the service role. There are no policies, so nothing is readable or
+-- writable with the anon key.
+create table if not exists public.admin_audit_log (
+    id bigint generated always as identity primary key,
+    actor_id uuid references auth.users (id) on delete set null,
+    actor_email text,
+    action text not null,
+    target_type text not null,
+    target_id text not null,
+    details jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_at_idx on public.admin_audit_log (created_at desc);
+create index if not exists admin_audit_log_target_idx on public.admin_audit_log (target_type, target_id);
+
+alter table public.admin_audit_log enable row level security;
+
+-- Orders cancelled by staff keep that status when the refund webhook arrives
+alter table public.aircraft_orders
+    add column if not exists cancelled_at timestamptz;
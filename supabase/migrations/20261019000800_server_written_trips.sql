@@ -0,0 +1,7 @@
+-- A trips row is what proves a traveler owns an Amadeus order (managing and
+-- cancelling flights look it up), so travelers must not be able to create or
+-- change one. Trips and cancellations are written by the server with the service
+-- role; travelers keep read access to their own rows.
+drop policy if exists "Travelers record their own trips" on public.trips;
+drop policy if exists "Travelers update their own trips" on public.trips;
+drop policy if exists "Travelers record their own cancellations" on public.flight_cancellations;
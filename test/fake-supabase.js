@@ -0,0 +1,77 @@
+// In-memory stand-in for the parts of the Supabase query builder the services use.
+// Rows with an `id` that is already taken fail to insert with Postgres' unique violation code.
+export function createFakeSupabase(tables = {}) {
+    const data = Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map(row => ({ ...row }))]));
+
+    function from(table) {
+        const rows = data[table] ||= [];
+        const filters = [];
+        let action = { type: 'select' };
+        let returning = false;
+
+        function execute() {
+            if (action.type === 'insert') {
+                const inserted = [].concat(action.values).map(values => ({ ...values }));
+                if (inserted.some(row => row.id !== undefined && rows.some(existing => existing.id === row.id))) {
+                    return { rows: [], error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+                }
+                rows.push(...inserted);
+                return { rows: inserted, error: null };
+            }
+            const matched = rows.filter(row => filters.every(filter => filter(row)));
+            if (action.type === 'update') {
+                matched.forEach(row => Object.assign(row, action.values));
+            }
+            return { rows: matched, error: null };
+        }
+
+        const builder = {
+            select() {
+                returning = true;
+                return builder;
+            },
+            insert(values) {
+                action = { type: 'insert', values };
+                return builder;
+            },
+            update(values) {
+                action = { type: 'update', values };
+                return builder;
+            },
+            eq(column, value) {
+                filters.push(row => row[column] === value);
+                return builder;
+            },
+            in(column, values) {
+                filters.push(row => values.includes(row[column]));
+                return builder;
+            },
+            is(column, value) {
+                filters.push(row => (row[column] ?? null) === value);
+                return builder;
+            },
+            async maybeSingle() {
+                const { rows: result, error } = execute();
+                return { data: error ? null : result[0] ?? null, error };
+            },
+            async single() {
+                const { rows: result, error } = execute();
+                if (error || result.length !== 1) {
+                    return { data: null, error: error || { code: 'PGRST116', message: 'Expected a single row' } };
+                }
+                return { data: result[0], error: null };
+            },
+            then(resolve, reject) {
+                return Promise.resolve()
+                    .then(() => {
+                        const { rows: result, error } = execute();
+                        return { data: returning && !error ? result : null, error };
+                    })
+                    .then(resolve, reject);
+            }
+        };
+        return builder;
+    }
+
+    return { from, tables: data };
+}
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFlightTravelers } from '../services/flight-booking.js';
+
+const TODAY = new Date('2026-01-10T12:00:00Z');
+
+const flightOffer = {
+    itineraries: [
+        { segments: [{ carrierCode: 'IB', departure: { at: '2026-03-01T08:00:00' }, arrival: { at: '2026-03-01T10:30:00' } }] },
+        { segments: [{ carrierCode: 'BA', departure: { at: '2026-03-08T18:00:00' }, arrival: { at: '2026-03-08T20:15:00' } }] }
+    ],
+    travelerPricings: [
+        { travelerId: '1', travelerType: 'ADULT' },
+        { travelerId: '2', travelerType: 'CHILD' }
+    ]
+};
+
+const adult = {
+    firstName: ' Ana ',
+    lastName: 'Garcia-Lopez',
+    dateOfBirth: '1990-05-20',
+    gender: 'female',
+    email: 'ana@example.com',
+    countryCallingCode: '+34',
+    phone: '612 34 56 78',
+    passportNumber: 'pa 1234567',
+    passportExpiry: '2030-01-01',
+    nationality: 'es'
+};
+
+const child = {
+    firstName: 'Leo',
+    lastName: 'Garcia',
+    dateOfBirth: '2018-04-02',
+    gender: 'MALE',
+    passportNumber: 'PB7654321',
+    passportExpiry: '2029-06-30',
+    nationality: 'ES'
+};
+
+function parse(travelers, offer = flightOffer) {
+    return parseFlightTravelers({ travelers }, offer, TODAY);
+}
+
+test('valid travelers are normalized for the booking', () => {
+    const { travelers, errors } = parse([adult, child]);
+
+    assert.deepEqual(errors, {});
+    assert.equal(travelers[0].id, '1');
+    assert.equal(travelers[0].firstName, 'Ana');
+    assert.equal(travelers[0].gender, 'FEMALE');
+    assert.equal(travelers[0].countryCallingCode, '34');
+    assert.equal(travelers[0].phone, '612345678');
+    assert.equal(travelers[0].passportNumber, 'PA1234567');
+    assert.equal(travelers[0].nationality, 'ES');
+    assert.equal(travelers[1].travelerType, 'CHILD');
+});
+
+test('travelers posted as an indexed object are read in order', () => {
+    const { travelers, errors } = parse({ 0: adult, 1: child });
+    assert.deepEqual(errors, {});
+    assert.equal(travelers[1].firstName, 'Leo');
+});
+
+test('missing travelers report every required field', () => {
+    const { errors } = parse([adult]);
+    assert.deepEqual(Object.keys(errors).sort(), [
+        'travelers[1][dateOfBirth]',
+        'travelers[1][firstName]',
+        'travelers[1][gender]',
+        'travelers[1][lastName]',
+        'travelers[1][nationality]',
+        'travelers[1][passportExpiry]',
+        'travelers[1][passportNumber]'
+    ]);
+});
+
+test('contact details are required for the lead traveler only', () => {
+    const { errors } = parse([{ ...adult, email: 'ana@', phone: '12', countryCallingCode: '999' }, child]);
+    assert.deepEqual(Object.keys(errors).sort(), [
+        'travelers[0][countryCallingCode]',
+        'travelers[0][email]',
+        'travelers[0][phone]'
+    ]);
+
+    const withPartialContact = parse([adult, { ...child, email: 'leo@example.com' }]);
+    assert.ok(withPartialContact.errors['travelers[1][phone]']);
+});
+
+test('names must use Latin letters', () => {
+    const { errors } = parse([{ ...adult, firstName: 'Анна', middleName: 'M4' }, child]);
+    assert.ok(errors['travelers[0][firstName]']);
+    assert.ok(errors['travelers[0][middleName]']);
+});
+
+test('ages are checked against the traveler type on the day of departure', () => {
+    // Turns 12 the day after departure, so still a child
+    const tooYoung = parse([{ ...adult, dateOfBirth: '2014-03-02' }, child]);
+    assert.match(tooYoung.errors['travelers[0][dateOfBirth]'], /at least 12/);
+
+    const tooOld = parse([adult, { ...child, dateOfBirth: '2014-03-01' }]);
+    assert.match(tooOld.errors['travelers[1][dateOfBirth]'], /under 12/);
+
+    const unborn = parse([adult, { ...child, dateOfBirth: '2026-02-01' }]);
+    assert.equal(unborn.errors['travelers[1][dateOfBirth]'], 'Enter a valid date of birth.');
+});
+
+test('passports must be valid beyond the last day of travel', () => {
+    const { errors } = parse([{ ...adult, passportExpiry: '2026-03-08' }, { ...child, passportExpiry: '01/06/2030' }]);
+    assert.match(errors['travelers[0][passportExpiry]'], /beyond the last day of travel/);
+    assert.equal(errors['travelers[1][passportExpiry]'], 'Enter the passport expiry date.');
+});
+
+test('frequent flyer numbers must be for an airline on the trip', () => {
+    const onTrip = parse([{ ...adult, frequentFlyerAirline: 'ba', frequentFlyerNumber: '1234 5678' }, child]);
+    assert.deepEqual(onTrip.errors, {});
+    assert.equal(onTrip.travelers[0].frequentFlyerNumber, '12345678');
+
+    const elsewhere = parse([{ ...adult, frequentFlyerAirline: 'LH', frequentFlyerNumber: '12345678' }, child]);
+    assert.equal(elsewhere.errors['travelers[0][frequentFlyerAirline]'], 'Choose an airline flown on this trip.');
+});
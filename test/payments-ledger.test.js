@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPaymentEvent } from '../services/payments/ledger.js';
+import { createFakeSupabase } from './fake-supabase.js';
+
+function paymentEvent(id, type, { intentId = 'pi_1', amountRefunded = 0 } = {}) {
+    return { id, type, created: '2026-01-01T10:00:00.000Z', data: { id: intentId, amountRefunded } };
+}
+
+function ledgerWith(payment, tables = {}) {
+    return createFakeSupabase({
+        payments: [{ intent_id: 'pi_1', kind: 'flight', reference: 'ABC123', status: 'pending', ...payment }],
+        payment_events: [],
+        ...tables
+    });
+}
+
+test('a succeeded event marks a pending payment as paid and records the event', async () => {
+    const admin = ledgerWith({});
+    const payment = await applyPaymentEvent(admin, paymentEvent('evt_1', 'payment_intent.succeeded'));
+
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.paid_at, '2026-01-01T10:00:00.000Z');
+    assert.deepEqual(admin.tables.payment_events.map(row => row.id), ['evt_1']);
+});
+
+test('a redelivered event is not applied twice', async () => {
+    const admin = ledgerWith({});
+    await applyPaymentEvent(admin, paymentEvent('evt_1', 'charge.refunded', { amountRefunded: 5000 }));
+    admin.tables.payments[0].status = 'paid';
+
+    assert.equal(await applyPaymentEvent(admin, paymentEvent('evt_1', 'charge.refunded', { amountRefunded: 5000 })), null);
+    assert.equal(admin.tables.payments[0].status, 'paid');
+    assert.equal(admin.tables.payment_events.length, 1);
+});
+
+test('a late succeeded event does not turn a refund back into a payment', async () => {
+    const admin = ledgerWith({ status: 'refunded', amount_refunded: 5000 });
+    const payment = await applyPaymentEvent(admin, paymentEvent('evt_2', 'payment_intent.succeeded'));
+
+    assert.equal(payment, null);
+    assert.equal(admin.tables.payments[0].status, 'refunded');
+    assert.equal(admin.tables.payments[0].amount_refunded, 5000);
+    assert.deepEqual(admin.tables.payment_events.map(row => row.id), ['evt_2']);
+});
+
+test('a failed event does not undo a paid payment', async () => {
+    const admin = ledgerWith({ status: 'paid' });
+    assert.equal(await applyPaymentEvent(admin, paymentEvent('evt_3', 'payment_intent.payment_failed')), null);
+    assert.equal(admin.tables.payments[0].status, 'paid');
+});
+
+test('a failed payment can still succeed on a later attempt', async () => {
+    const admin = ledgerWith({ status: 'failed' });
+    const payment = await applyPaymentEvent(admin, paymentEvent('evt_4', 'payment_intent.succeeded'));
+    assert.equal(payment.status, 'paid');
+});
+
+test('events of other types are ignored', async () => {
+    const admin = ledgerWith({});
+    assert.equal(await applyPaymentEvent(admin, paymentEvent('evt_5', 'payment_intent.created')), null);
+    assert.equal(admin.tables.payments[0].status, 'pending');
+    assert.equal(admin.tables.payment_events.length, 0);
+});
+
+test('aircraft orders follow their payment unless cancelled from the back office', async () => {
+    const orders = [
+        { order_number: 'AO-1', status: 'pending_payment', cancelled_at: null },
+        { order_number: 'AO-2', status: 'cancelled', cancelled_at: '2026-01-01T09:00:00.000Z' }
+    ];
+    const admin = createFakeSupabase({
+        payments: [
+            { intent_id: 'pi_1', kind: 'aircraft', reference: 'AO-1', status: 'pending' },
+            { intent_id: 'pi_2', kind: 'aircraft', reference: 'AO-2', status: 'paid' }
+        ],
+        payment_events: [],
+        aircraft_orders: orders
+    });
+
+    await applyPaymentEvent(admin, paymentEvent('evt_6', 'payment_intent.succeeded'));
+    await applyPaymentEvent(admin, paymentEvent('evt_7', 'charge.refunded', { intentId: 'pi_2', amountRefunded: 100 }));
+
+    const [paidOrder, cancelledOrder] = admin.tables.aircraft_orders;
+    assert.equal(paidOrder.status, 'paid');
+    assert.equal(paidOrder.paid_at, '2026-01-01T10:00:00.000Z');
+    assert.equal(cancelledOrder.status, 'cancelled');
+    assert.equal(admin.tables.payments[1].status, 'refunded');
+});
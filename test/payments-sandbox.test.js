@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createCache } from '../services/cache.js';
+import { createSandboxPaymentProvider } from '../services/payments/sandbox.js';
+
+const WEBHOOK_SECRET = 'whsec_test';
+
+const payments = createSandboxPaymentProvider({
+    cache: createCache({ redis: null }),
+    webhookSecret: WEBHOOK_SECRET,
+    webhookUrl: 'http://localhost/webhooks/payments'
+});
+
+const event = { id: 'evt_1', type: 'payment_intent.succeeded', data: { id: 'pi_1', amountRefunded: 0 } };
+
+function signedHeaders(payload, { timestamp = Math.floor(Date.now() / 1000), secret = WEBHOOK_SECRET } = {}) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+    return { 'sandbox-signature': `t=${timestamp},v1=${signature}` };
+}
+
+test('verifyWebhook returns the event for a correctly signed body', () => {
+    const payload = JSON.stringify(event);
+    assert.deepEqual(payments.verifyWebhook(Buffer.from(payload), signedHeaders(payload)), event);
+});
+
+test('verifyWebhook rejects a missing or malformed signature header', () => {
+    const body = Buffer.from(JSON.stringify(event));
+    assert.throws(() => payments.verifyWebhook(body, {}), /Missing webhook signature/);
+    assert.throws(() => payments.verifyWebhook(body, { 'sandbox-signature': 'v1=abc' }), /Missing webhook signature/);
+});
+
+test('verifyWebhook rejects a signature outside the tolerance window', () => {
+    const payload = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000) - 10 * 60;
+    assert.throws(
+        () => payments.verifyWebhook(Buffer.from(payload), signedHeaders(payload, { timestamp })),
+        /Webhook signature is too old/
+    );
+});
+
+test('verifyWebhook rejects a tampered body or a different secret', () => {
+    const payload = JSON.stringify(event);
+    const tampered = JSON.stringify({ ...event, type: 'charge.refunded' });
+    assert.throws(() => payments.verifyWebhook(Buffer.from(tampered), signedHeaders(payload)), /Invalid webhook signature/);
+    assert.throws(
+        () => payments.verifyWebhook(Buffer.from(payload), signedHeaders(payload, { secret: 'whsec_other' })),
+        /Invalid webhook signature/
+    );
+});